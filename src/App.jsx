@@ -1,113 +1,86 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo, useId, useCallback } from 'react';
 import { 
   Play, Pause, Settings, Monitor, Clock, CheckCircle, XCircle, 
   AlertCircle, Loader, Moon, Sun, Plus, Download, Users, 
   Database, Shield, Activity, Server, Cpu, MemoryStick, 
   LogOut, User, Bell, TrendingUp, Brain, Zap, DollarSign,
-  Target, BarChart3, GitBranch, Sparkles, Bot
+  Target, BarChart3, GitBranch, Sparkles, Bot, RefreshCw,
+  ZoomIn, ZoomOut, Maximize2, Pencil, Save, Trash2, Upload, History,
+  Square, RotateCcw, Repeat, FileText
 } from 'lucide-react';
 import { 
   LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, 
   ResponsiveContainer, AreaChart, Area, BarChart, Bar, 
   PieChart, Pie, Cell 
 } from 'recharts';
-
-
-class TaskExecutionEngine {
-  constructor() {
-    this.executions = new Map();
-    this.subscribers = new Set();
-    this.metrics = {
-      totalExecutions: 0,
-      successRate: 85,
-      avgExecutionTime: 2.5,
-      activeWorkers: 3,
-      queueDepth: 5
-    };
-  }
-
-  subscribe(callback) {
-    this.subscribers.add(callback);
-    return () => this.subscribers.delete(callback);
-  }
-
-  notify(data) {
-    this.subscribers.forEach(callback => callback(data));
-  }
-
-  async executeDAG(dag) {
-    const executionId = Date.now().toString();
-    const execution = {
-      id: executionId,
-      dag: dag.id,
-      status: 'running',
-      startTime: new Date(),
-      tasks: {},
-      cost: Math.random() * 50 + 25
-    };
-
-    this.executions.set(executionId, execution);
-    this.notify({ type: 'execution_started', execution });
-
-    try {
-      // Execute tasks sequentially for simplicity
-      for (const task of dag.tasks) {
-        const taskExecution = {
-          id: task.id,
-          status: 'running',
-          startTime: new Date(),
-          retries: 0
-        };
-        
-        execution.tasks[task.id] = taskExecution;
-        this.notify({ type: 'task_started', execution, task: taskExecution });
-
-        // Simulate task execution
-        await new Promise(resolve => setTimeout(resolve, 1000 + Math.random() * 2000));
-        
-        // Random success/failure
-        if (Math.random() > 0.15) { // 85% success rate
-          taskExecution.status = 'completed';
-          taskExecution.endTime = new Date();
-        } else {
-          taskExecution.status = 'failed';
-          taskExecution.endTime = new Date();
-          taskExecution.error = 'Task execution failed';
-          throw new Error('Task failed');
-        }
-        
-        this.notify({ type: 'task_completed', execution, task: taskExecution });
-      }
-
-      execution.status = 'completed';
-      execution.endTime = new Date();
-      this.updateMetrics(true);
-    } catch (error) {
-      execution.status = 'failed';
-      execution.error = error.message;
-      execution.endTime = new Date();
-      this.updateMetrics(false);
-    }
-
-    this.notify({ type: 'execution_completed', execution });
-    return execution;
-  }
-
-  updateMetrics(success) {
-    this.metrics.totalExecutions++;
-    if (success) {
-      this.metrics.successRate = Math.min(95, this.metrics.successRate + 0.5);
-    } else {
-      this.metrics.successRate = Math.max(70, this.metrics.successRate - 1);
-    }
-    this.metrics.queueDepth = Math.max(0, this.metrics.queueDepth - 1);
-  }
-}
+import { topologicalSort } from './lib/dagGraph.js';
+import { validateDAG, DAGValidationError } from './lib/dagValidator.js';
+import { computeLayout, truncateLabel } from './lib/dagLayout.js';
+import {
+  createEmptyDAG, cloneDAG, bumpVersion,
+  addTask, removeTask, updateTask, validateTaskId, addDependency, removeDependency
+} from './lib/dagEditing.js';
+import { EXPORT_FORMATS, serializeDAG, exportFilename, readDAGFiles } from './lib/dagIO.js';
+import { downloadFile } from './lib/download.js';
+import { openRepository, DEFAULT_RETENTION } from './lib/storage.js';
+import {
+  formatDuration, formatCurrency, formatDateTime, formatTime, getExecutionDuration,
+  toDateTimeInput, fromDateTimeInput
+} from './lib/format.js';
+import { getExecutionAt } from './lib/executionReplay.js';
+import { getExecutionCriticalPath } from './lib/criticalPath.js';
+import { randomSeed, parseSeed } from './lib/random.js';
+import { SIMULATION_SPEEDS, formatSpeed } from './lib/clock.js';
+import {
+  DURATION_DISTRIBUTIONS, getTypeProfile, migrateDAG, resolveSimulationProfile,
+  expectedDuration, createDuration, describeDuration
+} from './lib/simulationProfile.js';
+import { getTypeResources, resolveResources, describeResources } from './lib/taskResources.js';
+import { getRunCostBreakdown, projectCosts } from './lib/costModel.js';
+import {
+  analyzeExecutions, describeSavings, sumSavings, RECOMMENDATION_RULES, MAX_ANALYZED_RUNS,
+  resolvePatch, canRevertPatch, revertPatch
+} from './lib/recommendations.js';
+import {
+  VERSION_SOURCES, versionId, getVersionHistory, recordVersion, createInitialVersions, rollbackDAG, getRunDAG,
+  diffDAGs, getDiffStatus, mergeForDiff, describeDAGDiff
+} from './lib/dagVersions.js';
+import {
+  runComparison, summarizeSamples, buildHistogram, relativeChange, getMissingSlots,
+  MAX_COMPARISON_ITERATIONS, MAX_COMPARISON_CONCURRENCY
+} from './lib/comparison.js';
+import {
+  LOG_LEVELS, LOG_EXPORT_FORMATS, createLogRecord, describeEvent, filterLogs, formatFields
+} from './lib/logRecords.js';
+import { Scheduler, createSchedule, validateSchedule, describeSchedule, toScheduleRecord } from './lib/scheduler.js';
+import {
+  BackfillManager, BACKFILL_INTERVALS, MAX_BACKFILL_RUNS, getBackfillDates, getRunsByLogicalDate
+} from './lib/backfill.js';
+import { computeMetrics, getMetricsTime, METRIC_WINDOWS } from './lib/metrics.js';
+import {
+  ALERT_RULE_TYPES, DEFAULT_ALERT_RULES, AlertMonitor, createAlertRule, validateAlertRule, describeAlertRule,
+  countUnread, browserNotificationsSupported, requestBrowserPermission, showBrowserNotification
+} from './lib/alerts.js';
+import {
+  AUDIT_ACTIONS, createAuditEntry, getAuditEventEntry, searchAuditLog, formatAuditValue, auditLogToCSV, diffValues
+} from './lib/audit.js';
+import {
+  ROLES, MIN_PASSWORD_LENGTH, AuthenticationError, PermissionError, hasPermission, requirePermission, getDeniedReason,
+  authenticate, createUser, createDefaultUsers, setPassword, toSessionUser,
+  validateNewUser, checkRoleChange, checkUserRemoval
+} from './lib/auth.js';
+import { DEFAULT_WORKERS, DEFAULT_SLOT, QUEUE_POLICIES } from './lib/workerPool.js';
+import { TaskExecutionEngine } from './lib/engine.js';
 
 // =============================================================================
 // SAMPLE DATA
 // =============================================================================
 
+const TASK_TYPES = [
+  'extract', 'validation', 'transformation', 'load',
+  'preprocessing', 'training', 'deployment'
+];
+
 const SAMPLE_DAGS = {
   data_pipeline: {
     id: 'data_pipeline',
@@ -133,7 +106,7 @@ const SAMPLE_DAGS = {
     version: '2.1.0',
     tasks: [
       { id: 'data_prep', name: 'Data Prep', type: 'preprocessing', retries: 2 },
-      { id: 'train_model', name: 'Train Model', type: 'training', retries: 1 },
+      { id: 'train_model', name: 'Train Model', type: 'training', retries: 1, slot: 'gpu' },
       { id: 'validate_model', name: 'Validate', type: 'validation', retries: 2 },
       { id: 'deploy_model', name: 'Deploy', type: 'deployment', retries: 3 }
     ],
@@ -150,25 +123,24 @@ const SAMPLE_DAGS = {
 // =============================================================================
 
 // Authentication Component
-const AuthModal = ({ onLogin, isOpen }) => {
+// Checks credentials against the local user store
+const AuthModal = ({ users, onLogin, onLoginFailed, isOpen }) => {
   const [email, setEmail] = useState('admin@orbital.dev');
   const [password, setPassword] = useState('admin123');
   const [isLoading, setIsLoading] = useState(false);
+  const [loginError, setLoginError] = useState(null);
 
   const handleLogin = async (e) => {
     e.preventDefault();
     setIsLoading(true);
+    setLoginError(null);
     
     try {
-      await new Promise(resolve => setTimeout(resolve, 1000)); // Simulate API call
-      onLogin({
-        id: 1,
-        email,
-        role: 'admin',
-        permissions: ['dag:read', 'dag:write', 'dag:execute']
-      });
+      onLogin(await authenticate(users, email, password));
     } catch (error) {
-      console.error('Login failed:', error);
+      if (!(error instanceof AuthenticationError)) throw error;
+      setLoginError(error.message);
+      onLoginFailed?.(email);
     } finally {
       setIsLoading(false);
     }
@@ -209,6 +181,10 @@ const AuthModal = ({ onLogin, isOpen }) => {
               required
             />
           </div>
+
+          {loginError && (
+            <div className="p-2 rounded bg-red-50 border border-red-200 text-sm text-red-600">{loginError}</div>
+          )}
           
           <button
             type="submit"
@@ -221,7 +197,8 @@ const AuthModal = ({ onLogin, isOpen }) => {
         
         <div className="mt-6 text-center">
           <p className="text-xs text-gray-500">
-            Demo Credentials: admin@orbital.dev / admin123
+            Demo credentials: admin@orbital.dev / admin123, operator@orbital.dev / operator123,
+            viewer@orbital.dev / viewer123
           </p>
         </div>
       </div>
@@ -233,9 +210,14 @@ const AuthModal = ({ onLogin, isOpen }) => {
 const TaskStatusBadge = ({ status }) => {
   const configs = {
     pending: { icon: Clock, color: 'bg-gray-500', text: 'Pending' },
+    queued: { icon: Clock, color: 'bg-purple-500', text: 'Queued' },
     running: { icon: Loader, color: 'bg-blue-500', text: 'Running' },
+    paused: { icon: Pause, color: 'bg-indigo-500', text: 'Paused' },
+    retrying: { icon: RefreshCw, color: 'bg-yellow-500', text: 'Retrying' },
     completed: { icon: CheckCircle, color: 'bg-green-500', text: 'Completed' },
-    failed: { icon: XCircle, color: 'bg-red-500', text: 'Failed' }
+    failed: { icon: XCircle, color: 'bg-red-500', text: 'Failed' },
+    upstream_failed: { icon: AlertCircle, color: 'bg-orange-500', text: 'Upstream Failed' },
+    cancelled: { icon: Square, color: 'bg-gray-600', text: 'Cancelled' }
   };
   
   const config = configs[status] || configs.pending;
@@ -250,116 +232,834 @@ const TaskStatusBadge = ({ status }) => {
 };
 
 // DAG Visualizer
-const DAGVisualizer = ({ dag, execution }) => {
+const NODE_COLORS = {
+  pending: { fill: '#e5e7eb', text: '#374151' },
+  queued: { fill: '#a855f7', text: '#ffffff' },
+  running: { fill: '#3b82f6', text: '#ffffff' },
+  retrying: { fill: '#eab308', text: '#ffffff' },
+  completed: { fill: '#10b981', text: '#ffffff' },
+  failed: { fill: '#ef4444', text: '#ffffff' },
+  upstream_failed: { fill: '#f97316', text: '#ffffff' },
+  cancelled: { fill: '#4b5563', text: '#ffffff' }
+};
+
+// Run Controls
+// Pause/resume/cancel for active runs; failed or cancelled runs can be rerun from the failure,
+// and any finished run can be replayed with its seed. `deniedReason` disables them all.
+const RunControls = ({ execution, onPause, onResume, onCancel, onRerun, onReplay, deniedReason, isDark = false }) => {
+  const buttonClass = `p-1 rounded-md disabled:opacity-50 ${isDark ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-600 hover:bg-gray-100'}`;
+  const isActive = ['running', 'paused'].includes(execution.status);
+  const renderButton = (onClick, title, icon) => (
+    <button onClick={() => onClick(execution)} disabled={Boolean(deniedReason)} className={buttonClass} title={deniedReason || title}>
+      {icon}
+    </button>
+  );
+
+  return (
+    <div className="flex items-center">
+      {execution.status === 'running' && renderButton(onPause, 'Pause (running tasks finish)', <Pause className="w-4 h-4" />)}
+      {execution.status === 'paused' && renderButton(onResume, 'Resume', <Play className="w-4 h-4" />)}
+      {isActive && renderButton(onCancel, 'Cancel run', <Square className="w-4 h-4" />)}
+      {['failed', 'cancelled'].includes(execution.status) && onRerun
+        && renderButton(onRerun, 'Rerun from failure (completed tasks are reused)', <RotateCcw className="w-4 h-4" />)}
+      {!isActive && execution.seed !== undefined && onReplay
+        && renderButton(onReplay, `Replay with seed ${execution.seed}`, <Repeat className="w-4 h-4" />)}
+    </div>
+  );
+};
+
+const MIN_ZOOM = 0.25;
+const MAX_ZOOM = 4;
+const DEFAULT_VIEW = { x: 0, y: 0, scale: 1 };
+
+// Colors for a version diff (see lib/dagVersions getDiffStatus)
+const DIFF_COLORS = {
+  added: { fill: '#d1fae5', stroke: '#10b981', text: '#065f46' },
+  removed: { fill: '#fee2e2', stroke: '#ef4444', text: '#991b1b' },
+  changed: { fill: '#fef3c7', stroke: '#f59e0b', text: '#92400e' },
+  unchanged: { fill: '#f3f4f6', stroke: '#9ca3af', text: '#374151' }
+};
+
+// Passing onConnect/onDisconnect turns on editing: drag from a node's port to
+// another node to add a dependency, click an edge to remove it. Passing
+// `diffStatus` draws a version diff instead of run status; `dag` should then
+// hold both versions (mergeForDiff).
+const DAGVisualizer = ({ dag, execution, diffStatus, onConnect, onDisconnect }) => {
   const svgRef = useRef();
+  const [drag, setDrag] = useState(null);
+  const [connecting, setConnecting] = useState(null);
+  const editable = Boolean(onConnect);
+  const markerId = `dag-arrow-${useId().replace(/:/g, '')}`;
+  const layout = useMemo(() => computeLayout(dag), [dag]);
+  const [view, setView] = useState(DEFAULT_VIEW);
 
+  // Start from the fitted view whenever a different graph is shown
   useEffect(() => {
-    if (!dag || !svgRef.current) return;
+    setView(DEFAULT_VIEW);
+  }, [layout]);
 
+  // Client (pixel) coordinates -> SVG user space
+  const toSvgPoint = (clientX, clientY) => {
     const svg = svgRef.current;
-    const width = 800;
-    const height = 300;
-    
-    // Clear previous content
-    while (svg.firstChild) {
-      svg.removeChild(svg.firstChild);
-    }
+    const point = svg.createSVGPoint();
+    point.x = clientX;
+    point.y = clientY;
+    return point.matrixTransform(svg.getScreenCTM().inverse());
+  };
 
-    // Simple horizontal layout
-    const taskWidth = width / (dag.tasks.length + 1);
-    
-    // Draw connections
-    dag.tasks.forEach((task, index) => {
-      if (index > 0) {
-        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-        line.setAttribute('x1', taskWidth * index);
-        line.setAttribute('y1', height / 2);
-        line.setAttribute('x2', taskWidth * (index + 1));
-        line.setAttribute('y2', height / 2);
-        line.setAttribute('stroke', '#4b5563');
-        line.setAttribute('stroke-width', '2');
-        svg.appendChild(line);
-      }
+  const zoomAt = (factor, center) => {
+    setView(prev => {
+      const scale = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, prev.scale * factor));
+      const ratio = scale / prev.scale;
+      return {
+        scale,
+        x: center.x - (center.x - prev.x) * ratio,
+        y: center.y - (center.y - prev.y) * ratio
+      };
     });
+  };
 
-    // Draw task nodes
-    dag.tasks.forEach((task, index) => {
-      const taskStatus = execution?.tasks?.[task.id]?.status || 'pending';
-      const x = taskWidth * (index + 1);
-      const y = height / 2;
-      
-      // Node circle
-      const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-      circle.setAttribute('cx', x);
-      circle.setAttribute('cy', y);
-      circle.setAttribute('r', '30');
-      
-      let fillColor = '#e5e7eb'; // pending
-      if (taskStatus === 'running') fillColor = '#3b82f6';
-      else if (taskStatus === 'completed') fillColor = '#10b981';
-      else if (taskStatus === 'failed') fillColor = '#ef4444';
-      
-      circle.setAttribute('fill', fillColor);
-      circle.setAttribute('stroke', '#374151');
-      circle.setAttribute('stroke-width', '2');
-      svg.appendChild(circle);
-      
-      // Task label
-      const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-      text.setAttribute('x', x);
-      text.setAttribute('y', y + 5);
-      text.setAttribute('text-anchor', 'middle');
-      text.setAttribute('fill', 'white');
-      text.setAttribute('font-size', '12');
-      text.setAttribute('font-weight', 'bold');
-      text.textContent = task.name.substring(0, 8);
-      svg.appendChild(text);
-      
-      // Task name below
-      const nameText = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-      nameText.setAttribute('x', x);
-      nameText.setAttribute('y', y + 50);
-      nameText.setAttribute('text-anchor', 'middle');
-      nameText.setAttribute('fill', '#374151');
-      nameText.setAttribute('font-size', '10');
-      nameText.textContent = task.name;
-      svg.appendChild(nameText);
-    });
+  // Wheel zoom needs a non-passive listener so the page doesn't scroll
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg) return;
+
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const point = svg.createSVGPoint();
+      point.x = e.clientX;
+      point.y = e.clientY;
+      const center = point.matrixTransform(svg.getScreenCTM().inverse());
+      zoomAt(e.deltaY < 0 ? 1.1 : 1 / 1.1, center);
+    };
+
+    svg.addEventListener('wheel', handleWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  const handleMouseDown = (e) => {
+    if (e.button !== 0) return;
+    setDrag({ start: toSvgPoint(e.clientX, e.clientY), view });
+  };
+
+  // SVG user space -> graph space (inside the pan/zoom transform)
+  const toGraphPoint = (clientX, clientY) => {
+    const point = toSvgPoint(clientX, clientY);
+    return { x: (point.x - view.x) / view.scale, y: (point.y - view.y) / view.scale };
+  };
+
+  const startConnecting = (e, node) => {
+    e.stopPropagation();
+    setConnecting({ from: node.id, point: toGraphPoint(e.clientX, e.clientY) });
+  };
+
+  const finishConnecting = (node) => {
+    if (connecting && connecting.from !== node.id) {
+      onConnect(connecting.from, node.id);
+    }
+    setConnecting(null);
+  };
+
+  const handleMouseMove = (e) => {
+    if (connecting) {
+      setConnecting({ ...connecting, point: toGraphPoint(e.clientX, e.clientY) });
+      return;
+    }
+    if (!drag) return;
+    const point = toSvgPoint(e.clientX, e.clientY);
+    const { start, view: startView } = drag;
+    setView({ ...startView, x: startView.x + point.x - start.x, y: startView.y + point.y - start.y });
+  };
+
+  const stopDragging = () => {
+    setDrag(null);
+    setConnecting(null);
+  };
 
-  }, [dag, execution]);
+  const viewCenter = { x: layout.width / 2, y: layout.height / 2 };
+  const height = Math.min(520, Math.max(200, layout.height));
 
   return (
-    <div className="bg-gray-50 rounded-lg p-4 overflow-hidden">
+    <div className="bg-gray-50 rounded-lg p-4 overflow-hidden relative">
+      <div className="absolute top-6 right-6 flex space-x-2">
+        <button onClick={() => zoomAt(1.25, viewCenter)} className="p-2 rounded bg-white border" title="Zoom in">
+          <ZoomIn className="w-4 h-4" />
+        </button>
+        <button onClick={() => zoomAt(0.8, viewCenter)} className="p-2 rounded bg-white border" title="Zoom out">
+          <ZoomOut className="w-4 h-4" />
+        </button>
+        <button onClick={() => setView(DEFAULT_VIEW)} className="p-2 rounded bg-white border" title="Fit to view">
+          <Maximize2 className="w-4 h-4" />
+        </button>
+      </div>
       <svg
         ref={svgRef}
         width="100%"
-        height="300"
-        viewBox="0 0 800 300"
+        height={height}
+        viewBox={`0 0 ${layout.width} ${layout.height}`}
         className="border border-gray-200 rounded bg-white"
-      />
+        style={{ cursor: drag ? 'grabbing' : 'grab' }}
+        onMouseDown={handleMouseDown}
+        onMouseMove={handleMouseMove}
+        onMouseUp={stopDragging}
+        onMouseLeave={stopDragging}
+      >
+        <defs>
+          <marker id={markerId} viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z" fill="#4b5563" />
+          </marker>
+        </defs>
+        <g transform={`translate(${view.x} ${view.y}) scale(${view.scale})`}>
+          {layout.edges.map(edge => {
+            const edgeStatus = diffStatus?.edges[edge.id];
+            return (
+              <g key={edge.id}>
+                <path
+                  d={edge.path}
+                  fill="none"
+                  stroke={edgeStatus ? DIFF_COLORS[edgeStatus].stroke : '#4b5563'}
+                  strokeWidth="2"
+                  strokeDasharray={edgeStatus === 'removed' ? '6 4' : undefined}
+                  markerEnd={`url(#${markerId})`}
+                >
+                  {edgeStatus && <title>{`Dependency ${edge.from} → ${edge.to} ${edgeStatus}`}</title>}
+                </path>
+                {editable && (
+                  <path
+                    d={edge.path}
+                    fill="none"
+                    stroke="transparent"
+                    strokeWidth="12"
+                    style={{ cursor: 'pointer' }}
+                    onMouseDown={(e) => e.stopPropagation()}
+                    onClick={() => onDisconnect?.(edge.from, edge.to)}
+                  >
+                    <title>{`Remove dependency ${edge.from} → ${edge.to}`}</title>
+                  </path>
+                )}
+              </g>
+            );
+          })}
+
+          {connecting && layout.nodes[connecting.from] && (
+            <line
+              x1={layout.nodes[connecting.from].x + layout.nodes[connecting.from].width}
+              y1={layout.nodes[connecting.from].y + layout.nodes[connecting.from].height / 2}
+              x2={connecting.point.x}
+              y2={connecting.point.y}
+              stroke="#4f46e5"
+              strokeWidth="2"
+              strokeDasharray="6 4"
+              markerEnd={`url(#${markerId})`}
+            />
+          )}
+
+          {Object.values(layout.nodes).map(node => {
+            const taskStatus = diffStatus
+              ? diffStatus.tasks[node.id] || 'unchanged'
+              : execution?.tasks?.[node.id]?.status || 'pending';
+            const colors = diffStatus ? DIFF_COLORS[taskStatus] : NODE_COLORS[taskStatus] || NODE_COLORS.pending;
+            const label = node.task.name || node.id;
+            return (
+              <g key={node.id} onMouseUp={editable ? () => finishConnecting(node) : undefined}>
+                <title>{`${label} (${node.task.type}) — ${taskStatus}`}</title>
+                <rect
+                  x={node.x}
+                  y={node.y}
+                  width={node.width}
+                  height={node.height}
+                  rx="8"
+                  fill={colors.fill}
+                  stroke={colors.stroke || '#374151'}
+                  strokeWidth="2"
+                  strokeDasharray={taskStatus === 'removed' ? '6 4' : undefined}
+                />
+                <text
+                  x={node.x + node.width / 2}
+                  y={node.y + node.height / 2 - 2}
+                  textAnchor="middle"
+                  fill={colors.text}
+                  fontSize="12"
+                  fontWeight="bold"
+                >
+                  {truncateLabel(label)}
+                </text>
+                <text
+                  x={node.x + node.width / 2}
+                  y={node.y + node.height / 2 + 13}
+                  textAnchor="middle"
+                  fill={colors.text}
+                  fontSize="10"
+                >
+                  {node.task.type}
+                </text>
+                {editable && (
+                  <circle
+                    cx={node.x + node.width}
+                    cy={node.y + node.height / 2}
+                    r="6"
+                    fill="#ffffff"
+                    stroke="#4f46e5"
+                    strokeWidth="2"
+                    style={{ cursor: 'crosshair' }}
+                    onMouseDown={(e) => startConnecting(e, node)}
+                  >
+                    <title>Drag to another task to add a dependency</title>
+                  </circle>
+                )}
+              </g>
+            );
+          })}
+        </g>
+      </svg>
+    </div>
+  );
+};
+
+// DAG Version History
+// Recorded versions of one DAG, newest first. The selected version is drawn
+// as a diff on the DAG visualizer, either against the version before it or
+// against the current definition (what rolling back would change).
+const DIFF_LEGEND = ['added', 'removed', 'changed'];
+
+const DAGVersionHistory = ({ history, current, onRun, onRollback, runDeniedReason, writeDeniedReason, isDark }) => {
+  const [selectedId, setSelectedId] = useState(history[0]?.id);
+  const [compareWith, setCompareWith] = useState('previous');
+
+  const index = Math.max(0, history.findIndex(record => record.id === selectedId));
+  const selected = history[index];
+  const isCurrent = (record) => record.version === current.version;
+  const base = compareWith === 'current' ? current : history[index + 1]?.dag;
+  // Diffs read as "what changes": from the older version, or from the current one back to the selected one.
+  // Memoized so the visualizer keeps its layout (and pan/zoom) across re-renders while runs are active.
+  const diff = useMemo(() => (selected && base ? diffDAGs(base, selected.dag) : null), [base, selected]);
+  const mergedDAG = useMemo(() => (diff ? mergeForDiff(base, selected.dag) : null), [diff, base, selected]);
+  const diffStatus = useMemo(() => (diff ? getDiffStatus(diff) : null), [diff]);
+  const textClass = isDark ? 'text-gray-300' : 'text-gray-600';
+
+  const renderChangeList = () => (
+    <ul className={`text-xs ${textClass} space-y-1`}>
+      {diff.tasks.added.map(id => <li key={`added-${id}`} className="text-green-600">+ Task {id}</li>)}
+      {diff.tasks.removed.map(id => <li key={`removed-${id}`} className="text-red-600">− Task {id}</li>)}
+      {diff.tasks.changed.flatMap(task => task.changes.map(change => (
+        <li key={`${task.id}-${change.path}`} className="text-yellow-600">
+          ~ {task.id}.{change.path}: {formatAuditValue(change.before)} → {formatAuditValue(change.after)}
+        </li>
+      )))}
+      {diff.edges.added.map(edge => <li key={`edge-added-${edge.id}`} className="text-green-600">+ Dependency {edge.from} → {edge.to}</li>)}
+      {diff.edges.removed.map(edge => <li key={`edge-removed-${edge.id}`} className="text-red-600">− Dependency {edge.from} → {edge.to}</li>)}
+      {diff.fields.map(change => (
+        <li key={`field-${change.path}`}>
+          {change.path}: {formatAuditValue(change.before)} → {formatAuditValue(change.after)}
+        </li>
+      ))}
+    </ul>
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="max-h-64 overflow-y-auto space-y-2">
+        {history.map(record => (
+          <button
+            key={record.id}
+            onClick={() => setSelectedId(record.id)}
+            className={`w-full text-left p-3 rounded-lg border ${
+              record.id === selected?.id
+                ? 'border-indigo-200 bg-indigo-50'
+                : isDark ? 'border-gray-700 hover:bg-gray-700' : 'hover:bg-gray-50'
+            }`}
+          >
+            <div className="flex items-center justify-between">
+              <span className={`text-sm font-medium ${record.id === selected?.id || !isDark ? 'text-gray-900' : 'text-white'}`}>
+                v{record.version}
+                {isCurrent(record) && <span className="ml-2 text-xs bg-green-100 text-green-700 px-2 py-1 rounded-full">current</span>}
+              </span>
+              <span className="text-xs text-gray-500">{formatDateTime(record.savedAt)}</span>
+            </div>
+            <p className="text-xs text-gray-500 mt-1">
+              {VERSION_SOURCES[record.source] || record.source}
+              {record.note && ` · ${record.note}`}
+              {record.savedBy && ` · ${record.savedBy}`}
+            </p>
+          </button>
+        ))}
+      </div>
+
+      {selected && (
+        <>
+          <div className="flex items-center justify-between">
+            <select value={compareWith} onChange={(e) => setCompareWith(e.target.value)}>
+              <option value="previous">Changes in v{selected.version}</option>
+              <option value="current">Differences from current v{current.version}</option>
+            </select>
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={() => onRun(selected)}
+                disabled={Boolean(runDeniedReason)}
+                title={runDeniedReason || `Run v${selected.version} as it was saved`}
+                className="inline-flex items-center px-3 py-1 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+              >
+                <Play className="w-4 h-4 mr-1" />
+                Run v{selected.version}
+              </button>
+              <button
+                onClick={() => onRollback(selected)}
+                disabled={Boolean(writeDeniedReason) || isCurrent(selected)}
+                title={writeDeniedReason || (isCurrent(selected)
+                  ? 'This is the current version'
+                  : `Save v${selected.version} again as the next version`)}
+                className={`inline-flex items-center px-3 py-1 rounded-md text-sm font-medium border disabled:opacity-50 ${isDark ? 'text-gray-200 hover:bg-gray-700' : 'text-gray-700 hover:bg-gray-50'}`}
+              >
+                <RotateCcw className="w-4 h-4 mr-1" />
+                Roll back
+              </button>
+            </div>
+          </div>
+
+          {diff ? (
+            <>
+              <DAGVisualizer dag={mergedDAG} diffStatus={diffStatus} />
+              <div className="flex items-center justify-between">
+                <p className={`text-sm font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>{describeDAGDiff(diff)}</p>
+                <div className="flex items-center space-x-3">
+                  {DIFF_LEGEND.map(status => (
+                    <span key={status} className={`flex items-center text-xs ${textClass}`}>
+                      <span className="inline-block w-3 h-3 rounded mr-1" style={{ backgroundColor: DIFF_COLORS[status].stroke }} />
+                      {status}
+                    </span>
+                  ))}
+                </div>
+              </div>
+              {renderChangeList()}
+            </>
+          ) : (
+            <>
+              <DAGVisualizer dag={selected.dag} />
+              <p className={`text-sm ${textClass}`}>The first recorded version of this DAG</p>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+// DAG Editor
+const toIdentifier = (value) => value.toLowerCase().replace(/[^a-z0-9_]+/g, '_');
+
+const DAGEditor = ({ initialDAG, isNew, existingIds, slots, onSave, onCancel, isDark }) => {
+  const [draft, setDraft] = useState(() => cloneDAG(initialDAG));
+  // Rows keep their key while a task is renamed, so its inputs don't remount
+  const [rowKeys, setRowKeys] = useState(() => Object.fromEntries(initialDAG.tasks.map((task, index) => [task.id, `row-${index}`])));
+  const nextRowKey = useRef(initialDAG.tasks.length);
+  // Task ids being typed, by row key: { value, error }. A rename is only
+  // applied on blur or save, so partial ids never reach the draft.
+  const [idDrafts, setIdDrafts] = useState({});
+
+  const errors = useMemo(() => {
+    const result = validateDAG(draft);
+    if (isNew && existingIds.includes(draft.id)) {
+      result.push({ code: 'duplicate_dag_id', message: `A DAG with id "${draft.id}" already exists` });
+    }
+    return result;
+  }, [draft, isNew, existingIds]);
+
+  const setField = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+  const changeTask = (taskId, changes) => setDraft(prev => updateTask(prev, taskId, changes));
+  const rowKeyOf = (taskId) => rowKeys[taskId] ?? taskId;
+
+  const handleAddTask = () => {
+    const next = addTask(draft);
+    const added = next.tasks[next.tasks.length - 1];
+    setRowKeys(prev => ({ ...prev, [added.id]: `row-${nextRowKey.current++}` }));
+    setDraft(next);
+  };
+
+  const handleRemoveTask = (taskId) => {
+    const rowKey = rowKeyOf(taskId);
+    setIdDrafts(prev => {
+      const next = { ...prev };
+      delete next[rowKey];
+      return next;
+    });
+    setDraft(prev => removeTask(prev, taskId));
+  };
+
+  // Applies pending id edits to `dag`; edits that would leave a task without an
+  // id or clash with another task stay pending with an error instead
+  const applyIdDrafts = (dag) => {
+    let next = dag;
+    const renamed = {};
+    const pending = {};
+    dag.tasks.forEach(task => {
+      const rowKey = rowKeyOf(task.id);
+      const edit = idDrafts[rowKey];
+      if (!edit || edit.value === task.id) return;
+      const error = validateTaskId(next, task.id, edit.value);
+      if (error) {
+        pending[rowKey] = { value: edit.value, error };
+      } else {
+        next = updateTask(next, task.id, { id: edit.value });
+        renamed[edit.value] = rowKey;
+      }
+    });
+    if (Object.keys(renamed).length > 0) {
+      setRowKeys(prev => ({ ...prev, ...renamed }));
+      setDraft(next);
+    }
+    setIdDrafts(pending);
+    return { dag: next, ok: Object.keys(pending).length === 0 };
+  };
+
+  // Simulation overrides; anything left unset falls back to the defaults for the task's type
+  const changeSimulation = (task, key, value) => {
+    const simulation = { ...task.simulation, [key]: value };
+    if (value === undefined) delete simulation[key];
+    changeTask(task.id, { simulation: Object.keys(simulation).length > 0 ? simulation : undefined });
+  };
+
+  const changeFailure = (task, failureClass, text) => {
+    const failure = { ...task.simulation?.failure };
+    if (text === '') {
+      delete failure[failureClass];
+    } else {
+      failure[failureClass] = Math.min(100, Math.max(0, parseFloat(text) || 0)) / 100;
+    }
+    changeSimulation(task, 'failure', Object.keys(failure).length > 0 ? failure : undefined);
+  };
+
+  // Resource overrides, also falling back to the type's defaults when cleared
+  const changeResource = (task, key, text) => {
+    const resources = { ...task.resources };
+    if (text === '') {
+      delete resources[key];
+    } else {
+      resources[key] = Math.max(0, parseFloat(text) || 0);
+    }
+    changeTask(task.id, { resources: Object.keys(resources).length > 0 ? resources : undefined });
+  };
+
+  const handleSave = () => {
+    const { dag, ok } = applyIdDrafts(draft);
+    if (!ok || errors.length > 0 || validateDAG(dag).length > 0) return;
+    // Saving an edit always produces a new version, even if nobody bumped it by hand
+    const version = !isNew && dag.version === initialDAG.version ? bumpVersion(dag.version) : dag.version;
+    onSave({ ...dag, version });
+  };
+
+  const idErrors = Object.values(idDrafts).filter(edit => edit.error);
+
+  const labelClass = `block text-xs font-medium ${isDark ? 'text-gray-300' : 'text-gray-700'} mb-1`;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h2 className={`text-xl font-semibold ${isDark ? 'text-white' : 'text-gray-900'}`}>
+          {isNew ? 'New DAG' : `Edit DAG: ${initialDAG.name}`}
+        </h2>
+        <div className="flex space-x-2">
+          <button
+            onClick={onCancel}
+            className={`px-3 py-2 rounded-md text-sm font-medium ${isDark ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-600 hover:bg-gray-100'}`}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={errors.length > 0 || idErrors.length > 0}
+            title={errors.length > 0 || idErrors.length > 0 ? 'Fix validation errors before saving' : undefined}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+          >
+            <Save className="w-4 h-4 mr-2" />
+            Save
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label className={labelClass}>DAG id</label>
+          <input
+            value={draft.id}
+            disabled={!isNew}
+            onChange={(e) => setField('id', toIdentifier(e.target.value))}
+            placeholder="my_pipeline"
+            className="w-full"
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Name</label>
+          <input
+            value={draft.name}
+            onChange={(e) => setField('name', e.target.value)}
+            placeholder="My Pipeline"
+            className="w-full"
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Description</label>
+          <input
+            value={draft.description}
+            onChange={(e) => setField('description', e.target.value)}
+            className="w-full"
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Version</label>
+          <div className="flex items-center space-x-2">
+            <input value={draft.version} onChange={(e) => setField('version', e.target.value)} className="flex-1" />
+            {['major', 'minor', 'patch'].map(part => (
+              <button
+                key={part}
+                onClick={() => setField('version', bumpVersion(draft.version, part))}
+                className={`px-2 py-1 rounded text-xs ${isDark ? 'bg-gray-700 text-gray-200' : 'bg-gray-100 text-gray-700'}`}
+                title={`Bump ${part} version`}
+              >
+                +{part}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div>
+        <p className={`text-xs ${isDark ? 'text-gray-400' : 'text-gray-500'} mb-2`}>
+          Drag from a task's right-hand port to another task to add a dependency; click an edge to remove it.
+        </p>
+        <DAGVisualizer
+          dag={draft}
+          onConnect={(from, to) => setDraft(prev => addDependency(prev, from, to))}
+          onDisconnect={(from, to) => setDraft(prev => removeDependency(prev, from, to))}
+        />
+      </div>
+
+      {errors.length > 0 && (
+        <div className="p-3 rounded bg-red-50 border border-red-200 text-sm text-red-600">
+          {errors.map((error, index) => (
+            <div key={index} className="flex items-center">
+              <AlertCircle className="w-4 h-4 mr-2" />
+              {error.message}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className={`text-lg font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>Tasks</h3>
+          <button
+            onClick={handleAddTask}
+            className="inline-flex items-center px-3 py-1 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700"
+          >
+            <Plus className="w-4 h-4 mr-1" />
+            Add Task
+          </button>
+        </div>
+        <div className="grid grid-cols-2 gap-4">
+          {draft.tasks.map((task) => {
+            const rowKey = rowKeyOf(task.id);
+            const idDraft = idDrafts[rowKey];
+            return (
+              <div key={rowKey} className={`p-4 ${isDark ? 'bg-gray-700' : 'bg-gray-50'} rounded-lg space-y-2`}>
+                <div className="flex items-center justify-between">
+                  <span className={`font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>{task.name || task.id}</span>
+                  <button
+                    onClick={() => handleRemoveTask(task.id)}
+                    className={`p-1 rounded ${isDark ? 'text-gray-300 hover:bg-gray-600' : 'text-gray-500 hover:bg-gray-100'}`}
+                    title="Remove task"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className={labelClass}>Id</label>
+                    <input
+                      value={idDraft?.value ?? task.id}
+                      onChange={(e) => setIdDrafts(prev => ({ ...prev, [rowKey]: { value: toIdentifier(e.target.value) } }))}
+                      onBlur={() => applyIdDrafts(draft)}
+                      className="w-full"
+                    />
+                    {idDraft?.error && <p className="text-xs text-red-600 mt-1">{idDraft.error}</p>}
+                  </div>
+                  <div>
+                    <label className={labelClass}>Name</label>
+                    <input
+                      value={task.name}
+                      onChange={(e) => changeTask(task.id, { name: e.target.value })}
+                      className="w-full"
+                    />
+                  </div>
+                  <div>
+                    <label className={labelClass}>Type</label>
+                    <select
+                      value={task.type}
+                      onChange={(e) => changeTask(task.id, { type: e.target.value })}
+                      className="w-full"
+                    >
+                      {TASK_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+                    </select>
+                  </div>
+                  <div>
+                    <label className={labelClass}>Retries</label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={task.retries ?? 0}
+                      onChange={(e) => changeTask(task.id, { retries: parseInt(e.target.value, 10) || 0 })}
+                      className="w-full"
+                    />
+                  </div>
+                  <div className="col-span-2">
+                    <label className={labelClass}>Duration (s)</label>
+                    <div className="flex items-center space-x-2">
+                      <select
+                        value={task.simulation?.duration?.distribution || ''}
+                        onChange={(e) => changeSimulation(task, 'duration', e.target.value
+                          ? createDuration(e.target.value, expectedDuration(resolveSimulationProfile(task).duration))
+                          : undefined)}
+                        className="w-full"
+                      >
+                        <option value="">Type default ({describeDuration(getTypeProfile(task.type).duration)})</option>
+                        {Object.entries(DURATION_DISTRIBUTIONS).map(([distribution, { label }]) => (
+                          <option key={distribution} value={distribution}>{label}</option>
+                        ))}
+                      </select>
+                      {task.simulation?.duration && DURATION_DISTRIBUTIONS[task.simulation.duration.distribution]?.params.map(param => (
+                        <input
+                          key={param}
+                          type="number"
+                          min="0"
+                          step="0.1"
+                          value={task.simulation.duration[param] ?? ''}
+                          onChange={(e) => changeSimulation(task, 'duration', {
+                            ...task.simulation.duration,
+                            [param]: parseFloat(e.target.value) || 0
+                          })}
+                          className="w-full"
+                          title={param}
+                        />
+                      ))}
+                    </div>
+                  </div>
+                  {['transient', 'permanent'].map(failureClass => (
+                    <div key={failureClass}>
+                      <label className={labelClass}>{failureClass === 'transient' ? 'Transient' : 'Permanent'} failures (%)</label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        step="0.5"
+                        value={task.simulation?.failure?.[failureClass] !== undefined
+                          ? Math.round(task.simulation.failure[failureClass] * 1000) / 10
+                          : ''}
+                        placeholder={`${Math.round(getTypeProfile(task.type).failure[failureClass] * 1000) / 10} (type default)`}
+                        onChange={(e) => changeFailure(task, failureClass, e.target.value)}
+                        className="w-full"
+                      />
+                    </div>
+                  ))}
+                  <div>
+                    <label className={labelClass}>Worker slot</label>
+                    <select
+                      value={task.slot || DEFAULT_SLOT}
+                      onChange={(e) => changeTask(task.id, { slot: e.target.value })}
+                      className="w-full"
+                    >
+                      {[...new Set([...slots, task.slot || DEFAULT_SLOT])].map(slot => (
+                        <option key={slot} value={slot}>{slot}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {[['cpu', 'CPU (vCPU)', '1'], ['memoryGb', 'Memory (GB)', '0.5']].map(([key, label, step]) => (
+                    <div key={key}>
+                      <label className={labelClass}>{label}</label>
+                      <input
+                        type="number"
+                        min="0"
+                        step={step}
+                        value={task.resources?.[key] ?? ''}
+                        placeholder={`${getTypeResources(task.type)[key]} (type default)`}
+                        onChange={(e) => changeResource(task, key, e.target.value)}
+                        className="w-full"
+                      />
+                    </div>
+                  ))}
+                  <div>
+                    <label className={labelClass}>Priority</label>
+                    <input
+                      type="number"
+                      value={task.priority ?? 0}
+                      onChange={(e) => changeTask(task.id, { priority: parseInt(e.target.value, 10) || 0 })}
+                      className="w-full"
+                    />
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+        {draft.tasks.length === 0 && (
+          <p className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-500'} text-center py-4`}>
+            No tasks yet
+          </p>
+        )}
+      </div>
     </div>
   );
 };
 
 // Metrics Dashboard
-const MetricsDashboard = ({ metrics }) => {
-  // Generate sample chart data
-  const chartData = Array.from({ length: 12 }, (_, i) => ({
-    time: i,
-    executions: Math.floor(Math.random() * 20) + 10,
-    success_rate: 80 + Math.random() * 15,
-    avg_time: 2 + Math.random() * 3
+// `now` is engine time: runs are stamped by the virtual clock, which runs
+// ahead of the wall clock at higher simulation speeds. It is rounded to the
+// window's bucket size so stats aren't recomputed on every engine event.
+const MetricsDashboard = ({ metrics, executions, dags, now }) => {
+  const [timeWindow, setTimeWindow] = useState('24h');
+  const metricsTime = getMetricsTime(now, timeWindow).getTime();
+  const stats = useMemo(
+    () => computeMetrics(executions, { window: timeWindow, dags, now: new Date(metricsTime) }),
+    [executions, timeWindow, dags, metricsTime]
+  );
+
+  const chartData = stats.throughput.map(bucket => ({
+    ...bucket,
+    time: stats.bucketSize < 24 * 60 * 60 * 1000
+      ? new Date(bucket.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+      : new Date(bucket.time).toLocaleDateString()
   }));
 
   return (
     <div className="space-y-6">
+      {/* Window Selector */}
+      <div className="flex items-center space-x-2">
+        {Object.entries(METRIC_WINDOWS).map(([key, option]) => (
+          <button
+            key={key}
+            onClick={() => setTimeWindow(key)}
+            className={`px-3 py-1 rounded-md text-sm font-medium ${
+              timeWindow === key ? 'bg-indigo-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-100'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+        <span className="text-sm text-gray-500">
+          {stats.runs} runs • {stats.throughputPerHour.toFixed(1)} runs/hour
+        </span>
+      </div>
+
       {/* Metric Cards */}
       <div className="grid grid-cols-4 gap-4">
         <div className="bg-white p-6 rounded-lg shadow border">
           <div className="flex items-center justify-between">
             <div>
               <p className="text-sm text-gray-600">Success Rate</p>
-              <p className="text-3xl font-bold text-green-600">{metrics.successRate.toFixed(1)}%</p>
+              <p className="text-3xl font-bold text-green-600">
+                {stats.successRate !== undefined ? `${stats.successRate.toFixed(1)}%` : '—'}
+              </p>
+              {stats.cancelled > 0 && (
+                <p className="text-xs text-gray-500 mt-1">{stats.cancelled} cancelled, not counted</p>
+              )}
             </div>
             <CheckCircle className="w-10 h-10 text-green-500" />
           </div>
@@ -368,8 +1068,9 @@ const MetricsDashboard = ({ metrics }) => {
         <div className="bg-white p-6 rounded-lg shadow border">
           <div className="flex items-center justify-between">
             <div>
-              <p className="text-sm text-gray-600">Avg Time</p>
-              <p className="text-3xl font-bold text-blue-600">{metrics.avgExecutionTime}s</p>
+              <p className="text-sm text-gray-600">Duration p50 / p95</p>
+              <p className="text-3xl font-bold text-blue-600">{formatDuration(stats.p50Duration)}</p>
+              <p className="text-xs text-gray-500 mt-1">p95 {formatDuration(stats.p95Duration)}</p>
             </div>
             <Clock className="w-10 h-10 text-blue-500" />
           </div>
@@ -379,7 +1080,8 @@ const MetricsDashboard = ({ metrics }) => {
           <div className="flex items-center justify-between">
             <div>
               <p className="text-sm text-gray-600">Active Workers</p>
-              <p className="text-3xl font-bold text-purple-600">{metrics.activeWorkers}</p>
+              <p className="text-3xl font-bold text-purple-600">{metrics.activeWorkers}/{metrics.totalWorkers}</p>
+              <p className="text-xs text-gray-500 mt-1">{metrics.workerUtilization.toFixed(0)}% utilization</p>
             </div>
             <Server className="w-10 h-10 text-purple-500" />
           </div>
@@ -404,9 +1106,10 @@ const MetricsDashboard = ({ metrics }) => {
             <LineChart data={chartData}>
               <CartesianGrid strokeDasharray="3 3" />
               <XAxis dataKey="time" />
-              <YAxis />
+              <YAxis allowDecimals={false} />
               <Tooltip />
               <Line type="monotone" dataKey="executions" stroke="#3b82f6" strokeWidth={2} />
+              <Line type="monotone" dataKey="failed" stroke="#ef4444" strokeWidth={2} />
             </LineChart>
           </ResponsiveContainer>
         </div>
@@ -417,81 +1120,2128 @@ const MetricsDashboard = ({ metrics }) => {
             <AreaChart data={chartData}>
               <CartesianGrid strokeDasharray="3 3" />
               <XAxis dataKey="time" />
-              <YAxis />
-              <Tooltip />
-              <Area type="monotone" dataKey="success_rate" stroke="#10b981" fill="#10b981" fillOpacity={0.3} />
+              <YAxis domain={[0, 100]} />
+              <Tooltip formatter={(value) => (value !== undefined ? `${value.toFixed(1)}%` : '—')} />
+              <Area type="monotone" dataKey="success_rate" stroke="#10b981" fill="#10b981" fillOpacity={0.3} connectNulls />
             </AreaChart>
           </ResponsiveContainer>
         </div>
       </div>
+
+      {/* Breakdowns */}
+      <div className="grid grid-cols-2 gap-6">
+        <div className="bg-white p-6 rounded-lg shadow border">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">By DAG</h3>
+          <table className="w-full text-sm text-left">
+            <thead>
+              <tr className="text-xs text-gray-500 border-b">
+                <th className="py-2 px-2">DAG</th>
+                <th className="py-2 px-2">Runs</th>
+                <th className="py-2 px-2">Success</th>
+                <th className="py-2 px-2">p50</th>
+                <th className="py-2 px-2">p95</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stats.byDAG.map(row => (
+                <tr key={row.dagId} className="border-b">
+                  <td className="py-2 px-2 text-gray-900">{row.name}</td>
+                  <td className="py-2 px-2 text-gray-600">{row.runs}</td>
+                  <td className="py-2 px-2 text-gray-600">{row.successRate !== undefined ? `${row.successRate.toFixed(1)}%` : '—'}</td>
+                  <td className="py-2 px-2 text-gray-600">{formatDuration(row.p50Duration)}</td>
+                  <td className="py-2 px-2 text-gray-600">{formatDuration(row.p95Duration)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {stats.byDAG.length === 0 && <p className="text-sm text-gray-500 text-center py-4">No runs in this window</p>}
+        </div>
+
+        <div className="bg-white p-6 rounded-lg shadow border">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">By Task Type</h3>
+          <table className="w-full text-sm text-left">
+            <thead>
+              <tr className="text-xs text-gray-500 border-b">
+                <th className="py-2 px-2">Type</th>
+                <th className="py-2 px-2">Runs</th>
+                <th className="py-2 px-2">Success</th>
+                <th className="py-2 px-2">Retries</th>
+                <th className="py-2 px-2">p50</th>
+                <th className="py-2 px-2">p95</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stats.byTaskType.map(row => (
+                <tr key={row.type} className="border-b">
+                  <td className="py-2 px-2 text-gray-900">{row.type}</td>
+                  <td className="py-2 px-2 text-gray-600">{row.runs}</td>
+                  <td className="py-2 px-2 text-gray-600">{row.successRate !== undefined ? `${row.successRate.toFixed(1)}%` : '—'}</td>
+                  <td className="py-2 px-2 text-gray-600">{row.retries}</td>
+                  <td className="py-2 px-2 text-gray-600">{formatDuration(row.p50Duration)}</td>
+                  <td className="py-2 px-2 text-gray-600">{formatDuration(row.p95Duration)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {stats.byTaskType.length === 0 && <p className="text-sm text-gray-500 text-center py-4">No task runs in this window</p>}
+        </div>
+      </div>
     </div>
   );
 };
 
-// AI Insights Component
-const AIInsights = () => {
-  const [appliedRecommendations, setAppliedRecommendations] = useState(new Set());
-  const [isApplying, setIsApplying] = useState(null);
-  const [showSuccessMessage, setShowSuccessMessage] = useState(null);
-
-  const recommendations = [
-    {
-      id: 1,
-      title: 'Optimize Scheduling',
-      description: 'Move ML training to off-peak hours to reduce costs by 30%',
-      impact: 'high',
-      savings: '$1,200/month'
-    },
-    {
-      id: 2,
-      title: 'Resource Right-sizing',
-      description: 'Reduce memory allocation for data extraction tasks',
-      impact: 'medium',
-      savings: '$600/month'
-    },
-    {
-      id: 3,
-      title: 'Add Circuit Breakers',
-      description: 'Implement retry logic for API calls to improve reliability',
-      impact: 'high',
-      savings: '2h downtime/month'
-    }
-  ];
-
-  const handleApplyRecommendation = async (recId) => {
-    setIsApplying(recId);
-    
-    // Simulate applying the recommendation
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    setAppliedRecommendations(prev => new Set([...prev, recId]));
-    setIsApplying(null);
-    
-    // Show success message
-    setShowSuccessMessage(recId);
-    setTimeout(() => setShowSuccessMessage(null), 3000);
-  };
+// Worker Pool Panel
+// `deniedReason` (set when the user can't manage the pool) disables the controls
+const WorkerPoolPanel = ({ stats, queuePolicy, onAddWorker, onRemoveWorker, onQueuePolicyChange, deniedReason }) => {
+  const [newWorkerSlot, setNewWorkerSlot] = useState(DEFAULT_SLOT);
+  const slotOptions = [...new Set([DEFAULT_SLOT, 'memory', 'gpu', ...stats.workers.flatMap(worker => worker.tags)])];
 
   return (
-    <div className="space-y-6">
-      {/* AI Overview */}
-      <div className="grid grid-cols-3 gap-4">
-        <div className="bg-gradient-to-r from-purple-500 to-pink-500 p-6 rounded-lg text-white">
-          <div className="flex items-center justify-between">
-            <div>
-              <p className="text-purple-100">AI Confidence</p>
-              <p className="text-3xl font-bold">89.2%</p>
-            </div>
-            <Brain className="w-10 h-10 text-purple-200" />
+    <div className="grid grid-cols-2 gap-6">
+      <div className="bg-white p-6 rounded-lg shadow border">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-medium text-gray-900">Workers</h3>
+          <div className="flex items-center space-x-2">
+            <select value={newWorkerSlot} onChange={(e) => setNewWorkerSlot(e.target.value)} disabled={Boolean(deniedReason)}>
+              {slotOptions.map(slot => <option key={slot} value={slot}>{slot}</option>)}
+            </select>
+            <button
+              onClick={() => onAddWorker([newWorkerSlot])}
+              disabled={Boolean(deniedReason)}
+              title={deniedReason}
+              className="inline-flex items-center px-3 py-1 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+            >
+              <Plus className="w-4 h-4 mr-1" />
+              Add
+            </button>
           </div>
         </div>
-        
-        <div className="bg-gradient-to-r from-green-500 to-teal-500 p-6 rounded-lg text-white">
-          <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-600 mb-4">
+          {stats.busy}/{stats.total} busy • {stats.utilization.toFixed(0)}% utilization
+        </p>
+        <div className="space-y-2">
+          {stats.workers.map(worker => (
+            <div key={worker.id} className="flex items-center justify-between p-2 rounded bg-gray-50 text-sm">
+              <div className="flex items-center space-x-2">
+                <Cpu className={`w-4 h-4 ${worker.current ? 'text-blue-600' : 'text-gray-400'}`} />
+                <span className="font-medium text-gray-900">{worker.id}</span>
+                <span className="text-xs text-gray-500">{worker.tags.join(', ')}</span>
+              </div>
+              <div className="flex items-center space-x-2">
+                <span className="text-xs text-gray-600">
+                  {worker.current ? `${worker.current.taskId}` : 'idle'} • {worker.utilization.toFixed(0)}% busy
+                </span>
+                <button
+                  onClick={() => onRemoveWorker(worker.id)}
+                  disabled={Boolean(deniedReason || worker.current)}
+                  className="p-1 rounded text-gray-500 hover:bg-gray-100 disabled:opacity-50"
+                  title={deniedReason || (worker.current ? 'Busy workers cannot be removed' : 'Remove worker')}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="bg-white p-6 rounded-lg shadow border">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-medium text-gray-900">Task Queue</h3>
+          <select
+            value={queuePolicy}
+            onChange={(e) => onQueuePolicyChange(e.target.value)}
+            disabled={Boolean(deniedReason)}
+            title={deniedReason}
+          >
+            {QUEUE_POLICIES.map(policy => <option key={policy} value={policy}>{policy.toUpperCase()}</option>)}
+          </select>
+        </div>
+        <table className="w-full text-sm text-left">
+          <thead>
+            <tr className="text-xs text-gray-500 border-b">
+              <th className="py-2 px-2">Task</th>
+              <th className="py-2 px-2">Run</th>
+              <th className="py-2 px-2">Slot</th>
+              <th className="py-2 px-2">Priority</th>
+              <th className="py-2 px-2">Waiting</th>
+            </tr>
+          </thead>
+          <tbody>
+            {stats.queue.map(entry => (
+              <tr key={`${entry.executionId}-${entry.taskId}`} className="border-b">
+                <td className="py-2 px-2 text-gray-900">{entry.taskId}</td>
+                <td className="py-2 px-2 text-gray-600">{entry.executionId}</td>
+                <td className="py-2 px-2 text-gray-600">{entry.slot}</td>
+                <td className="py-2 px-2 text-gray-600">{entry.priority}</td>
+                <td className="py-2 px-2 text-gray-600">{formatDuration(entry.waitingMs)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {stats.queue.length === 0 && <p className="text-sm text-gray-500 text-center py-4">Queue is empty</p>}
+      </div>
+    </div>
+  );
+};
+
+// Costs & Budgets
+const BUDGET_STYLES = {
+  ok: 'bg-green-100 text-green-700',
+  warn: 'bg-yellow-100 text-yellow-700',
+  error: 'bg-red-100 text-red-700'
+};
+const RUNS_SOURCE_LABELS = { schedule: 'from schedule', history: 'from recent runs', none: 'no runs yet' };
+
+const CostPanel = ({ projections, onBudgetChange, deniedReason }) => {
+  const monthlyTotal = projections.reduce((sum, projection) => sum + projection.monthlyCost, 0);
+  const spent = projections.reduce((sum, projection) => sum + projection.totalSpent, 0);
+  const warnings = projections.flatMap(projection =>
+    projection.warnings.map(warning => ({ ...warning, dagId: projection.dagId, name: projection.name })));
+
+  // Budgets are committed when an input loses focus, so typing doesn't log an edit per keystroke
+  const commitBudget = (projection, key, text) => {
+    const value = text === '' ? undefined : Math.max(0, parseFloat(text) || 0);
+    if (value === projection.budget[key]) return;
+    const budget = { ...projection.budget, [key]: value };
+    if (value === undefined) delete budget[key];
+    onBudgetChange(projection.dagId, budget);
+  };
+
+  const renderBudgetInput = (projection, key) => (
+    <input
+      key={`${projection.dagId}-${key}-${projection.budget[key] ?? ''}`}
+      type="number"
+      min="0"
+      step="1"
+      defaultValue={projection.budget[key] ?? ''}
+      placeholder="None"
+      onBlur={(e) => commitBudget(projection, key, e.target.value)}
+      disabled={Boolean(deniedReason)}
+      title={deniedReason}
+      className="w-24"
+    />
+  );
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow border">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-medium text-gray-900">Costs & Budgets</h3>
+        <p className="text-sm text-gray-600">
+          {formatCurrency(monthlyTotal)}/month projected • {formatCurrency(spent)} spent on recorded runs
+        </p>
+      </div>
+
+      {warnings.length > 0 && (
+        <div className="space-y-2 mb-4">
+          {warnings.map((warning, index) => (
+            <div key={index} className={`flex items-center p-2 rounded text-xs ${BUDGET_STYLES[warning.level]}`}>
+              <AlertCircle className="w-4 h-4 mr-2" />
+              <span className="font-medium mr-1">{warning.name}:</span>
+              {warning.message}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <table className="w-full text-sm text-left">
+        <thead>
+          <tr className="text-xs text-gray-500 border-b">
+            <th className="py-2 px-2">DAG</th>
+            <th className="py-2 px-2">Cost / run</th>
+            <th className="py-2 px-2">Runs / month</th>
+            <th className="py-2 px-2">Monthly projection</th>
+            <th className="py-2 px-2">On failed attempts</th>
+            <th className="py-2 px-2">Monthly budget ($)</th>
+            <th className="py-2 px-2">Per-run budget ($)</th>
+            <th className="py-2 px-2">Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          {projections.map(projection => (
+            <tr key={projection.dagId} className="border-b">
+              <td className="py-2 px-2 text-gray-900">{projection.name}</td>
+              <td className="py-2 px-2 text-gray-600">
+                {formatCurrency(projection.costPerRun)}
+                <span className="text-xs text-gray-400 ml-1">
+                  {projection.costedRuns > 0 ? `avg of ${projection.costedRuns}` : 'estimate'}
+                </span>
+              </td>
+              <td className="py-2 px-2 text-gray-600">
+                {projection.runsPerMonth.toFixed(0)}
+                <span className="text-xs text-gray-400 ml-1">{RUNS_SOURCE_LABELS[projection.runsSource]}</span>
+              </td>
+              <td className="py-2 px-2 text-gray-900 font-medium">{formatCurrency(projection.monthlyCost)}</td>
+              <td className="py-2 px-2 text-gray-600">{formatCurrency(projection.monthlyWaste)}</td>
+              <td className="py-2 px-2">{renderBudgetInput(projection, 'monthly')}</td>
+              <td className="py-2 px-2">{renderBudgetInput(projection, 'perRun')}</td>
+              <td className="py-2 px-2">
+                <span className={`text-xs px-2 py-1 rounded-full ${BUDGET_STYLES[projection.level]}`}>
+                  {{ ok: 'within budget', warn: 'near limit', error: 'over budget' }[projection.level]}
+                </span>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-xs text-gray-500 mt-2">
+        Each simulated second is billed as an hour of its worker type plus the CPU and memory the task requests.
+      </p>
+    </div>
+  );
+};
+
+// Compare View
+// Monte Carlo what-if: runs two variants (DAG version, workers, queue policy)
+// for N seeded iterations on private engines and charts the distributions.
+// Nothing here touches the real engine, its history or the worker pool.
+const VARIANT_STYLES = [
+  { name: 'A', color: '#6366f1', tag: 'bg-indigo-100 text-indigo-700' },
+  { name: 'B', color: '#10b981', tag: 'bg-green-100 text-green-700' }
+];
+
+const createComparisonEngine = ({ workers, queuePolicy }) => new TaskExecutionEngine({ workers, queuePolicy, speed: 'instant' });
+
+const formatChange = (change, lowerIsBetter = true) => {
+  if (change === undefined || !Number.isFinite(change)) return { text: '—', className: 'text-gray-500' };
+  const better = lowerIsBetter ? change < 0 : change > 0;
+  return {
+    text: `${change > 0 ? '+' : ''}${(change * 100).toFixed(1)}%`,
+    className: Math.abs(change) < 0.005 ? 'text-gray-500' : better ? 'text-green-600' : 'text-red-600'
+  };
+};
+
+const renderHistogram = (rows, format) => (
+  <ResponsiveContainer width="100%" height={220}>
+    <BarChart data={rows.map(row => ({ ...row, label: format(row.from) }))}>
+      <CartesianGrid strokeDasharray="3 3" />
+      <XAxis dataKey="label" />
+      <YAxis allowDecimals={false} />
+      <Tooltip
+        labelFormatter={(_, payload) => (payload?.[0] ? `${format(payload[0].payload.from)} – ${format(payload[0].payload.to)}` : '')}
+      />
+      <Bar dataKey="a" name="A" fill={VARIANT_STYLES[0].color} />
+      <Bar dataKey="b" name="B" fill={VARIANT_STYLES[1].color} />
+    </BarChart>
+  </ResponsiveContainer>
+);
+
+const ComparisonView = ({ versions, defaultVersionKey, poolConfig }) => {
+  const initialVariant = () => ({ versionKey: defaultVersionKey, workers: poolConfig.workers, queuePolicy: poolConfig.queuePolicy });
+  const [variants, setVariants] = useState(() => [initialVariant(), initialVariant()]);
+  const [iterations, setIterations] = useState(100);
+  const [concurrency, setConcurrency] = useState(1);
+  const [seedInput, setSeedInput] = useState('');
+  const [newWorkerSlot, setNewWorkerSlot] = useState(DEFAULT_SLOT);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [runError, setRunError] = useState(null);
+  const abortRef = useRef(null);
+
+  // Stop a comparison still running when the tab is left
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const versionsByKey = Object.fromEntries(versions.map(version => [version.key, version]));
+  const slotOptions = [...new Set([DEFAULT_SLOT, 'memory', 'gpu', ...poolConfig.workers.flatMap(worker => worker.tags)])];
+  const isRunning = progress !== null;
+
+  const updateVariant = (index, changes) => {
+    setVariants(prev => prev.map((variant, i) => (i === index ? { ...variant, ...changes } : variant)));
+  };
+
+  const addWorker = (index) => {
+    const { workers } = variants[index];
+    let n = workers.length + 1;
+    while (workers.some(worker => worker.id === `worker-${n}`)) n++;
+    updateVariant(index, { workers: [...workers, { id: `worker-${n}`, tags: [newWorkerSlot] }] });
+  };
+
+  const problems = variants.flatMap((variant, index) => {
+    const name = VARIANT_STYLES[index].name;
+    const version = versionsByKey[variant.versionKey];
+    if (!version) return [`${name}: pick a DAG version`];
+    if (validateDAG(version.dag).length > 0) return [`${name}: ${version.label} does not pass validation`];
+    return getMissingSlots(version.dag, variant.workers).map(slot => `${name}: no worker provides the "${slot}" slot`);
+  });
+
+  const handleRun = async () => {
+    const seed = parseSeed(seedInput) ?? randomSeed();
+    const runVariants = variants.map(variant => ({ ...variant, dag: versionsByKey[variant.versionKey].dag }));
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setResult(null);
+    setRunError(null);
+    setProgress(0);
+    try {
+      const samples = await runComparison({
+        variants: runVariants,
+        iterations,
+        concurrency,
+        seed,
+        createEngine: createComparisonEngine,
+        onProgress: setProgress,
+        signal: controller.signal
+      });
+      setResult({
+        seed,
+        labels: variants.map(variant => versionsByKey[variant.versionKey].label),
+        samples,
+        summaries: samples.map(summarizeSamples)
+      });
+    } catch (error) {
+      setRunError(error.message);
+    } finally {
+      abortRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  const renderVariant = (variant, index) => {
+    const style = VARIANT_STYLES[index];
+    return (
+      <div key={style.name} className="bg-white p-6 rounded-lg shadow border space-y-3">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-medium text-gray-900 flex items-center">
+            <span className={`text-xs px-2 py-1 rounded-full mr-2 ${style.tag}`}>{style.name}</span>
+            Variant {style.name}
+          </h3>
+          <button
+            onClick={() => updateVariant(index, { workers: poolConfig.workers, queuePolicy: poolConfig.queuePolicy })}
+            disabled={isRunning}
+            className="text-xs text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+          >
+            Reset to current pool
+          </button>
+        </div>
+        <label className="block text-sm text-gray-700">
+          DAG version
+          <select
+            value={variant.versionKey}
+            onChange={(e) => updateVariant(index, { versionKey: e.target.value })}
+            disabled={isRunning}
+            className="block w-full mt-1"
+          >
+            {!versionsByKey[variant.versionKey] && <option value="">Pick a version</option>}
+            {versions.map(version => <option key={version.key} value={version.key}>{version.label}</option>)}
+          </select>
+        </label>
+        <div>
+          <div className="flex items-center justify-between">
+            <span className="text-sm text-gray-700">Workers ({variant.workers.length})</span>
+            <div className="flex items-center space-x-2">
+              <select value={newWorkerSlot} onChange={(e) => setNewWorkerSlot(e.target.value)} disabled={isRunning}>
+                {slotOptions.map(slot => <option key={slot} value={slot}>{slot}</option>)}
+              </select>
+              <button
+                onClick={() => addWorker(index)}
+                disabled={isRunning}
+                className="inline-flex items-center px-2 py-1 rounded text-xs text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+              >
+                <Plus className="w-3 h-3 mr-1" />
+                Add
+              </button>
+            </div>
+          </div>
+          <div className="flex flex-wrap gap-2 mt-2">
+            {variant.workers.map(worker => (
+              <span key={worker.id} className="inline-flex items-center px-2 py-1 rounded bg-gray-50 border text-xs text-gray-700">
+                {worker.id} · {worker.tags.join(', ')}
+                <button
+                  onClick={() => updateVariant(index, { workers: variant.workers.filter(candidate => candidate.id !== worker.id) })}
+                  disabled={isRunning}
+                  className="ml-1 text-gray-400 hover:text-red-600 disabled:opacity-50"
+                  title="Remove worker"
+                >
+                  <XCircle className="w-3 h-3" />
+                </button>
+              </span>
+            ))}
+          </div>
+        </div>
+        <label className="block text-sm text-gray-700">
+          Queue policy
+          <select
+            value={variant.queuePolicy}
+            onChange={(e) => updateVariant(index, { queuePolicy: e.target.value })}
+            disabled={isRunning}
+            className="block w-full mt-1"
+          >
+            {QUEUE_POLICIES.map(policy => <option key={policy} value={policy}>{policy.toUpperCase()}</option>)}
+          </select>
+        </label>
+      </div>
+    );
+  };
+
+  // `format` gets the summary too, for values shown with their margin
+  const renderSummaryRow = (label, pick, format, lowerIsBetter) => {
+    const [a, b] = result.summaries.map(pick);
+    const change = formatChange(relativeChange(a, b), lowerIsBetter);
+    return (
+      <tr key={label} className="border-b">
+        <td className="py-2 px-2 text-gray-900">{label}</td>
+        <td className="py-2 px-2 text-gray-600">{a === undefined ? '—' : format(a, result.summaries[0])}</td>
+        <td className="py-2 px-2 text-gray-600">{b === undefined ? '—' : format(b, result.summaries[1])}</td>
+        <td className={`py-2 px-2 font-medium ${change.className}`}>{change.text}</td>
+      </tr>
+    );
+  };
+
+  const formatRate = (rate, summary) => `${(rate * 100).toFixed(1)}% ± ${(summary.successMargin * 100).toFixed(1)}%`;
+  const durationsOf = (samples) => samples.filter(sample => sample.status === 'completed').map(sample => sample.duration);
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-2 gap-6">
+        {variants.map(renderVariant)}
+      </div>
+
+      <div className="bg-white p-6 rounded-lg shadow border">
+        <div className="flex flex-wrap items-end gap-4">
+          <label className="text-sm text-gray-700">
+            Iterations
+            <input
+              type="number"
+              min={1}
+              max={MAX_COMPARISON_ITERATIONS}
+              value={iterations}
+              onChange={(e) => setIterations(Math.min(MAX_COMPARISON_ITERATIONS, Math.max(1, Number(e.target.value) || 1)))}
+              disabled={isRunning}
+              className="block w-24 mt-1 px-2 py-1 border rounded"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Concurrent runs
+            <input
+              type="number"
+              min={1}
+              max={MAX_COMPARISON_CONCURRENCY}
+              value={concurrency}
+              onChange={(e) => setConcurrency(Math.min(MAX_COMPARISON_CONCURRENCY, Math.max(1, Number(e.target.value) || 1)))}
+              disabled={isRunning}
+              className="block w-24 mt-1 px-2 py-1 border rounded"
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Seed
+            <input
+              value={seedInput}
+              onChange={(e) => setSeedInput(e.target.value)}
+              placeholder="random"
+              disabled={isRunning}
+              className="block w-24 mt-1 px-2 py-1 border rounded"
+            />
+          </label>
+          {isRunning ? (
+            <button
+              onClick={() => abortRef.current?.abort()}
+              className="inline-flex items-center px-4 py-2 rounded-md text-sm font-medium text-white bg-red-600 hover:bg-red-700"
+            >
+              <Square className="w-4 h-4 mr-2" />
+              Stop ({progress}/{iterations})
+            </button>
+          ) : (
+            <button
+              onClick={handleRun}
+              disabled={problems.length > 0}
+              title={problems.join('\n') || undefined}
+              className="inline-flex items-center px-4 py-2 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+            >
+              <Play className="w-4 h-4 mr-2" />
+              Run comparison
+            </button>
+          )}
+        </div>
+        <p className="text-xs text-gray-500 mt-2">
+          Both variants run the same seeds, so differences come from the variants themselves. Durations count completed runs only; cost counts every run. Success rates show a 95% interval.
+        </p>
+        {problems.length > 0 && (
+          <ul className="text-xs text-red-600 mt-2 space-y-1">
+            {problems.map(problem => <li key={problem}>• {problem}</li>)}
+          </ul>
+        )}
+        {runError && <p className="text-xs text-red-600 mt-2">Comparison failed: {runError}</p>}
+      </div>
+
+      {result && (
+        <>
+          <div className="bg-white p-6 rounded-lg shadow border">
+            <h3 className="text-lg font-medium text-gray-900 mb-1">Results</h3>
+            <p className="text-xs text-gray-500 mb-4">
+              {result.summaries[0].runs} run(s) per variant · seed {result.seed} · A: {result.labels[0]} · B: {result.labels[1]}
+            </p>
+            <table className="w-full text-sm text-left">
+              <thead>
+                <tr className="text-xs text-gray-500 border-b">
+                  <th className="py-2 px-2">Metric</th>
+                  <th className="py-2 px-2">A</th>
+                  <th className="py-2 px-2">B</th>
+                  <th className="py-2 px-2">B vs A</th>
+                </tr>
+              </thead>
+              <tbody>
+                {renderSummaryRow('Success rate', summary => summary.successRate, formatRate, false)}
+                {renderSummaryRow('Mean duration', summary => summary.duration?.mean, formatDuration, true)}
+                {renderSummaryRow('p50 duration', summary => summary.duration?.p50, formatDuration, true)}
+                {renderSummaryRow('p95 duration', summary => summary.duration?.p95, formatDuration, true)}
+                {renderSummaryRow('Mean cost per run', summary => summary.cost?.mean, formatCurrency, true)}
+                {renderSummaryRow('p95 cost per run', summary => summary.cost?.p95, formatCurrency, true)}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="grid grid-cols-2 gap-6">
+            <div className="bg-white p-6 rounded-lg shadow border">
+              <h3 className="text-lg font-medium text-gray-900 mb-4">Duration Distribution</h3>
+              {renderHistogram(buildHistogram(durationsOf(result.samples[0]), durationsOf(result.samples[1])), formatDuration)}
+            </div>
+            <div className="bg-white p-6 rounded-lg shadow border">
+              <h3 className="text-lg font-medium text-gray-900 mb-4">Cost Distribution</h3>
+              {renderHistogram(
+                buildHistogram(result.samples[0].map(sample => sample.cost), result.samples[1].map(sample => sample.cost)),
+                formatCurrency
+              )}
+            </div>
+          </div>
+
+          <div className="bg-white p-6 rounded-lg shadow border">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">Success Rate</h3>
+            <ResponsiveContainer width="100%" height={160}>
+              <BarChart
+                layout="vertical"
+                data={result.summaries.map((summary, index) => ({ name: VARIANT_STYLES[index].name, rate: summary.successRate * 100 }))}
+              >
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis type="number" domain={[0, 100]} />
+                <YAxis type="category" dataKey="name" />
+                <Tooltip formatter={(value) => `${value.toFixed(1)}%`} />
+                <Bar dataKey="rate" name="Success rate">
+                  {VARIANT_STYLES.map(style => <Cell key={style.name} fill={style.color} />)}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Execution Timeline (Gantt)
+const TIMELINE_TICK_STEPS = [500, 1000, 2000, 5000, 10000, 30000, 60000, 300000, 600000, 1800000, 3600000];
+
+const ExecutionTimeline = ({ dag, execution, now = new Date() }) => {
+  const labelWidth = 120;
+  const chartWidth = 480;
+  const rowHeight = 26;
+  const axisHeight = 24;
+
+  const criticalPath = useMemo(() => new Set(getExecutionCriticalPath(dag, execution)), [dag, execution]);
+
+  let order;
+  try {
+    order = topologicalSort(dag);
+  } catch {
+    order = dag.tasks.map(task => task.id);
+  }
+  const rows = order.map(id => ({ task: dag.tasks.find(task => task.id === id), run: execution.tasks[id] }));
+
+  const start = execution.startTime.getTime();
+  const end = Math.max(start + 1, (execution.endTime || now).getTime());
+  const scale = (time) => labelWidth + ((new Date(time).getTime() - start) / (end - start)) * chartWidth;
+
+  const tickStep = TIMELINE_TICK_STEPS.find(step => (end - start) / step <= 8) || TIMELINE_TICK_STEPS[TIMELINE_TICK_STEPS.length - 1];
+  const ticks = [];
+  for (let t = 0; t <= end - start; t += tickStep) ticks.push(t);
+
+  const height = axisHeight + rows.length * rowHeight + 8;
+
+  return (
+    <div>
+      <svg width="100%" viewBox={`0 0 ${labelWidth + chartWidth + 10} ${height}`} className="border border-gray-200 rounded bg-white">
+        {ticks.map(t => (
+          <g key={t}>
+            <line x1={scale(start + t)} y1={axisHeight - 4} x2={scale(start + t)} y2={height} stroke="#e5e7eb" />
+            <text x={scale(start + t)} y={axisHeight - 8} textAnchor="middle" fontSize="9" fill="#6b7280">
+              {formatDuration(t)}
+            </text>
+          </g>
+        ))}
+
+        {rows.map(({ task, run }, index) => {
+          const y = axisHeight + index * rowHeight;
+          const isCritical = criticalPath.has(task.id);
+          // Reused results ran in an earlier execution, outside this timeline
+          const attempts = run?.reused ? [] : run?.attempts || [];
+          return (
+            <g key={task.id}>
+              <text x={labelWidth - 8} y={y + rowHeight / 2 + 4} textAnchor="end" fontSize="11" fill="#374151" fontWeight={isCritical ? 'bold' : 'normal'}>
+                {truncateLabel(task.name, 18)}
+              </text>
+
+              {/* Waits between attempts are retry backoff */}
+              {attempts.slice(1).map((attempt, i) => (
+                <line
+                  key={`wait-${attempt.number}`}
+                  x1={scale(attempts[i].endTime || now)}
+                  x2={scale(attempt.startTime)}
+                  y1={y + rowHeight / 2}
+                  y2={y + rowHeight / 2}
+                  stroke="#eab308"
+                  strokeDasharray="3 3"
+                />
+              ))}
+
+              {attempts.map(attempt => {
+                const status = attempt.status || run.status;
+                const x = scale(attempt.startTime);
+                return (
+                  <rect
+                    key={attempt.number}
+                    x={x}
+                    y={y + 5}
+                    width={Math.max(2, scale(attempt.endTime || now) - x)}
+                    height={rowHeight - 10}
+                    rx="3"
+                    fill={(NODE_COLORS[status] || NODE_COLORS.running).fill}
+                    stroke={isCritical ? '#4f46e5' : 'none'}
+                    strokeWidth={isCritical ? 2 : 0}
+                  >
+                    <title>
+                      {`${task.name} — attempt ${attempt.number} (${status}): ${formatDuration((attempt.endTime || now) - attempt.startTime)}`}
+                    </title>
+                  </rect>
+                );
+              })}
+
+              {(run?.reused || !run?.startTime) && run?.status && (
+                <text x={labelWidth + 4} y={y + rowHeight / 2 + 4} fontSize="10" fill={run.reused ? '#10b981' : '#f97316'}>
+                  {run.reused ? 'reused from previous run' : run.status.replace('_', ' ')}
+                </text>
+              )}
+            </g>
+          );
+        })}
+      </svg>
+      <div className="flex items-center space-x-4 mt-2 text-xs text-gray-500">
+        <span className="flex items-center">
+          <span className="inline-block w-3 h-3 rounded mr-1" style={{ border: '2px solid #4f46e5' }} />
+          Critical path
+        </span>
+        <span className="flex items-center">
+          <span className="inline-block w-4 mr-1" style={{ borderTop: '1px dashed #eab308' }} />
+          Retry backoff
+        </span>
+      </div>
+    </div>
+  );
+};
+
+// Execution History
+// `now` is the engine's simulated time, which runs ahead of the wall clock at higher speeds.
+// A run's drill-down uses the DAG version it ran (`versionsById`), not the current definition.
+const ExecutionHistory = ({ executions, dags, versionsById = {}, runControls, onViewLogs, now = new Date() }) => {
+  const [dagFilter, setDagFilter] = useState('all');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [selectedRunId, setSelectedRunId] = useState(null);
+  const [replayTime, setReplayTime] = useState(null);
+
+  const filtered = executions.filter(execution =>
+    (dagFilter === 'all' || execution.dag === dagFilter) &&
+    (statusFilter === 'all' || execution.status === statusFilter)
+  );
+  const selectedRun = executions.find(execution => execution.id === selectedRunId);
+  const selectedDAG = selectedRun && getRunDAG(selectedRun, dags, versionsById);
+  const costBreakdown = selectedRun ? getRunCostBreakdown(selectedRun) : null;
+
+  const runStart = selectedRun?.startTime.getTime();
+  const runEnd = (selectedRun?.endTime || now).getTime();
+  const replayed = selectedRun && replayTime !== null
+    ? getExecutionAt(selectedRun, new Date(replayTime))
+    : selectedRun;
+
+  const selectRun = (id) => {
+    setSelectedRunId(id);
+    setReplayTime(null);
+  };
+
+  return (
+    <div className="grid grid-cols-12 gap-8">
+      <div className={selectedRun ? 'col-span-6' : 'col-span-12'}>
+        <div className="bg-white rounded-lg shadow border p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-medium text-gray-900">Runs</h3>
+            <div className="flex items-center space-x-2">
+              <select value={dagFilter} onChange={(e) => setDagFilter(e.target.value)}>
+                <option value="all">All DAGs</option>
+                {Object.values(dags).map(dag => <option key={dag.id} value={dag.id}>{dag.name}</option>)}
+              </select>
+              <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+                <option value="all">All statuses</option>
+                {['running', 'paused', 'completed', 'failed', 'cancelled'].map(status => (
+                  <option key={status} value={status}>{status}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-left">
+              <thead>
+                <tr className="text-xs text-gray-500 border-b">
+                  <th className="py-2 px-2">DAG</th>
+                  <th className="py-2 px-2">Status</th>
+                  <th className="py-2 px-2">Started</th>
+                  <th className="py-2 px-2">Ended</th>
+                  <th className="py-2 px-2">Duration</th>
+                  <th className="py-2 px-2">Cost</th>
+                </tr>
+              </thead>
+              <tbody>
+                {filtered.map(execution => (
+                  <tr
+                    key={execution.id}
+                    onClick={() => selectRun(execution.id)}
+                    className={`border-b cursor-pointer ${execution.id === selectedRunId ? 'bg-indigo-50' : 'hover:bg-gray-50'}`}
+                  >
+                    <td className="py-2 px-2 text-gray-900">
+                      {dags[execution.dag]?.name || execution.dag}
+                      {execution.dagVersion && <span className="ml-1 text-xs text-gray-400">v{execution.dagVersion}</span>}
+                      {execution.trigger === 'schedule' && (
+                        <span className="ml-1 text-gray-400" title="Started by a schedule">
+                          <Clock className="inline-block w-3 h-3" />
+                        </span>
+                      )}
+                      {execution.trigger === 'backfill' && (
+                        <span className="ml-1 text-gray-400" title={`Backfill for ${formatDateTime(execution.logicalDate)}`}>
+                          <History className="inline-block w-3 h-3" />
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-2 px-2"><TaskStatusBadge status={execution.status} /></td>
+                    <td className="py-2 px-2 text-gray-600">{formatDateTime(execution.startTime)}</td>
+                    <td className="py-2 px-2 text-gray-600">{formatDateTime(execution.endTime)}</td>
+                    <td className="py-2 px-2 text-gray-600">{formatDuration(getExecutionDuration(execution))}</td>
+                    <td className="py-2 px-2 text-gray-600">{formatCurrency(execution.cost)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {filtered.length === 0 && (
+              <p className="text-sm text-gray-500 text-center py-4">No runs match these filters</p>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {selectedRun && (
+        <div className="col-span-6">
+          <div className="bg-white rounded-lg shadow border p-6 space-y-4">
+            <div className="flex items-center justify-between">
+              <div>
+                <h3 className="text-lg font-medium text-gray-900">{selectedDAG?.name || selectedRun.dag}</h3>
+                <p className="text-xs text-gray-500 mt-1">
+                  Run {selectedRun.id}
+                  {selectedRun.dagVersion && ` · v${selectedRun.dagVersion}`}
+                  {selectedRun.seed !== undefined && ` · seed ${selectedRun.seed}`}
+                  {selectedRun.trigger === 'schedule' && ` · scheduled for ${formatDateTime(selectedRun.logicalDate)}`}
+                  {selectedRun.trigger === 'backfill' && ` · backfill for ${formatDateTime(selectedRun.logicalDate)}`}
+                  {selectedRun.retryOf && ` · rerun of ${selectedRun.retryOf}`}
+                  {selectedRun.startedBy && ` · started by ${selectedRun.startedBy}`}
+                  {` · ${formatCurrency(selectedRun.cost)}`}
+                  {costBreakdown.wasted > 0 && ` (${formatCurrency(costBreakdown.wasted)} on failed attempts)`}
+                </p>
+              </div>
+              <div className="flex items-center space-x-2">
+                <TaskStatusBadge status={replayed.status} />
+                <RunControls
+                  execution={selectedRun}
+                  {...runControls}
+                  onRerun={selectedDAG && runControls.onRerun}
+                  onReplay={selectedDAG && runControls.onReplay}
+                />
+                <button
+                  onClick={() => onViewLogs(selectedRun.id)}
+                  className="p-2 rounded-md text-gray-600 hover:bg-gray-100"
+                  title="View logs for this run"
+                >
+                  <FileText className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => selectRun(null)}
+                  className="p-2 rounded-md text-gray-600 hover:bg-gray-100"
+                  title="Close"
+                >
+                  <XCircle className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+
+            {selectedRun.error && (
+              <div className="p-2 rounded bg-red-50 border border-red-200 text-xs text-red-600">{selectedRun.error}</div>
+            )}
+
+            {selectedDAG ? (
+              <>
+                <DAGVisualizer dag={selectedDAG} execution={replayed} />
+                <div className="flex items-center space-x-2 text-xs text-gray-600">
+                  <History className="w-4 h-4" />
+                  <input
+                    type="range"
+                    min={runStart}
+                    max={runEnd}
+                    value={replayTime ?? runEnd}
+                    onChange={(e) => setReplayTime(Number(e.target.value))}
+                    className="flex-1"
+                    title="Replay the run"
+                  />
+                  <span>+{formatDuration((replayTime ?? runEnd) - runStart)}</span>
+                </div>
+              </>
+            ) : (
+              <p className="text-sm text-gray-500">The DAG for this run no longer exists.</p>
+            )}
+
+            {selectedDAG && (
+              <div>
+                <h4 className="text-sm font-medium text-gray-900 mb-2">Timeline</h4>
+                <ExecutionTimeline dag={selectedDAG} execution={selectedRun} now={now} />
+              </div>
+            )}
+
+            <table className="w-full text-xs text-left">
+              <thead>
+                <tr className="text-gray-500 border-b">
+                  <th className="py-2 px-2">Task</th>
+                  <th className="py-2 px-2">Status</th>
+                  <th className="py-2 px-2">Start</th>
+                  <th className="py-2 px-2">End</th>
+                  <th className="py-2 px-2">Duration</th>
+                  <th className="py-2 px-2">Retries</th>
+                  <th className="py-2 px-2">Cost</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.values(selectedRun.tasks).map(task => (
+                  <React.Fragment key={task.id}>
+                    <tr className="border-b">
+                      <td className="py-2 px-2 text-gray-900">{task.id}</td>
+                      <td className="py-2 px-2">
+                        <TaskStatusBadge status={task.status} />
+                        {task.reused && <span className="ml-1 text-gray-500">reused</span>}
+                      </td>
+                      <td className="py-2 px-2 text-gray-600">{formatTime(task.startTime)}</td>
+                      <td className="py-2 px-2 text-gray-600">{formatTime(task.endTime)}</td>
+                      <td className="py-2 px-2 text-gray-600">
+                        {formatDuration(task.startTime && task.endTime ? task.endTime - task.startTime : undefined)}
+                      </td>
+                      <td className="py-2 px-2 text-gray-600">{task.retries}</td>
+                      <td
+                        className="py-2 px-2 text-gray-600"
+                        title={task.resources && `${task.slot} worker · ${describeResources(task.resources)}`}
+                      >
+                        {task.reused ? '—' : formatCurrency(task.cost)}
+                      </td>
+                    </tr>
+                    {task.error && (
+                      <tr className="border-b">
+                        <td colSpan={7} className="py-1 px-2 text-red-600">{task.error}</td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Log Viewer
+// Structured engine and task logs with run/task/level filters, search, follow-tail and download
+const LOG_LEVEL_STYLES = {
+  debug: 'text-gray-400',
+  info: 'text-blue-600',
+  warn: 'text-yellow-600',
+  error: 'text-red-600'
+};
+// Older lines stay searchable and downloadable; rendering them all would slow the page down
+const MAX_VISIBLE_LOGS = 1000;
+
+const LogViewer = ({ logs, dags, initialRunId = 'all' }) => {
+  const [filters, setFilters] = useState({ runId: initialRunId, taskId: 'all', level: 'debug', query: '' });
+  const [follow, setFollow] = useState(true);
+  const scrollRef = useRef(null);
+
+  // Newest run first
+  const runs = [...new Map(logs.filter(log => log.runId).map(log => [log.runId, log.dagId])).entries()].reverse();
+  const taskIds = [...new Set(logs
+    .filter(log => log.taskId && (filters.runId === 'all' || log.runId === filters.runId))
+    .map(log => log.taskId))];
+  const filtered = filterLogs(logs, filters);
+  const visible = filtered.slice(-MAX_VISIBLE_LOGS);
+  const lastVisibleId = visible[visible.length - 1]?.id;
+  const setFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+  useEffect(() => {
+    if (follow && scrollRef.current) scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
+  }, [follow, lastVisibleId]);
+
+  // Scrolling up to read stops following; scrolling back to the bottom resumes it
+  const handleScroll = () => {
+    const element = scrollRef.current;
+    setFollow(element.scrollHeight - element.scrollTop - element.clientHeight < 20);
+  };
+
+  const download = (format) => {
+    const { extension, mimeType, serialize } = LOG_EXPORT_FORMATS[format];
+    downloadFile(serialize(filtered), `logs-${filters.runId}.${extension}`, mimeType);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow border p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-2">
+          <select
+            value={filters.runId}
+            onChange={(e) => setFilters(prev => ({ ...prev, runId: e.target.value, taskId: 'all' }))}
+          >
+            <option value="all">All runs</option>
+            {runs.map(([runId, dagId]) => (
+              <option key={runId} value={runId}>{dags[dagId]?.name || dagId} · {runId}</option>
+            ))}
+          </select>
+          <select value={filters.taskId} onChange={(e) => setFilter('taskId', e.target.value)}>
+            <option value="all">All tasks</option>
+            {taskIds.map(taskId => <option key={taskId} value={taskId}>{taskId}</option>)}
+          </select>
+          <select value={filters.level} onChange={(e) => setFilter('level', e.target.value)} title="Minimum level">
+            {LOG_LEVELS.map(level => <option key={level} value={level}>{level} and above</option>)}
+          </select>
+          <input
+            value={filters.query}
+            onChange={(e) => setFilter('query', e.target.value)}
+            placeholder="Search messages and fields"
+            className="w-64"
+          />
+        </div>
+        <div className="flex items-center space-x-2">
+          <label className="flex items-center text-sm text-gray-700">
+            <input type="checkbox" checked={follow} onChange={(e) => setFollow(e.target.checked)} className="mr-2" />
+            Follow
+          </label>
+          {Object.keys(LOG_EXPORT_FORMATS).map(format => (
+            <button
+              key={format}
+              onClick={() => download(format)}
+              disabled={filtered.length === 0}
+              className="inline-flex items-center px-2 py-1 rounded-md text-xs font-medium text-gray-600 hover:bg-gray-100"
+              title={`Download ${filtered.length} line(s) as ${LOG_EXPORT_FORMATS[format].extension}`}
+            >
+              <Download className="w-4 h-4 mr-1" />
+              {format.toUpperCase()}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <p className="text-xs text-gray-500 mb-2">
+        {filtered.length} of {logs.length} line(s)
+        {filtered.length > visible.length && ` · showing the last ${visible.length}; download for the rest`}
+      </p>
+      <div ref={scrollRef} onScroll={handleScroll} className="h-96 overflow-y-auto border rounded p-2 font-mono text-xs">
+        {visible.map(log => (
+          <div key={log.id} className={`py-1 break-all ${log.source === 'task' ? 'text-gray-700' : 'text-gray-900'}`}>
+            <span className="text-gray-400">{formatTime(log.timestamp)} </span>
+            <span className={LOG_LEVEL_STYLES[log.level] || LOG_LEVEL_STYLES.info}>{(log.level || 'info').toUpperCase()} </span>
+            {log.taskId && <span className="text-gray-500">[{log.taskId}{log.attempt ? `#${log.attempt}` : ''}] </span>}
+            {log.message}
+            {log.fields && Object.keys(log.fields).length > 0 && (
+              <span className="text-gray-400"> {formatFields(log.fields)}</span>
+            )}
+          </div>
+        ))}
+        {visible.length === 0 && (
+          <p className="text-sm text-gray-500 text-center py-4">No log lines match</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Schedules
+// `now` is the engine's simulated time, so next fire times line up with the speed setting
+const SchedulesView = ({ statuses, dags, now, speed, onSave, onRemove, onTogglePaused, deniedReason }) => {
+  const [form, setForm] = useState(null); // { isNew, schedule } while adding or editing
+
+  const unscheduled = Object.values(dags).filter(dag => !statuses.some(status => status.dagId === dag.id));
+  const formErrors = form ? validateSchedule(form.schedule) : [];
+  const setField = (field, value) => setForm(prev => ({ ...prev, schedule: { ...prev.schedule, [field]: value } }));
+
+  const openNew = () => {
+    if (unscheduled.length === 0) return;
+    setForm({ isNew: true, schedule: createSchedule(unscheduled[0].id, {}, now) });
+  };
+
+  const save = () => {
+    if (formErrors.length > 0) return;
+    onSave(form.schedule);
+    setForm(null);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow border p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">Schedules</h3>
+            <p className="text-xs text-gray-500 mt-1">
+              Simulated time {formatDateTime(now)} · {formatSpeed(speed)}
+              {speed === 'instant' && ' — scheduled runs fire back to back'}
+            </p>
+          </div>
+          <button
+            onClick={openNew}
+            disabled={Boolean(deniedReason) || unscheduled.length === 0}
+            title={deniedReason || (unscheduled.length === 0 ? 'Every DAG already has a schedule' : undefined)}
+            className="inline-flex items-center px-3 py-1 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+          >
+            <Plus className="w-4 h-4 mr-1" />
+            Add Schedule
+          </button>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm text-left">
+            <thead>
+              <tr className="text-xs text-gray-500 border-b">
+                <th className="py-2 px-2">DAG</th>
+                <th className="py-2 px-2">Schedule</th>
+                <th className="py-2 px-2">Window</th>
+                <th className="py-2 px-2">Next run</th>
+                <th className="py-2 px-2">Last fired</th>
+                <th className="py-2 px-2">Runs</th>
+                <th className="py-2 px-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {statuses.map(status => (
+                <React.Fragment key={status.dagId}>
+                  <tr className="border-b">
+                    <td className="py-2 px-2 text-gray-900">{dags[status.dagId]?.name || status.dagId}</td>
+                    <td className="py-2 px-2 text-gray-600">
+                      <code>{describeSchedule(status)}</code>
+                      {status.catchup && <span className="ml-1 text-xs text-gray-500">catch-up</span>}
+                    </td>
+                    <td className="py-2 px-2 text-gray-600 text-xs">
+                      {status.startDate || status.endDate
+                        ? `${formatDateTime(status.startDate)} → ${status.endDate ? formatDateTime(status.endDate) : '∞'}`
+                        : 'Always'}
+                    </td>
+                    <td className="py-2 px-2 text-gray-600">
+                      {status.paused ? 'Paused' : status.nextFireTime
+                        ? `${formatDateTime(status.nextFireTime)} (in ${formatDuration(status.nextFireTime - now)})`
+                        : 'Ended'}
+                    </td>
+                    <td className="py-2 px-2 text-gray-600">{formatDateTime(status.lastFireTime)}</td>
+                    <td className="py-2 px-2 text-gray-600" title="Active / max active (waiting)">
+                      {status.activeRuns}/{status.maxActiveRuns}
+                      {status.pendingRuns > 0 && ` (+${status.pendingRuns} waiting)`}
+                    </td>
+                    <td className="py-2 px-2">
+                      <div className="flex items-center">
+                        <button
+                          onClick={() => onTogglePaused(status.dagId, !status.paused)}
+                          disabled={Boolean(deniedReason)}
+                          className="p-1 rounded-md text-gray-600 hover:bg-gray-100 disabled:opacity-50"
+                          title={deniedReason || (status.paused ? 'Resume schedule' : 'Pause schedule')}
+                        >
+                          {status.paused ? <Play className="w-4 h-4" /> : <Pause className="w-4 h-4" />}
+                        </button>
+                        <button
+                          onClick={() => setForm({ isNew: false, schedule: toScheduleRecord(status) })}
+                          disabled={Boolean(deniedReason)}
+                          className="p-1 rounded-md text-gray-600 hover:bg-gray-100 disabled:opacity-50"
+                          title={deniedReason || 'Edit schedule'}
+                        >
+                          <Pencil className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => onRemove(status.dagId)}
+                          disabled={Boolean(deniedReason)}
+                          className="p-1 rounded-md text-gray-600 hover:bg-gray-100 disabled:opacity-50"
+                          title={deniedReason || 'Remove schedule'}
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                  {status.error && (
+                    <tr className="border-b">
+                      <td colSpan={7} className="py-1 px-2 text-xs text-red-600">{status.error}</td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+          {statuses.length === 0 && (
+            <p className="text-sm text-gray-500 text-center py-4">No schedules yet</p>
+          )}
+        </div>
+      </div>
+
+      {form && (
+        <div className="bg-white rounded-lg shadow border p-6 space-y-4">
+          <h3 className="text-lg font-medium text-gray-900">{form.isNew ? 'New schedule' : 'Edit schedule'}</h3>
+          <div className="grid grid-cols-3 gap-4">
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">DAG</label>
+              <select
+                value={form.schedule.dagId}
+                disabled={!form.isNew}
+                onChange={(e) => setForm(prev => ({ ...prev, schedule: { ...prev.schedule, id: e.target.value, dagId: e.target.value } }))}
+                className="w-full"
+              >
+                {(form.isNew ? unscheduled : [dags[form.schedule.dagId] || { id: form.schedule.dagId }]).map(dag => (
+                  <option key={dag.id} value={dag.id}>{dag.name || dag.id}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Trigger</label>
+              <select value={form.schedule.kind} onChange={(e) => setField('kind', e.target.value)} className="w-full">
+                <option value="cron">Cron expression</option>
+                <option value="interval">Fixed interval</option>
+              </select>
+            </div>
+            <div>
+              {form.schedule.kind === 'cron' ? (
+                <>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">Cron (min hour day month weekday)</label>
+                  <input
+                    value={form.schedule.cron}
+                    onChange={(e) => setField('cron', e.target.value)}
+                    placeholder="0 * * * * or @daily"
+                    className="w-full"
+                  />
+                </>
+              ) : (
+                <>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">Every (minutes)</label>
+                  <input
+                    type="number"
+                    min="1"
+                    value={form.schedule.intervalMinutes}
+                    onChange={(e) => setField('intervalMinutes', parseFloat(e.target.value) || 0)}
+                    className="w-full"
+                  />
+                </>
+              )}
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Start date</label>
+              <input
+                type="datetime-local"
+                value={toDateTimeInput(form.schedule.startDate)}
+                onChange={(e) => setField('startDate', fromDateTimeInput(e.target.value))}
+                className="w-full"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">End date</label>
+              <input
+                type="datetime-local"
+                value={toDateTimeInput(form.schedule.endDate)}
+                onChange={(e) => setField('endDate', fromDateTimeInput(e.target.value))}
+                className="w-full"
+              />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-700 mb-1">Max active runs</label>
+              <input
+                type="number"
+                min="1"
+                value={form.schedule.maxActiveRuns}
+                onChange={(e) => setField('maxActiveRuns', parseInt(e.target.value, 10) || 0)}
+                className="w-full"
+              />
+            </div>
+          </div>
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.schedule.catchup}
+              onChange={(e) => setField('catchup', e.target.checked)}
+              className="mr-2"
+            />
+            Catch up: run every missed interval since the start date (otherwise only the latest)
+          </label>
+
+          {formErrors.length > 0 && (
+            <div className="p-2 rounded bg-red-50 border border-red-200 text-xs text-red-600">
+              {formErrors.map(error => <div key={error}>{error}</div>)}
+            </div>
+          )}
+
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={save}
+              disabled={formErrors.length > 0}
+              className="inline-flex items-center px-3 py-1 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+            >
+              <Save className="w-4 h-4 mr-1" />
+              Save
+            </button>
+            <button onClick={() => setForm(null)} className="px-3 py-1 rounded-md text-sm text-gray-600 hover:bg-gray-100">
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Backfill Panel
+// Runs a DAG once per interval over a past range; the grid shows each logical date's latest run
+const BACKFILL_CELL = 14;
+const BACKFILL_LABEL_WIDTH = 140;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const BackfillPanel = ({ dags, schedules, executions, backfills, now, getQueuedDates, onStart, onCancel, deniedReason }) => {
+  const [dagId, setDagId] = useState(() => Object.keys(dags)[0] || '');
+  const [range, setRange] = useState(() => ({ start: new Date(now).setHours(0, 0, 0, 0) - 7 * DAY_MS, end: now.getTime() }));
+  const [intervalKey, setIntervalKey] = useState('daily');
+  const [maxActiveRuns, setMaxActiveRuns] = useState(2);
+  const [includeSucceeded, setIncludeSucceeded] = useState(false);
+
+  const dag = dags[dagId];
+  const schedule = schedules.find(candidate => candidate.dagId === dagId);
+  const intervals = schedule
+    ? { ...BACKFILL_INTERVALS, schedule: { ...schedule, label: `DAG schedule (${describeSchedule(schedule)})` } }
+    : BACKFILL_INTERVALS;
+  const interval = intervals[intervalKey] || BACKFILL_INTERVALS.daily;
+
+  const problems = [];
+  if (!dag) problems.push('Choose a DAG');
+  else if (validateDAG(dag).length > 0) problems.push('The DAG is invalid; fix it in the editor first');
+  if (!range.start || !range.end || range.end < range.start) problems.push('Choose a start date before the end date');
+  else if (range.end > now) problems.push('Backfills cover past dates only; the end date is in the future');
+  if (!(Number.isInteger(maxActiveRuns) && maxActiveRuns >= 1)) problems.push('Max concurrent runs must be a whole number of at least 1');
+
+  const dates = problems.length === 0 ? getBackfillDates(interval, range.start, range.end) : [];
+  if (dates.length > MAX_BACKFILL_RUNS) problems.push(`More than ${MAX_BACKFILL_RUNS} runs; narrow the range or widen the interval`);
+
+  const runs = getRunsByLogicalDate(executions, dagId);
+  const queued = getQueuedDates(dagId);
+  // Dates that are queued or running already are never enqueued twice
+  const toRun = dates.filter(time => {
+    const status = runs.get(time)?.status;
+    if (queued.has(time) || status === 'running' || status === 'paused') return false;
+    return includeSucceeded || status !== 'completed';
+  });
+
+  const start = () => {
+    if (deniedReason || problems.length > 0 || toRun.length === 0) return;
+    onStart({ dag, dates: toRun, maxActiveRuns });
+  };
+
+  const gridDates = problems.length === 0 ? dates : [];
+  const rows = [{ id: null, label: 'Run' }, ...(dag?.tasks || []).map(task => ({ id: task.id, label: task.name || task.id }))];
+  const cellStatus = (time, taskId) => {
+    const run = runs.get(time);
+    if (!run) return queued.has(time) ? 'queued' : null;
+    return taskId === null ? run.status : run.tasks[taskId]?.status || 'pending';
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow border p-6 space-y-4">
+      <div>
+        <h3 className="text-lg font-medium text-gray-900">Backfill</h3>
+        <p className="text-xs text-gray-500 mt-1">
+          One run per interval across a past date range, each with the interval start as its logical date
+        </p>
+      </div>
+
+      <div className="grid grid-cols-3 gap-4">
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">DAG</label>
+          <select value={dagId} onChange={(e) => setDagId(e.target.value)} className="w-full">
+            {Object.values(dags).map(candidate => (
+              <option key={candidate.id} value={candidate.id}>{candidate.name || candidate.id}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Start date</label>
+          <input
+            type="datetime-local"
+            value={toDateTimeInput(range.start)}
+            onChange={(e) => setRange(prev => ({ ...prev, start: fromDateTimeInput(e.target.value) }))}
+            className="w-full"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">End date</label>
+          <input
+            type="datetime-local"
+            value={toDateTimeInput(range.end)}
+            onChange={(e) => setRange(prev => ({ ...prev, end: fromDateTimeInput(e.target.value) }))}
+            className="w-full"
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Interval</label>
+          <select value={intervalKey} onChange={(e) => setIntervalKey(e.target.value)} className="w-full">
+            {Object.entries(intervals).map(([key, option]) => (
+              <option key={key} value={key}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Max concurrent runs</label>
+          <input
+            type="number"
+            min="1"
+            value={maxActiveRuns}
+            onChange={(e) => setMaxActiveRuns(parseInt(e.target.value, 10) || 0)}
+            className="w-full"
+          />
+        </div>
+        <div className="flex items-end">
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={includeSucceeded}
+              onChange={(e) => setIncludeSucceeded(e.target.checked)}
+              className="mr-2"
+            />
+            Rerun dates that already succeeded
+          </label>
+        </div>
+      </div>
+
+      {problems.length > 0 && (
+        <div className="p-2 rounded bg-red-50 border border-red-200 text-xs text-red-600">
+          {problems.map(problem => <div key={problem}>{problem}</div>)}
+        </div>
+      )}
+
+      <div className="flex items-center space-x-3">
+        <button
+          onClick={start}
+          disabled={Boolean(deniedReason) || problems.length > 0 || toRun.length === 0}
+          title={deniedReason}
+          className="inline-flex items-center px-3 py-1 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+        >
+          <History className="w-4 h-4 mr-1" />
+          Backfill {toRun.length} run(s)
+        </button>
+        {problems.length === 0 && dates.length > toRun.length && (
+          <span className="text-xs text-gray-500">
+            {dates.length - toRun.length} of {dates.length} date(s) skipped as already succeeded, running or queued
+          </span>
+        )}
+      </div>
+
+      {backfills.length > 0 && (
+        <table className="w-full text-sm text-left">
+          <thead>
+            <tr className="text-xs text-gray-500 border-b">
+              <th className="py-2 px-2">DAG</th>
+              <th className="py-2 px-2">Range</th>
+              <th className="py-2 px-2">Progress</th>
+              <th className="py-2 px-2">Status</th>
+              <th className="py-2 px-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {backfills.map(backfill => (
+              <tr key={backfill.id} className="border-b">
+                <td className="py-2 px-2 text-gray-900">{dags[backfill.dagId]?.name || backfill.dagId}</td>
+                <td className="py-2 px-2 text-gray-600 text-xs">
+                  {formatDateTime(backfill.dates[0])} → {formatDateTime(backfill.dates[backfill.dates.length - 1])}
+                </td>
+                <td className="py-2 px-2 text-gray-600" title="Finished / total (running)">
+                  {backfill.dates.length - backfill.queue.length - backfill.active}/{backfill.dates.length}
+                  {backfill.active > 0 && ` (${backfill.active} running)`}
+                  {Object.keys(backfill.errors).length > 0 && (
+                    <span
+                      className="ml-1 text-xs text-red-600"
+                      title={Object.entries(backfill.errors)
+                        .map(([time, message]) => `${formatDateTime(Number(time))}: ${message}`)
+                        .join('\n')}
+                    >
+                      {Object.keys(backfill.errors).length} failed to start
+                    </span>
+                  )}
+                </td>
+                <td className="py-2 px-2"><TaskStatusBadge status={backfill.status} /></td>
+                <td className="py-2 px-2">
+                  {backfill.status === 'running' && (
+                    <button
+                      onClick={() => onCancel(backfill.id)}
+                      disabled={Boolean(deniedReason)}
+                      className="p-1 rounded-md text-gray-600 hover:bg-gray-100 disabled:opacity-50"
+                      title={deniedReason || 'Cancel backfill'}
+                    >
+                      <Square className="w-4 h-4" />
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {gridDates.length > 0 && (
+        <div className="overflow-x-auto">
+          <svg
+            width={BACKFILL_LABEL_WIDTH + gridDates.length * BACKFILL_CELL}
+            height={(rows.length + 1) * BACKFILL_CELL}
+            role="img"
+            aria-label="Run status by logical date"
+          >
+            <text x={BACKFILL_LABEL_WIDTH} y={BACKFILL_CELL - 4} fontSize="10" fill="#6b7280">
+              {formatDateTime(gridDates[0])}
+            </text>
+            {gridDates.length > 1 && (
+              <text
+                x={BACKFILL_LABEL_WIDTH + gridDates.length * BACKFILL_CELL}
+                y={BACKFILL_CELL - 4}
+                fontSize="10"
+                fill="#6b7280"
+                textAnchor="end"
+              >
+                {formatDateTime(gridDates[gridDates.length - 1])}
+              </text>
+            )}
+            {rows.map((row, rowIndex) => {
+              const y = (rowIndex + 1) * BACKFILL_CELL;
+              return (
+                <g key={row.id ?? 'run'}>
+                  <text x={0} y={y + BACKFILL_CELL - 4} fontSize="10" fill="#374151" fontWeight={row.id === null ? 'bold' : 'normal'}>
+                    {truncateLabel(row.label, 22)}
+                  </text>
+                  {gridDates.map((time, column) => {
+                    const status = cellStatus(time, row.id);
+                    return (
+                      <rect
+                        key={time}
+                        x={BACKFILL_LABEL_WIDTH + column * BACKFILL_CELL}
+                        y={y}
+                        width={BACKFILL_CELL - 2}
+                        height={BACKFILL_CELL - 2}
+                        rx="2"
+                        fill={status ? (NODE_COLORS[status] || NODE_COLORS.pending).fill : '#ffffff'}
+                        stroke="#e5e7eb"
+                      >
+                        <title>{`${formatDateTime(time)} · ${row.label}: ${status ? status.replace('_', ' ') : 'no run'}`}</title>
+                      </rect>
+                    );
+                  })}
+                </g>
+              );
+            })}
+          </svg>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Users View
+// Admin-only management of the local user store
+const UsersView = ({ users, currentUser, onCreate, onChangeRole, onResetPassword, onRemove }) => {
+  const [form, setForm] = useState({ email: '', role: 'viewer', password: '' });
+  const [message, setMessage] = useState(null);
+  const formErrors = form.email || form.password ? validateNewUser(users, form) : [];
+
+  const create = async () => {
+    if (!form.email || formErrors.length > 0) return;
+    await onCreate(form);
+    setForm({ email: '', role: 'viewer', password: '' });
+  };
+
+  const resetPassword = async (user) => {
+    const password = window.prompt(`New password for ${user.email} (at least ${MIN_PASSWORD_LENGTH} characters)`);
+    if (password === null) return;
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      setMessage(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+    await onResetPassword(user, password);
+    setMessage(`Password reset for ${user.email}`);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow border p-6">
+        <h3 className="text-lg font-medium text-gray-900 mb-4">Users</h3>
+        {message && <p className="text-xs text-gray-500 mb-2">{message}</p>}
+        <table className="w-full text-sm text-left">
+          <thead>
+            <tr className="text-xs text-gray-500 border-b">
+              <th className="py-2 px-2">Email</th>
+              <th className="py-2 px-2">Role</th>
+              <th className="py-2 px-2">Permissions</th>
+              <th className="py-2 px-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {users.map(user => {
+              const removalProblem = checkUserRemoval(users, currentUser, user.id);
+              return (
+                <tr key={user.id} className="border-b">
+                  <td className="py-2 px-2 text-gray-900">
+                    {user.email}
+                    {user.id === currentUser.id && <span className="ml-1 text-xs text-gray-500">(you)</span>}
+                  </td>
+                  <td className="py-2 px-2">
+                    <select
+                      value={user.role}
+                      onChange={(e) => {
+                        const problem = checkRoleChange(users, user.id, e.target.value);
+                        if (problem) setMessage(problem);
+                        else onChangeRole(user, e.target.value);
+                      }}
+                    >
+                      {Object.entries(ROLES).map(([role, { label }]) => (
+                        <option key={role} value={role}>{label}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="py-2 px-2 text-xs text-gray-500">{ROLES[user.role]?.permissions.join(', ')}</td>
+                  <td className="py-2 px-2">
+                    <div className="flex items-center">
+                      <button
+                        onClick={() => resetPassword(user)}
+                        className="p-1 rounded-md text-gray-600 hover:bg-gray-100"
+                        title="Reset password"
+                      >
+                        <Shield className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => onRemove(user)}
+                        disabled={Boolean(removalProblem)}
+                        className="p-1 rounded-md text-gray-600 hover:bg-gray-100 disabled:opacity-50"
+                        title={removalProblem || 'Remove user'}
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="bg-white rounded-lg shadow border p-6 space-y-4">
+        <h3 className="text-lg font-medium text-gray-900">Add user</h3>
+        <div className="grid grid-cols-3 gap-4">
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">Email</label>
+            <input
+              type="email"
+              value={form.email}
+              onChange={(e) => setForm(prev => ({ ...prev, email: e.target.value }))}
+              className="w-full"
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">Role</label>
+            <select value={form.role} onChange={(e) => setForm(prev => ({ ...prev, role: e.target.value }))} className="w-full">
+              {Object.entries(ROLES).map(([role, { label }]) => (
+                <option key={role} value={role}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">Password</label>
+            <input
+              type="password"
+              value={form.password}
+              onChange={(e) => setForm(prev => ({ ...prev, password: e.target.value }))}
+              className="w-full"
+            />
+          </div>
+        </div>
+
+        {formErrors.length > 0 && (
+          <div className="p-2 rounded bg-red-50 border border-red-200 text-xs text-red-600">
+            {formErrors.map(error => <div key={error}>{error}</div>)}
+          </div>
+        )}
+
+        <button
+          onClick={create}
+          disabled={!form.email || formErrors.length > 0}
+          className="inline-flex items-center px-3 py-1 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+        >
+          <Plus className="w-4 h-4 mr-1" />
+          Add User
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Alerts & Notifications
+// Alert rules are evaluated by lib/alerts' AlertMonitor as the engine runs;
+// what they raise lands in the notification center behind the header's bell.
+const SEVERITY_STYLES = {
+  error: { icon: XCircle, className: 'text-red-600' },
+  warn: { icon: AlertCircle, className: 'text-yellow-600' }
+};
+
+const NotificationList = ({ notifications, onOpen, emptyText = 'No notifications' }) => {
+  if (notifications.length === 0) return <p className="text-sm text-gray-500 text-center py-4">{emptyText}</p>;
+  return (
+    <div className="space-y-1">
+      {notifications.map(notification => {
+        const { icon: Icon, className } = SEVERITY_STYLES[notification.severity] || SEVERITY_STYLES.warn;
+        return (
+          <button
+            key={notification.id}
+            onClick={() => onOpen(notification)}
+            className={`w-full text-left flex items-start p-2 rounded hover:bg-gray-50 ${notification.read ? '' : 'bg-indigo-50'}`}
+            title={notification.executionId ? 'View the run\'s logs' : 'Mark as read'}
+          >
+            <Icon className={`w-4 h-4 mr-2 mt-1 ${className}`} />
+            <div className="flex-1">
+              <div className="flex items-center justify-between">
+                <span className={`text-sm ${notification.read ? 'text-gray-700' : 'font-medium text-gray-900'}`}>{notification.title}</span>
+                <span className="text-xs text-gray-400 ml-2">{formatDateTime(notification.timestamp)}</span>
+              </div>
+              <p className="text-xs text-gray-600">{notification.message}</p>
+            </div>
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+// Dropdown under the bell with the most recent notifications
+const NOTIFICATION_CENTER_LIMIT = 10;
+
+const NotificationCenter = ({ notifications, onOpen, onMarkAllRead, onShowAll }) => {
+  const unread = countUnread(notifications);
+  return (
+    <div className="absolute right-0 top-10 z-50 w-96 bg-white rounded-lg shadow-lg border p-4">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-medium text-gray-900">Notifications{unread > 0 && ` (${unread} unread)`}</h3>
+        <button
+          onClick={onMarkAllRead}
+          disabled={unread === 0}
+          className="text-xs text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+        >
+          Mark all read
+        </button>
+      </div>
+      <div className="max-h-96 overflow-y-auto">
+        <NotificationList notifications={notifications.slice(0, NOTIFICATION_CENTER_LIMIT)} onOpen={onOpen} />
+      </div>
+      <button onClick={onShowAll} className="w-full mt-2 pt-2 border-t text-xs text-indigo-600 hover:text-indigo-800">
+        All notifications and alert rules
+      </button>
+    </div>
+  );
+};
+
+const AlertRulesPanel = ({ rules, dags, onSave, onRemove, deniedReason, browserAlerts, onBrowserAlertsChange }) => {
+  const [newType, setNewType] = useState('run_failed');
+  const [errors, setErrors] = useState({}); // ruleId -> message
+
+  const saveRule = (rule) => {
+    const problems = validateAlertRule(rule);
+    setErrors(prev => ({ ...prev, [rule.id]: problems.map(problem => problem.message).join('; ') || undefined }));
+    if (problems.length === 0) onSave(rule);
+  };
+
+  // Numbers are committed when an input loses focus, like budgets
+  const commitNumber = (rule, key, text) => {
+    const value = text === '' ? null : Number(text);
+    if (value === rule[key]) return;
+    saveRule({ ...rule, [key]: value });
+  };
+
+  const renderNumberInput = (rule, key) => (
+    <input
+      key={`${rule.id}-${key}-${rule[key]}`}
+      type="number"
+      min="0"
+      step="1"
+      defaultValue={rule[key] ?? ''}
+      onBlur={(e) => commitNumber(rule, key, e.target.value)}
+      disabled={Boolean(deniedReason)}
+      title={deniedReason}
+      className="w-20"
+    />
+  );
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow border">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-medium text-gray-900">Alert Rules</h3>
+        <label
+          className="flex items-center text-sm text-gray-600"
+          title={browserNotificationsSupported() ? 'Also show alerts as browser notifications' : 'This browser does not support notifications'}
+        >
+          <input
+            type="checkbox"
+            checked={browserAlerts}
+            onChange={(e) => onBrowserAlertsChange(e.target.checked)}
+            disabled={!browserNotificationsSupported()}
+            className="mr-2"
+          />
+          Browser notifications
+        </label>
+      </div>
+
+      <table className="w-full text-sm text-left">
+        <thead>
+          <tr className="text-xs text-gray-500 border-b">
+            <th className="py-2 px-2">On</th>
+            <th className="py-2 px-2">Alert when</th>
+            <th className="py-2 px-2">DAG</th>
+            <th className="py-2 px-2">Task</th>
+            <th className="py-2 px-2">Threshold</th>
+            <th className="py-2 px-2">Window (runs)</th>
+            <th className="py-2 px-2"></th>
+          </tr>
+        </thead>
+        <tbody>
+          {rules.map(rule => {
+            const type = ALERT_RULE_TYPES[rule.type];
+            return (
+              <tr key={rule.id} className="border-b">
+                <td className="py-2 px-2">
+                  <input
+                    type="checkbox"
+                    checked={rule.enabled}
+                    onChange={(e) => saveRule({ ...rule, enabled: e.target.checked })}
+                    disabled={Boolean(deniedReason)}
+                    title={deniedReason}
+                  />
+                </td>
+                <td className="py-2 px-2">
+                  <div className="text-gray-900">{type.label}</div>
+                  <div className="text-xs text-gray-500">{describeAlertRule(rule, dags)}</div>
+                  {errors[rule.id] && <div className="text-xs text-red-600">{errors[rule.id]}</div>}
+                </td>
+                <td className="py-2 px-2">
+                  {rule.type === 'queue_depth' ? (
+                    <span className="text-xs text-gray-400">Shared pool</span>
+                  ) : (
+                    <select
+                      value={rule.dagId || ''}
+                      onChange={(e) => saveRule({ ...rule, dagId: e.target.value || null, taskId: null })}
+                      disabled={Boolean(deniedReason)}
+                      title={deniedReason}
+                    >
+                      <option value="">Any DAG</option>
+                      {Object.values(dags).map(dag => <option key={dag.id} value={dag.id}>{dag.name}</option>)}
+                    </select>
+                  )}
+                </td>
+                <td className="py-2 px-2">
+                  {rule.type === 'task_sla' && rule.dagId && dags[rule.dagId] && (
+                    <select
+                      value={rule.taskId || ''}
+                      onChange={(e) => saveRule({ ...rule, taskId: e.target.value || null })}
+                      disabled={Boolean(deniedReason)}
+                      title={deniedReason}
+                    >
+                      <option value="">Any task</option>
+                      {dags[rule.dagId].tasks.map(task => <option key={task.id} value={task.id}>{task.name}</option>)}
+                    </select>
+                  )}
+                </td>
+                <td className="py-2 px-2">
+                  {type.threshold !== undefined && (
+                    <span className="flex items-center">
+                      {renderNumberInput(rule, 'threshold')}
+                      <span className="text-xs text-gray-500 ml-1">{type.unit}</span>
+                    </span>
+                  )}
+                </td>
+                <td className="py-2 px-2">{type.window !== undefined && renderNumberInput(rule, 'window')}</td>
+                <td className="py-2 px-2">
+                  <button
+                    onClick={() => onRemove(rule)}
+                    disabled={Boolean(deniedReason)}
+                    className="p-1 rounded-md text-gray-600 hover:bg-gray-100 disabled:opacity-50"
+                    title={deniedReason || 'Remove rule'}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      {rules.length === 0 && <p className="text-sm text-gray-500 text-center py-4">No alert rules</p>}
+
+      <div className="flex items-center space-x-2 mt-4">
+        <select value={newType} onChange={(e) => setNewType(e.target.value)} disabled={Boolean(deniedReason)}>
+          {Object.entries(ALERT_RULE_TYPES).map(([type, { label }]) => <option key={type} value={type}>{label}</option>)}
+        </select>
+        <button
+          onClick={() => onSave(createAlertRule(newType))}
+          disabled={Boolean(deniedReason)}
+          title={deniedReason}
+          className="inline-flex items-center px-3 py-1 rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+        >
+          <Plus className="w-4 h-4 mr-1" />
+          Add rule
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Audit View
+// Searchable, read-only view of the audit log with CSV export of the current filter
+const AUDIT_CATEGORIES = ['auth', 'dag', 'run', 'schedule', 'backfill', 'pool', 'alert', 'recommendation', 'user', 'data'];
+
+const AuditView = ({ entries }) => {
+  const [filters, setFilters] = useState({ query: '', action: 'all', user: 'all' });
+  const [expandedId, setExpandedId] = useState(null);
+  const filtered = searchAuditLog(entries, filters);
+  const actors = [...new Set(entries.map(entry => entry.user).filter(Boolean))].sort();
+  const setFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+  const exportCSV = () => {
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadFile(auditLogToCSV(filtered), `audit-log-${stamp}.csv`, 'text/csv');
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow border p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-2">
+          <input
+            value={filters.query}
+            onChange={(e) => setFilter('query', e.target.value)}
+            placeholder="Search user, target, details or changes"
+            className="w-64"
+          />
+          <select value={filters.action} onChange={(e) => setFilter('action', e.target.value)}>
+            <option value="all">All actions</option>
+            {AUDIT_CATEGORIES.map(category => <option key={category} value={category}>{category}</option>)}
+          </select>
+          <select value={filters.user} onChange={(e) => setFilter('user', e.target.value)}>
+            <option value="all">All users</option>
+            {actors.map(actor => <option key={actor} value={actor}>{actor}</option>)}
+          </select>
+        </div>
+        <div className="flex items-center space-x-2">
+          <span className="text-xs text-gray-500">{filtered.length} of {entries.length} entries</span>
+          <button
+            onClick={exportCSV}
+            disabled={filtered.length === 0}
+            className="inline-flex items-center px-3 py-1 rounded-md text-sm text-gray-600 hover:bg-gray-100"
+          >
+            <Download className="w-4 h-4 mr-1" />
+            CSV
+          </button>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm text-left">
+          <thead>
+            <tr className="text-xs text-gray-500 border-b">
+              <th className="py-2 px-2">Time</th>
+              <th className="py-2 px-2">User</th>
+              <th className="py-2 px-2">Action</th>
+              <th className="py-2 px-2">Target</th>
+              <th className="py-2 px-2">Details</th>
+            </tr>
+          </thead>
+          <tbody>
+            {filtered.map(entry => (
+              <React.Fragment key={entry.id}>
+                <tr
+                  onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)}
+                  className={`border-b ${entry.changes.length > 0 ? 'cursor-pointer hover:bg-gray-50' : ''}`}
+                >
+                  <td className="py-2 px-2 text-gray-600">{formatDateTime(entry.timestamp)}</td>
+                  <td className="py-2 px-2 text-gray-900">
+                    {entry.user || 'anonymous'}
+                    {entry.role && <span className="ml-1 text-xs text-gray-500">{ROLES[entry.role]?.label || entry.role}</span>}
+                  </td>
+                  <td className="py-2 px-2 text-gray-900">{AUDIT_ACTIONS[entry.action] || entry.action}</td>
+                  <td className="py-2 px-2 text-gray-600">
+                    {entry.target ? `${entry.target.type} ${entry.target.name || entry.target.id}` : '—'}
+                  </td>
+                  <td className="py-2 px-2 text-gray-600 text-xs">
+                    {entry.details}
+                    {entry.changes.length > 0 && (
+                      <span className="ml-1 text-indigo-600">{entry.changes.length} change(s)</span>
+                    )}
+                  </td>
+                </tr>
+                {expandedId === entry.id && entry.changes.length > 0 && (
+                  <tr className="border-b bg-gray-50">
+                    <td colSpan={5} className="py-2 px-2">
+                      <table className="w-full text-xs text-left">
+                        <thead>
+                          <tr className="text-gray-500">
+                            <th className="py-1 px-2">Field</th>
+                            <th className="py-1 px-2">Before</th>
+                            <th className="py-1 px-2">After</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {entry.changes.map(change => (
+                            <tr key={change.path}>
+                              <td className="py-1 px-2 font-mono text-gray-900">{change.path}</td>
+                              <td className="py-1 px-2 font-mono text-red-600">{formatAuditValue(change.before)}</td>
+                              <td className="py-1 px-2 font-mono text-green-600">{formatAuditValue(change.after)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+        {filtered.length === 0 && (
+          <p className="text-sm text-gray-500 text-center py-4">No audit entries match</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// AI Insights Component
+// Recommendations come from lib/recommendations, which analyzes recorded runs.
+// Those with a patch can be previewed as a diff, applied and later reverted.
+const IMPACT_STYLES = {
+  high: { icon: 'bg-red-100 text-red-600', tag: 'bg-red-100 text-red-700' },
+  medium: { icon: 'bg-yellow-100 text-yellow-600', tag: 'bg-yellow-100 text-yellow-700' },
+  low: { icon: 'bg-gray-100 text-gray-600', tag: 'bg-gray-100 text-gray-700' }
+};
+
+// Recommendation patches need the permission of the change they make
+const PATCH_PERMISSIONS = { dag: 'dag:write', schedule: 'dag:execute', pool: 'pool:manage' };
+
+const describePatchTarget = ({ target, after }) => ({
+  dag: `${target.name} v${after.version}`,
+  schedule: `Schedule for ${target.id} (${after.cron})`,
+  pool: 'Worker pool'
+})[target.type];
+
+const renderChanges = (before, after) => (
+  <table className="w-full text-xs text-left">
+    <thead>
+      <tr className="text-gray-500">
+        <th className="py-1 px-2">Field</th>
+        <th className="py-1 px-2">Before</th>
+        <th className="py-1 px-2">After</th>
+      </tr>
+    </thead>
+    <tbody>
+      {diffValues(before, after).map(change => (
+        <tr key={change.path}>
+          <td className="py-1 px-2 font-mono text-gray-900">{change.path}</td>
+          <td className="py-1 px-2 font-mono text-red-600">{formatAuditValue(change.before)}</td>
+          <td className="py-1 px-2 font-mono text-green-600">{formatAuditValue(change.after)}</td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+const AIInsights = ({ recommendations, applied, analyzedRuns, dags, previewChange, onApply, onRevert, deniedReasons }) => {
+  const [previewId, setPreviewId] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const appliedIds = new Set(applied.map(entry => entry.id));
+  const pending = recommendations.filter(rec => !appliedIds.has(rec.id));
+  const potentialSavings = sumSavings(pending);
+  const timeTradeoffs = pending.filter(rec => rec.savings.cost < 0).length;
+  const confidence = recommendations.length > 0
+    ? recommendations.reduce((sum, rec) => sum + rec.confidence, 0) / recommendations.length
+    : undefined;
+
+  const showMessage = (type, text) => {
+    setMessage({ type, text });
+    setTimeout(() => setMessage(null), 3000);
+  };
+
+  const handleApply = (rec) => {
+    if (onApply(rec)) {
+      setPreviewId(null);
+      showMessage('success', `Applied "${rec.title}"`);
+    } else {
+      showMessage('error', `Could not apply "${rec.title}"; workers may be busy or its target has changed`);
+    }
+  };
+
+  const handleRevert = (entry) => {
+    if (onRevert(entry)) {
+      showMessage('success', `Reverted "${entry.title}"`);
+    } else {
+      showMessage('error', `Could not revert "${entry.title}"; try again when no workers are busy`);
+    }
+  };
+
+  const renderAction = (rec, change) => {
+    if (!rec.patch) {
+      return (
+        <span className="px-3 py-1 text-xs rounded bg-gray-100 text-gray-600" title="The fix lies outside Orbital, e.g. in the task's code">
+          Manual fix
+        </span>
+      );
+    }
+    if (!change) {
+      return <span className="px-3 py-1 text-xs rounded bg-gray-100 text-gray-600">Target no longer exists</span>;
+    }
+    return (
+      <button
+        onClick={() => setPreviewId(previewId === rec.id ? null : rec.id)}
+        className="px-3 py-1 text-xs rounded bg-indigo-600 text-white hover:bg-indigo-700"
+      >
+        {previewId === rec.id ? 'Hide preview' : 'Preview'}
+      </button>
+    );
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* AI Overview */}
+      <div className="grid grid-cols-3 gap-4">
+        <div className="bg-gradient-to-r from-purple-500 to-pink-500 p-6 rounded-lg text-white">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-purple-100">AI Confidence</p>
+              <p className="text-3xl font-bold">{confidence === undefined ? '—' : `${(confidence * 100).toFixed(1)}%`}</p>
+              <p className="text-xs text-purple-100 mt-1">From {analyzedRuns} recorded run(s)</p>
+            </div>
+            <Brain className="w-10 h-10 text-purple-200" />
+          </div>
+        </div>
+        
+        <div className="bg-gradient-to-r from-green-500 to-teal-500 p-6 rounded-lg text-white">
+          <div className="flex items-center justify-between">
             <div>
               <p className="text-green-100">Optimizations</p>
               <p className="text-3xl font-bold">
-                {appliedRecommendations.size}/{recommendations.length}
+                {applied.length}/{applied.length + pending.length}
               </p>
               <p className="text-xs text-green-100 mt-1">Applied</p>
             </div>
@@ -503,30 +3253,24 @@ const AIInsights = () => {
           <div className="flex items-center justify-between">
             <div>
               <p className="text-blue-100">Potential Savings</p>
-              <p className="text-3xl font-bold">
-                ${appliedRecommendations.size > 0 ? 
-                  `${(1.8 * (1 + appliedRecommendations.size * 0.2)).toFixed(1)}K` : 
-                  '1.8K'
-                }
+              <p className="text-3xl font-bold">{formatCurrency(potentialSavings)}</p>
+              <p className="text-xs text-blue-100 mt-1">
+                /month across {pending.length} open recommendation(s)
+                {timeTradeoffs > 0 && `, ${timeTradeoffs} trading cost for time`}
               </p>
-              {appliedRecommendations.size > 0 && (
-                <p className="text-xs text-blue-100 mt-1">
-                  +{(appliedRecommendations.size * 20)}% improvement
-                </p>
-              )}
             </div>
             <DollarSign className="w-10 h-10 text-blue-200" />
           </div>
         </div>
       </div>
 
-      {/* Success Message */}
-      {showSuccessMessage && (
-        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-6 flex items-center">
-          <CheckCircle className="w-5 h-5 mr-2" />
-          <span>
-            ✅ Recommendation "{recommendations.find(r => r.id === showSuccessMessage)?.title}" has been applied successfully!
-          </span>
+      {/* Result Message */}
+      {message && (
+        <div className={`border px-4 py-3 rounded mb-6 flex items-center ${
+          message.type === 'success' ? 'bg-green-100 border-green-400 text-green-700' : 'bg-red-100 border-red-400 text-red-700'
+        }`}>
+          {message.type === 'success' ? <CheckCircle className="w-5 h-5 mr-2" /> : <XCircle className="w-5 h-5 mr-2" />}
+          <span>{message.text}</span>
         </div>
       )}
 
@@ -535,144 +3279,764 @@ const AIInsights = () => {
         <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
           <Sparkles className="w-5 h-5 mr-2 text-yellow-500" />
           AI Recommendations
-          {appliedRecommendations.size === recommendations.length && (
+          {applied.length > 0 && pending.length === 0 && (
             <span className="ml-2 text-sm bg-green-100 text-green-800 px-2 py-1 rounded-full">
               All Applied! 🎉
             </span>
           )}
         </h3>
         <div className="space-y-4">
-          {recommendations.map((rec) => {
-            const isApplied = appliedRecommendations.has(rec.id);
-            const isCurrentlyApplying = isApplying === rec.id;
+          {pending.map((rec) => {
+            const styles = IMPACT_STYLES[rec.impact];
+            const dag = dags[rec.target.dagId];
+            const change = rec.patch ? previewChange(rec) : null;
+            const denied = change && deniedReasons[change.target.type];
             
             return (
-              <div key={rec.id} className={`flex items-start space-x-4 p-4 rounded-lg border transition-all ${
-                isApplied ? 'bg-green-50 border-green-200' : 'bg-blue-50 border-blue-200'
-              }`}>
-                <div className={`p-2 rounded-lg ${
-                  rec.impact === 'high' ? 'bg-red-100 text-red-600' : 'bg-yellow-100 text-yellow-600'
-                }`}>
-                  <Zap className="w-4 h-4" />
-                </div>
-                <div className="flex-1">
-                  <h4 className={`font-medium ${isApplied ? 'text-green-900' : 'text-gray-900'}`}>
-                    {rec.title}
-                    {isApplied && <span className="ml-2 text-green-600">✓ Applied</span>}
-                  </h4>
-                  <p className={`text-sm mt-1 ${isApplied ? 'text-green-700' : 'text-gray-600'}`}>
-                    {rec.description}
-                  </p>
-                  <div className="flex items-center justify-between mt-2">
-                    <span className="text-xs text-green-600 font-medium">{rec.savings}</span>
-                    <span className={`text-xs px-2 py-1 rounded-full ${
-                      rec.impact === 'high' ? 'bg-red-100 text-red-700' : 'bg-yellow-100 text-yellow-700'
-                    }`}>
-                      {rec.impact} impact
-                    </span>
+              <div key={rec.id} className="p-4 rounded-lg border bg-blue-50 border-blue-200">
+                <div className="flex items-start space-x-4">
+                  <div className={`p-2 rounded-lg ${styles.icon}`}>
+                    <Zap className="w-4 h-4" />
                   </div>
+                  <div className="flex-1">
+                    <h4 className="font-medium text-gray-900">{rec.title}</h4>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {RECOMMENDATION_RULES[rec.rule]}
+                      {dag && ` · ${dag.name}`}
+                      {rec.target.taskId && ` · ${rec.target.taskId}`}
+                      {rec.target.workerId && ` · ${rec.target.workerId}`}
+                    </p>
+                    <p className="text-sm mt-1 text-gray-600">{rec.description}</p>
+                    <ul className="text-xs text-gray-600 mt-2 space-y-1">
+                      {rec.evidence.map(line => <li key={line}>• {line}</li>)}
+                    </ul>
+                    <div className="flex items-center justify-between mt-2">
+                      <span className={`text-xs font-medium ${rec.savings.cost < 0 ? 'text-orange-600' : 'text-green-600'}`}>
+                        {describeSavings(rec)}
+                      </span>
+                      <div className="flex items-center space-x-2">
+                        <span className="text-xs text-gray-500">{Math.round(rec.confidence * 100)}% confidence</span>
+                        <span className={`text-xs px-2 py-1 rounded-full ${styles.tag}`}>
+                          {rec.impact} impact
+                        </span>
+                      </div>
+                    </div>
+                  </div>
+                  {renderAction(rec, change)}
                 </div>
-                <button
-                  onClick={() => handleApplyRecommendation(rec.id)}
-                  disabled={isApplied || isCurrentlyApplying}
-                  className={`px-3 py-1 text-xs rounded transition-all ${
-                    isApplied 
-                      ? 'bg-green-600 text-white cursor-default'
-                      : isCurrentlyApplying
-                      ? 'bg-gray-400 text-white cursor-not-allowed'
-                      : 'bg-indigo-600 text-white hover:bg-indigo-700 cursor-pointer'
-                  }`}
-                >
-                  {isCurrentlyApplying ? (
-                    <div className="flex items-center">
-                      <Loader className="w-3 h-3 mr-1 animate-spin" />
-                      Applying...
+                {previewId === rec.id && change && (
+                  <div className="mt-3 bg-white border rounded p-3">
+                    <p className="text-xs font-medium text-gray-700 mb-2">Changes to {describePatchTarget(change)}</p>
+                    {renderChanges(change.before, change.after)}
+                    <div className="flex justify-end space-x-2 mt-3">
+                      <button
+                        onClick={() => setPreviewId(null)}
+                        className="px-3 py-1 text-xs rounded bg-gray-100 text-gray-700 hover:bg-gray-200"
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        onClick={() => handleApply(rec)}
+                        disabled={Boolean(denied)}
+                        title={denied}
+                        className="px-3 py-1 text-xs rounded bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+                      >
+                        {change.target.type === 'dag' ? `Apply as v${change.after.version}` : 'Apply'}
+                      </button>
                     </div>
-                  ) : isApplied ? (
-                    'Applied'
-                  ) : (
-                    'Apply'
-                  )}
-                </button>
+                  </div>
+                )}
               </div>
             );
           })}
+          {recommendations.length === 0 && (
+            <p className="text-sm text-gray-500 text-center py-4">
+              No recommendations yet. Findings need at least a handful of recorded runs per DAG; run or schedule some DAGs and check back.
+            </p>
+          )}
         </div>
       </div>
+
+      {/* Applied Changes */}
+      {applied.length > 0 && (
+        <div className="bg-white rounded-lg shadow border p-6">
+          <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
+            <History className="w-5 h-5 mr-2 text-gray-500" />
+            Applied Changes
+          </h3>
+          <div className="space-y-2">
+            {applied.map(entry => {
+              const denied = deniedReasons[entry.target.type];
+              return (
+                <div key={entry.id} className="flex items-center justify-between p-3 rounded-lg border bg-green-50 border-green-200">
+                  <div>
+                    <p className="font-medium text-green-900">{entry.title}</p>
+                    <p className="text-xs text-gray-500">
+                      {describePatchTarget(entry)} · applied {formatDateTime(entry.appliedAt)}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleRevert(entry)}
+                    disabled={Boolean(denied) || !entry.revertable}
+                    title={denied || (entry.revertable ? 'Undo this change' : 'The fields it changed have been edited since, so it cannot be reverted')}
+                    className="flex items-center px-3 py-1 text-xs rounded bg-white border text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    <RotateCcw className="w-3 h-3 mr-1" />
+                    Revert
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
     </div>
   );
 };
 
-// =============================================================================
-// MAIN APPLICATION
-// =============================================================================
+// =============================================================================
+// MAIN APPLICATION
+// =============================================================================
+
+const OrbitalTaskEngine = () => {
+  const [user, setUser] = useState(null);
+  const [users, setUsers] = useState([]);
+  const [selectedDAG, setSelectedDAG] = useState('data_pipeline');
+  const [activeRuns, setActiveRuns] = useState([]);
+  const [executions, setExecutions] = useState([]);
+  const [logs, setLogs] = useState([]);
+  const [auditLog, setAuditLog] = useState([]);
+  const [budgets, setBudgets] = useState({});
+  const [alertRules, setAlertRules] = useState(DEFAULT_ALERT_RULES);
+  const [notifications, setNotifications] = useState([]); // newest first
+  const [browserAlerts, setBrowserAlerts] = useState(false);
+  const [showNotifications, setShowNotifications] = useState(false);
+  // Changes made by applying recommendations, newest first, kept so they can be reverted
+  const [appliedRecommendations, setAppliedRecommendations] = useState([]);
+  const [currentTab, setCurrentTab] = useState('dags');
+  const [logRunId, setLogRunId] = useState('all');
+  const [isDark, setIsDark] = useState(false);
+  const [dags, setDags] = useState(SAMPLE_DAGS);
+  // Every saved definition of every DAG, see lib/dagVersions
+  const [dagVersions, setDagVersions] = useState(() => createInitialVersions(SAMPLE_DAGS, []));
+  const [editor, setEditor] = useState(null); // { isNew, dag } while the editor is open
+  const [showVersions, setShowVersions] = useState(false);
+  const [importResult, setImportResult] = useState(null);
+  const [isDraggingFile, setIsDraggingFile] = useState(false);
+  const fileInputRef = useRef();
+  const [repository, setRepository] = useState(null);
+  const [isHydrated, setIsHydrated] = useState(false);
+  
+  const [engine] = useState(() => new TaskExecutionEngine());
+  const [scheduler] = useState(() => new Scheduler({ engine }));
+  // The scheduler owns schedule state; this is a snapshot for rendering, refreshed when it changes
+  const [schedules, setSchedules] = useState([]);
+  const [backfills] = useState(() => new BackfillManager({ engine }));
+  const [alertMonitor] = useState(() => new AlertMonitor({ engine }));
+  const [, setBackfillRevision] = useState(0);
+  const [speed, setSpeed] = useState(1);
+  const [seedInput, setSeedInput] = useState('');
+  const [poolStats, setPoolStats] = useState(() => engine.pool.getStats());
+  const [poolConfig, setPoolConfig] = useState(() => engine.pool.getConfig());
+
+  const isExecuting = activeRuns.length > 0;
+  const unreadNotifications = countUnread(notifications);
+  const currentExecution = activeRuns.find(run => run.dag === selectedDAG)
+    || executions.find(run => run.dag === selectedDAG)
+    || null;
+
+  // Restore DAGs, history, logs, preferences and the session from storage
+  useEffect(() => {
+    let cancelled = false;
+
+    const hydrate = async () => {
+      try {
+        const repo = await openRepository();
+        const [storedDAGs, storedVersions, storedSchedules, storedExecutions, storedLogs, storedNotifications, storedUsers, storedAudit, preferences, session] = await Promise.all([
+          repo.listDAGs(),
+          repo.listDAGVersions(),
+          repo.listSchedules(),
+          repo.listExecutions(),
+          repo.listLogs(),
+          repo.listNotifications(),
+          repo.listUsers(),
+          repo.listAudit(),
+          repo.getPreferences(),
+          repo.getSession()
+        ]);
+        if (cancelled) return;
+
+        let accounts = storedUsers;
+        if (accounts.length === 0) {
+          accounts = await createDefaultUsers();
+          await Promise.all(accounts.map(account => repo.saveUser(account)));
+        }
+        setUsers(accounts);
+
+        let loadedDAGs = SAMPLE_DAGS;
+        if (storedDAGs.length > 0) {
+          // DAGs saved before simulation profiles existed are migrated and saved back
+          const migrated = storedDAGs.map(migrateDAG);
+          migrated.forEach((dag, index) => {
+            if (dag !== storedDAGs[index]) repo.saveDAG(dag);
+          });
+          loadedDAGs = Object.fromEntries(migrated.map(dag => [dag.id, dag]));
+          setDags(loadedDAGs);
+          if (loadedDAGs[preferences.selectedDAG]) setSelectedDAG(preferences.selectedDAG);
+        } else {
+          await Promise.all(Object.values(SAMPLE_DAGS).map(dag => repo.saveDAG(dag)));
+        }
+        const initialVersions = createInitialVersions(loadedDAGs, storedVersions);
+        await Promise.all(initialVersions.map(record => repo.saveDAGVersion(record)));
+        setDagVersions([...storedVersions, ...initialVersions]);
+        scheduler.load(storedSchedules);
+        setSchedules([...scheduler.schedules.values()]);
+        setExecutions(storedExecutions.slice(0, DEFAULT_RETENTION.maxExecutions));
+        setLogs(storedLogs.slice(-DEFAULT_RETENTION.maxLogs));
+        setNotifications(storedNotifications.slice(0, DEFAULT_RETENTION.maxNotifications));
+        setAuditLog(storedAudit);
+        if (preferences.isDark !== undefined) setIsDark(preferences.isDark);
+        if (preferences.budgets) setBudgets(preferences.budgets);
+        if (preferences.alertRules) setAlertRules(preferences.alertRules);
+        if (preferences.browserAlerts) setBrowserAlerts(preferences.browserAlerts);
+        if (preferences.appliedRecommendations) setAppliedRecommendations(preferences.appliedRecommendations);
+        if (SIMULATION_SPEEDS.includes(preferences.speed)) setSpeed(preferences.speed);
+        if (preferences.pool && engine.pool.configure(preferences.pool)) {
+          setPoolConfig(engine.pool.getConfig());
+        }
+        // The session only names the user; their role is read from the user store
+        const sessionUser = session && accounts.find(account => account.id === session.id);
+        if (sessionUser) setUser(toSessionUser(sessionUser));
+        setRepository(repo);
+      } catch (error) {
+        console.error('Failed to open storage, continuing without persistence:', error);
+        const accounts = await createDefaultUsers();
+        if (!cancelled) setUsers(accounts);
+      } finally {
+        if (!cancelled) setIsHydrated(true);
+      }
+    };
+
+    hydrate();
+    return () => {
+      cancelled = true;
+    };
+  }, [engine, scheduler]);
 
-const OrbitalTaskEngine = () => {
-  const [user, setUser] = useState(null);
-  const [selectedDAG, setSelectedDAG] = useState('data_pipeline');
-  const [currentExecution, setCurrentExecution] = useState(null);
-  const [executions, setExecutions] = useState([]);
-  const [isExecuting, setIsExecuting] = useState(false);
-  const [logs, setLogs] = useState([]);
-  const [currentTab, setCurrentTab] = useState('dags');
-  const [isDark, setIsDark] = useState(false);
-  
-  const [engine] = useState(() => new TaskExecutionEngine());
+  useEffect(() => {
+    repository?.savePreferences({ isDark, selectedDAG, pool: poolConfig, speed, budgets, appliedRecommendations, alertRules, browserAlerts });
+  }, [repository, isDark, selectedDAG, poolConfig, speed, budgets, appliedRecommendations, alertRules, browserAlerts]);
 
   useEffect(() => {
-    if (!user) return;
+    engine.setSpeed(speed);
+  }, [engine, speed]);
 
+  useEffect(() => {
+    engine.setActor(user);
+  }, [engine, user]);
+
+  const can = (permission) => hasPermission(user, permission);
+  const deniedReason = (permission) => getDeniedReason(user, permission);
+
+  // Validate DAG definitions as they are loaded so problems show up before anyone hits Execute
+  const dagErrors = useMemo(() => Object.fromEntries(
+    Object.entries(dags).map(([key, dag]) => [key, validateDAG(dag)])
+  ), [dags]);
+  const selectedDAGInvalid = dagErrors[selectedDAG]?.length > 0;
+
+  // Recomputed as runs finish, schedules or budgets change and engine time
+  // moves on. Projections span weeks, so time to the minute is plenty.
+  const projectionTime = Math.floor(engine.clock.now() / 60000) * 60000;
+  const costProjections = useMemo(() => projectCosts({
+    dags,
+    executions,
+    schedules,
+    budgets,
+    now: projectionTime
+  }), [dags, executions, schedules, budgets, projectionTime]);
+  const costsByDAG = Object.fromEntries(costProjections.map(projection => [projection.dagId, projection]));
+  const recommendations = useMemo(() => analyzeExecutions({
+    dags,
+    executions,
+    projections: costProjections,
+    workers: poolConfig.workers,
+    schedules
+  }), [dags, executions, costProjections, poolConfig, schedules]);
+
+  // What recommendation patches act on, in the shape resolvePatch expects
+  const patchTargets = {
+    dags,
+    schedules: Object.fromEntries(schedules.map(schedule => [schedule.dagId, schedule])),
+    pool: poolConfig
+  };
+  const currentPatchTarget = ({ type, id }) => ({ dag: dags[id], schedule: patchTargets.schedules[id], pool: poolConfig })[type];
+  const versionsById = Object.fromEntries(dagVersions.map(record => [record.id, record]));
+  // Stable between engine events, so the history view's selected record and diff stay memoized
+  const selectedVersionHistory = useMemo(() => getVersionHistory(dagVersions, selectedDAG), [dagVersions, selectedDAG]);
+  // Every recorded version of every DAG can be simulated on the Compare tab
+  const comparisonVersions = Object.values(dags).flatMap(dag => getVersionHistory(dagVersions, dag.id).map(record => ({
+    key: record.id,
+    label: `${dag.name} v${record.version}${record.version === dag.version ? ' (current)' : ''}`,
+    dag: record.dag
+  })));
+  const appliedChanges = appliedRecommendations.map(applied => ({
+    ...applied,
+    revertable: canRevertPatch(applied, currentPatchTarget(applied.target))
+  }));
+
+  // Task output is left to the log viewer; the DAG view only shows engine events
+  const engineLogs = logs.filter(log => log.source !== 'task');
+
+  const viewLogs = (runId) => {
+    setLogRunId(runId);
+    setCurrentTab('logs');
+  };
+
+  // `actor` is only passed while signing in, before `user` is set
+  const recordAudit = useCallback(({ actor = user, ...fields }) => {
+    const entry = createAuditEntry({ user: actor, ...fields });
+    setAuditLog(prev => [entry, ...prev]);
+    repository?.appendAudit(entry);
+  }, [user, repository]);
+
+  // Runs carry on after signing out, so the history, logs and active runs keep
+  // following the engine whoever is signed in
+  useEffect(() => {
     const unsubscribe = engine.subscribe((event) => {
-      const message = getEventMessage(event);
-      setLogs(prev => [...prev.slice(-50), {
-        id: Date.now(),
-        timestamp: new Date(),
-        message
-      }]);
+      if (event.type === 'pool_updated') {
+        setPoolStats(event.stats);
+        return;
+      }
+
+      const description = describeEvent(event);
+      if (description) {
+        // Stamped with simulated time so task output lines up with the run's timeline
+        const log = createLogRecord({ timestamp: engine.now(), ...description });
+        setLogs(prev => [...prev, log].slice(-DEFAULT_RETENTION.maxLogs));
+        repository?.appendLog(log);
+      }
+
+      const auditEvent = getAuditEventEntry(event);
+      if (auditEvent) recordAudit(auditEvent);
 
       if (event.type === 'execution_started') {
-        setCurrentExecution(event.execution);
-        setIsExecuting(true);
+        setActiveRuns(prev => [event.execution, ...prev]);
       } else if (event.type === 'execution_completed') {
-        setCurrentExecution(event.execution);
-        setExecutions(prev => [event.execution, ...prev.slice(0, 9)]);
-        setIsExecuting(false);
+        setActiveRuns(prev => prev.filter(run => run.id !== event.execution.id));
+        setExecutions(prev => [event.execution, ...prev].slice(0, DEFAULT_RETENTION.maxExecutions));
+        repository?.saveExecution(event.execution);
       } else if (event.execution) {
-        setCurrentExecution(event.execution);
+        // The engine mutates executions in place; copy the list so React re-renders
+        setActiveRuns(prev => [...prev]);
       }
     });
 
     return unsubscribe;
-  }, [user, engine]);
-
-  const getEventMessage = (event) => {
-    switch (event.type) {
-      case 'execution_started':
-        return `🚀 Started execution of DAG: ${event.execution.dag}`;
-      case 'execution_completed':
-        return `✅ Completed execution with status: ${event.execution.status}`;
-      case 'task_started':
-        return `▶️ Started task: ${event.task.id}`;
-      case 'task_completed':
-        return `✅ Completed task: ${event.task.id}`;
-      default:
-        return 'Unknown event';
+  }, [engine, repository, recordAudit]);
+
+  // The repository writes log lines in batches; flush the last one when the tab closes
+  useEffect(() => {
+    if (!repository) return;
+    const flush = () => repository.flushLogs();
+    window.addEventListener('pagehide', flush);
+    return () => window.removeEventListener('pagehide', flush);
+  }, [repository]);
+
+  useEffect(() => {
+    scheduler.setDAGs(dags);
+  }, [scheduler, dags]);
+
+  useEffect(() => {
+    alertMonitor.setRules(alertRules);
+    alertMonitor.setDAGs(dags);
+    alertMonitor.setExecutions(executions);
+  }, [alertMonitor, alertRules, dags, executions]);
+
+  // Notifications are only delivered while someone is signed in, like the logs and history they point to
+  useEffect(() => {
+    if (!user) return;
+
+    return alertMonitor.subscribe((notification) => {
+      setNotifications(prev => [notification, ...prev].slice(0, DEFAULT_RETENTION.maxNotifications));
+      repository?.addNotification(notification);
+      if (browserAlerts) showBrowserNotification(notification);
+    });
+  }, [user, alertMonitor, repository, browserAlerts]);
+
+  // Schedules only fire while someone is signed in, so their runs are recorded
+  useEffect(() => {
+    if (!user) return;
+
+    const unsubscribe = scheduler.subscribe((changed) => {
+      changed.forEach(schedule => repository?.saveSchedule(schedule));
+      setSchedules([...scheduler.schedules.values()]);
+    });
+    scheduler.start();
+
+    return () => {
+      unsubscribe();
+      scheduler.stop();
+    };
+  }, [user, scheduler, repository]);
+
+  useEffect(() => backfills.subscribe(() => setBackfillRevision(revision => revision + 1)), [backfills]);
+
+  const startRun = async (run) => {
+    try {
+      await run();
+    } catch (error) {
+      // Rejections are already reported through the execution_rejected/denied events
+      if (!(error instanceof DAGValidationError || error instanceof PermissionError)) throw error;
+    }
+  };
+
+  const executeDAG = () => {
+    const dag = dags[selectedDAG];
+    if (dag && !selectedDAGInvalid) {
+      startRun(() => engine.executeDAG(dag, { seed: parseSeed(seedInput) }));
+    }
+  };
+
+  const runControls = {
+    deniedReason: deniedReason('dag:execute'),
+    onPause: (execution) => engine.pauseExecution(execution.id),
+    onResume: (execution) => engine.resumeExecution(execution.id),
+    onCancel: (execution) => engine.cancelExecution(execution.id),
+    // Reruns against the DAG as it is now; tasks that no longer exist are simply not reused
+    onRerun: (execution) => {
+      const dag = dags[execution.dag];
+      if (dag) startRun(() => engine.rerunFromFailure(dag, execution, { logicalDate: execution.logicalDate }));
+    },
+    // Replays run the exact version the original run used
+    onReplay: (execution) => {
+      const dag = getRunDAG(execution, dags, versionsById);
+      if (dag) startRun(() => engine.executeDAG(dag, { seed: execution.seed, logicalDate: execution.logicalDate }));
+    }
+  };
+
+  const updatePool = (change) => {
+    requirePermission(user, 'pool:manage');
+    const before = engine.pool.getConfig();
+    change(engine.pool);
+    const after = engine.pool.getConfig();
+    setPoolConfig(after);
+    recordAudit({ action: 'pool.update', target: { type: 'pool', id: 'workers' }, before, after });
+  };
+
+  const dagTarget = (dag) => ({ type: 'dag', id: dag.id, name: dag.name });
+
+  const handleBudgetChange = (dagId, budget) => {
+    requirePermission(user, 'dag:write');
+    recordAudit({ action: 'budget.update', target: dagTarget(dags[dagId]), before: budgets[dagId], after: budget });
+    setBudgets(prev => ({ ...prev, [dagId]: budget }));
+  };
+
+  const handleSaveAlertRule = (rule) => {
+    requirePermission(user, 'alerts:manage');
+    const before = alertRules.find(existing => existing.id === rule.id);
+    recordAudit({
+      action: before ? 'alert.update' : 'alert.create',
+      target: { type: 'alert', id: rule.id, name: ALERT_RULE_TYPES[rule.type].label },
+      before,
+      after: rule
+    });
+    setAlertRules(prev => (before ? prev.map(existing => (existing.id === rule.id ? rule : existing)) : [...prev, rule]));
+  };
+
+  const handleRemoveAlertRule = (rule) => {
+    requirePermission(user, 'alerts:manage');
+    recordAudit({
+      action: 'alert.remove',
+      target: { type: 'alert', id: rule.id, name: ALERT_RULE_TYPES[rule.type].label },
+      before: rule
+    });
+    setAlertRules(prev => prev.filter(existing => existing.id !== rule.id));
+  };
+
+  // Browser delivery is a per-browser preference, so it isn't audited
+  const handleBrowserAlertsChange = async (enabled) => {
+    if (!enabled) {
+      setBrowserAlerts(false);
+      return;
+    }
+    setBrowserAlerts(await requestBrowserPermission() === 'granted');
+  };
+
+  const markNotificationsRead = (ids) => {
+    const changed = notifications.filter(notification => ids.includes(notification.id) && !notification.read)
+      .map(notification => ({ ...notification, read: true }));
+    if (changed.length === 0) return;
+    setNotifications(prev => prev.map(notification => changed.find(read => read.id === notification.id) || notification));
+    changed.forEach(notification => repository?.updateNotification(notification));
+  };
+
+  const clearNotifications = () => {
+    setNotifications([]);
+    repository?.clearNotifications();
+  };
+
+  // Opens the logs of the run a notification is about
+  const openNotification = (notification) => {
+    markNotificationsRead([notification.id]);
+    setShowNotifications(false);
+    if (notification.executionId) viewLogs(notification.executionId);
+  };
+
+  // Every saved change to a DAG goes through here so it gets a version record.
+  // Returns the DAG as stored, whose version may have been bumped to stay unique.
+  const commitDAG = (dag, source, note) => {
+    const result = recordVersion(dagVersions, dag, { user, source, note });
+    const stored = result?.dag || dag;
+    setDags(prev => ({ ...prev, [stored.id]: stored }));
+    repository?.saveDAG(stored);
+    if (result) {
+      setDagVersions(prev => [...prev, result.record]);
+      repository?.saveDAGVersion(result.record);
+    }
+    return stored;
+  };
+
+  const handleSaveDAG = (dag) => {
+    requirePermission(user, 'dag:write');
+    const before = dags[dag.id];
+    const stored = commitDAG(dag, before ? 'edit' : 'create');
+    recordAudit({ action: before ? 'dag.update' : 'dag.create', target: dagTarget(stored), before, after: stored });
+    setSelectedDAG(dag.id);
+    setEditor(null);
+  };
+
+  const handleRollbackDAG = (record) => {
+    requirePermission(user, 'dag:write');
+    const before = dags[record.dagId];
+    const stored = commitDAG(rollbackDAG(record, before), 'rollback', `Rolled back to v${record.version}`);
+    recordAudit({
+      action: 'dag.rollback',
+      target: dagTarget(stored),
+      details: `Restored v${record.version} as v${stored.version}`,
+      before,
+      after: stored
+    });
+  };
+
+  // Runs a recorded version as it was saved, whatever the DAG looks like now
+  const handleRunVersion = (record) => {
+    startRun(() => engine.executeDAG(record.dag, { seed: parseSeed(seedInput) }));
+  };
+
+  const handleExportDAG = (format) => {
+    const dag = dags[selectedDAG];
+    downloadFile(serializeDAG(dag, format), exportFilename(dag, format), EXPORT_FORMATS[format].mimeType);
+  };
+
+  // Only DAGs that pass validation are added; an imported id replaces the existing DAG
+  const handleImportFiles = async (files) => {
+    if (!files || files.length === 0 || !can('dag:write')) return;
+    const { dags: imported, errors } = await readDAGFiles(files);
+    if (imported.length > 0) {
+      imported.forEach(dag => {
+        const stored = commitDAG(dag, 'import');
+        recordAudit({ action: 'dag.import', target: dagTarget(stored), before: dags[dag.id], after: stored });
+      });
+      setSelectedDAG(imported[0].id);
+      setEditor(null);
     }
+    setImportResult({ imported: imported.map(dag => dag.name), errors });
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDraggingFile(false);
+    handleImportFiles(e.dataTransfer.files);
+  };
+
+  const handleLogin = (loggedInUser) => {
+    setUser(loggedInUser);
+    repository?.saveSession(loggedInUser);
+    recordAudit({ actor: loggedInUser, action: 'auth.login', target: { type: 'user', id: loggedInUser.id } });
+  };
+
+  const handleLoginFailed = (email) => {
+    recordAudit({ actor: null, action: 'auth.login_failed', target: { type: 'user', id: email } });
+  };
+
+  const handleSaveSchedule = (schedule) => {
+    const before = scheduler.schedules.get(schedule.dagId);
+    scheduler.save(schedule);
+    recordAudit({
+      action: 'schedule.save',
+      target: { type: 'schedule', id: schedule.dagId },
+      before,
+      after: scheduler.schedules.get(schedule.dagId)
+    });
+  };
+
+  const handleRemoveSchedule = (dagId) => {
+    const before = scheduler.schedules.get(dagId);
+    scheduler.remove(dagId);
+    repository?.deleteSchedule(dagId);
+    recordAudit({ action: 'schedule.remove', target: { type: 'schedule', id: dagId }, before });
+  };
+
+  const handleToggleSchedule = (dagId, paused) => {
+    scheduler.setPaused(dagId, paused);
+    recordAudit({ action: paused ? 'schedule.pause' : 'schedule.resume', target: { type: 'schedule', id: dagId } });
   };
 
-  const executeDAG = async () => {
-    const dag = SAMPLE_DAGS[selectedDAG];
-    if (dag && !isExecuting) {
-      await engine.executeDAG(dag);
+  const handleStartBackfill = (options) => {
+    const backfill = backfills.start(options);
+    recordAudit({
+      action: 'backfill.start',
+      target: { type: 'backfill', id: backfill.id, name: options.dag.id },
+      details: `${options.dates.length} run(s) from ${formatDateTime(options.dates[0])} to ${formatDateTime(options.dates[options.dates.length - 1])}, ${options.maxActiveRuns} at a time`
+    });
+  };
+
+  const handleCancelBackfill = (backfillId) => {
+    backfills.cancel(backfillId);
+    recordAudit({ action: 'backfill.cancel', target: { type: 'backfill', id: backfillId } });
+  };
+
+  // Saves a DAG, schedule or pool config changed by a recommendation. Returns
+  // false when the pool cannot be reconfigured because workers are busy.
+  const writePatchTarget = (target, value, note) => {
+    if (target.type === 'dag') {
+      commitDAG(value, 'recommendation', note);
+    } else if (target.type === 'schedule') {
+      scheduler.save(value);
+    } else {
+      if (!engine.pool.configure(value)) return false;
+      setPoolConfig(engine.pool.getConfig());
     }
+    return true;
+  };
+
+  const recommendationTarget = (recommendation) => ({ type: 'recommendation', id: recommendation.id, name: recommendation.title });
+
+  const handleApplyRecommendation = (recommendation) => {
+    const change = resolvePatch(recommendation.patch, patchTargets);
+    if (!change) return false;
+    requirePermission(user, PATCH_PERMISSIONS[change.target.type]);
+    if (!writePatchTarget(change.target, change.after, `Applied "${recommendation.title}"`)) return false;
+    recordAudit({
+      action: 'recommendation.apply',
+      target: recommendationTarget(recommendation),
+      details: `Changed ${change.target.type} ${change.target.id}`,
+      before: change.before,
+      after: change.after
+    });
+    setAppliedRecommendations(prev => [
+      { id: recommendation.id, title: recommendation.title, patch: recommendation.patch, ...change, appliedAt: Date.now() },
+      ...prev.filter(applied => applied.id !== recommendation.id)
+    ]);
+    return true;
+  };
+
+  const handleRevertRecommendation = (applied) => {
+    const current = currentPatchTarget(applied.target);
+    if (!canRevertPatch(applied, current)) return false;
+    requirePermission(user, PATCH_PERMISSIONS[applied.target.type]);
+    const reverted = revertPatch(applied, current);
+    if (!writePatchTarget(applied.target, reverted, `Reverted "${applied.title}"`)) return false;
+    recordAudit({
+      action: 'recommendation.revert',
+      target: recommendationTarget(applied),
+      details: `Changed ${applied.target.type} ${applied.target.id}`,
+      before: current,
+      after: reverted
+    });
+    setAppliedRecommendations(prev => prev.filter(entry => entry.id !== applied.id));
+    return true;
+  };
+
+  // User management. saveUser checks the permission for every change that goes
+  // through it; audit entries for users never include password hashes.
+  const saveUser = (account) => {
+    requirePermission(user, 'users:manage');
+    setUsers(prev => [...prev.filter(candidate => candidate.id !== account.id), account]);
+    repository?.saveUser(account);
+  };
+
+  const userTarget = (account) => ({ type: 'user', id: account.id });
+
+  const handleCreateUser = async (fields) => {
+    const account = await createUser(fields);
+    saveUser(account);
+    recordAudit({ action: 'user.create', target: userTarget(account), after: { email: account.email, role: account.role } });
+  };
+
+  const handleChangeRole = (account, role) => {
+    const problem = checkRoleChange(users, account.id, role);
+    if (problem) throw new Error(problem);
+    saveUser({ ...account, role });
+    if (account.id === user.id) setUser(toSessionUser({ ...account, role }));
+    recordAudit({ action: 'user.role', target: userTarget(account), before: { role: account.role }, after: { role } });
+  };
+
+  const handleResetPassword = async (account, password) => {
+    saveUser(await setPassword(account, password));
+    recordAudit({ action: 'user.password', target: userTarget(account) });
+  };
+
+  const handleRemoveUser = (account) => {
+    requirePermission(user, 'users:manage');
+    const problem = checkUserRemoval(users, user, account.id);
+    if (problem) throw new Error(problem);
+    if (!window.confirm(`Remove ${account.email}?`)) return;
+    setUsers(prev => prev.filter(candidate => candidate.id !== account.id));
+    repository?.deleteUser(account.id);
+    recordAudit({ action: 'user.remove', target: userTarget(account), before: { email: account.email, role: account.role } });
   };
 
   const handleLogout = () => {
+    recordAudit({ action: 'auth.logout', target: userTarget(user) });
     setUser(null);
+    repository?.saveSession(null);
   };
 
+  const handleClearData = async () => {
+    requirePermission(user, 'data:clear');
+    if (!window.confirm('Delete all stored DAGs, execution history, logs, users and preferences? The audit log is kept. This cannot be undone.')) return;
+    // Recorded first so the reset shows up in the audit log, which is kept
+    recordAudit({ action: 'data.clear', target: { type: 'storage', id: repository?.backend || 'memory' } });
+    const accounts = await createDefaultUsers();
+    const initialVersions = createInitialVersions(SAMPLE_DAGS, []);
+    if (repository) {
+      await repository.clearAll();
+      await Promise.all(Object.values(SAMPLE_DAGS).map(dag => repository.saveDAG(dag)));
+      await Promise.all(initialVersions.map(record => repository.saveDAGVersion(record)));
+      await Promise.all(accounts.map(account => repository.saveUser(account)));
+    }
+    setUsers(accounts);
+    setDags(SAMPLE_DAGS);
+    setDagVersions(initialVersions);
+    setSelectedDAG('data_pipeline');
+    setExecutions([]);
+    setLogs([]);
+    setBudgets({});
+    setAppliedRecommendations([]);
+    setAlertRules(DEFAULT_ALERT_RULES);
+    setNotifications([]);
+    setBrowserAlerts(false);
+    setEditor(null);
+    setIsDark(false);
+    setSpeed(1);
+    setSeedInput('');
+    scheduler.load([]);
+    setSchedules([]);
+    updatePool(pool => pool.configure({ workers: DEFAULT_WORKERS, queuePolicy: 'fifo' }));
+    setUser(null);
+  };
+
+  if (!isHydrated) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <Loader className="w-8 h-8 text-white animate-spin" />
+      </div>
+    );
+  }
+
   if (!user) {
-    return <AuthModal onLogin={setUser} isOpen={true} />;
+    return <AuthModal users={users} onLogin={handleLogin} onLoginFailed={handleLoginFailed} isOpen={true} />;
   }
 
   return (
@@ -696,9 +4060,16 @@ const OrbitalTaskEngine = () => {
               <nav className="flex space-x-4">
                 {[
                   { id: 'dags', label: 'DAGs' },
+                  { id: 'executions', label: 'Executions' },
+                  { id: 'logs', label: 'Logs' },
+                  { id: 'schedules', label: 'Schedules' },
                   { id: 'monitoring', label: 'Monitoring' },
-                  { id: 'ai-insights', label: 'AI Insights' }
-                ].map((tab) => (
+                  { id: 'alerts', label: 'Alerts' },
+                  { id: 'compare', label: 'Compare' },
+                  { id: 'ai-insights', label: 'AI Insights' },
+                  { id: 'audit', label: 'Audit' },
+                  { id: 'users', label: 'Users', permission: 'users:manage' }
+                ].filter(tab => !tab.permission || can(tab.permission)).map((tab) => (
                   <button
                     key={tab.id}
                     onClick={() => setCurrentTab(tab.id)}
@@ -718,17 +4089,58 @@ const OrbitalTaskEngine = () => {
               <div className="flex items-center space-x-2">
                 <User className="w-4 h-4 text-gray-400" />
                 <span className={`text-sm ${isDark ? 'text-gray-300' : 'text-gray-600'}`}>{user.email}</span>
+                <span className="text-xs px-2 py-1 rounded-full bg-indigo-100 text-indigo-700">{ROLES[user.role]?.label}</span>
               </div>
               
+              <input
+                value={seedInput}
+                onChange={(e) => setSeedInput(e.target.value)}
+                placeholder="Seed (random)"
+                className="w-32"
+                title="Runs with the same seed replay identically; leave blank for a fresh seed"
+              />
+              <select value={speed} onChange={(e) => setSpeed(e.target.value === 'instant' ? 'instant' : Number(e.target.value))} title="Simulation speed">
+                {SIMULATION_SPEEDS.map(option => (
+                  <option key={option} value={option}>{formatSpeed(option)}</option>
+                ))}
+              </select>
+
               <button
                 onClick={executeDAG}
-                disabled={isExecuting}
+                disabled={selectedDAGInvalid || !can('dag:execute')}
+                title={deniedReason('dag:execute') || (selectedDAGInvalid ? 'Fix validation errors before executing this DAG' : undefined)}
                 className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
               >
                 {isExecuting ? <Loader className="w-4 h-4 mr-2 animate-spin" /> : <Play className="w-4 h-4 mr-2" />}
-                {isExecuting ? 'Executing...' : 'Execute'}
+                {isExecuting ? `Execute (${activeRuns.length} running)` : 'Execute'}
               </button>
               
+              <div className="relative">
+                <button
+                  onClick={() => setShowNotifications(!showNotifications)}
+                  className={`relative p-2 rounded-md ${isDark ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-600 hover:bg-gray-100'}`}
+                  title={unreadNotifications > 0 ? `${unreadNotifications} unread notifications` : 'Notifications'}
+                >
+                  <Bell className="w-5 h-5" />
+                  {unreadNotifications > 0 && (
+                    <span className="absolute top-0 right-0 px-1 rounded-full bg-red-600 text-white text-xs">
+                      {unreadNotifications > 99 ? '99+' : unreadNotifications}
+                    </span>
+                  )}
+                </button>
+                {showNotifications && (
+                  <NotificationCenter
+                    notifications={notifications}
+                    onOpen={openNotification}
+                    onMarkAllRead={() => markNotificationsRead(notifications.map(notification => notification.id))}
+                    onShowAll={() => {
+                      setShowNotifications(false);
+                      setCurrentTab('alerts');
+                    }}
+                  />
+                )}
+              </div>
+
               <button
                 onClick={() => setIsDark(!isDark)}
                 className={`p-2 rounded-md ${isDark ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-600 hover:bg-gray-100'}`}
@@ -736,6 +4148,15 @@ const OrbitalTaskEngine = () => {
                 {isDark ? <Sun className="w-5 h-5" /> : <Moon className="w-5 h-5" />}
               </button>
               
+              <button
+                onClick={handleClearData}
+                disabled={isExecuting || !can('data:clear')}
+                className={`p-2 rounded-md disabled:opacity-50 ${isDark ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-600 hover:bg-gray-100'}`}
+                title={deniedReason('data:clear') || 'Clear stored data'}
+              >
+                <Database className="w-5 h-5" />
+              </button>
+              
               <button
                 onClick={handleLogout}
                 className={`p-2 rounded-md ${isDark ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-600 hover:bg-gray-100'}`}
@@ -753,13 +4174,71 @@ const OrbitalTaskEngine = () => {
           <div className="grid grid-cols-12 gap-8">
             {/* DAG Selection */}
             <div className="col-span-3">
-              <div className={`${isDark ? 'bg-gray-800 border-gray-700' : 'bg-white'} rounded-lg shadow-sm border p-6`}>
-                <h3 className={`text-lg font-medium ${isDark ? 'text-white' : 'text-gray-900'} mb-4`}>Available DAGs</h3>
+              <div
+                className={`${isDark ? 'bg-gray-800 border-gray-700' : 'bg-white'} rounded-lg shadow-sm border p-6 ${isDraggingFile ? 'border-indigo-200 bg-indigo-50' : ''}`}
+                onDragOver={(e) => {
+                  e.preventDefault();
+                  setIsDraggingFile(true);
+                }}
+                onDragLeave={() => setIsDraggingFile(false)}
+                onDrop={handleDrop}
+              >
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className={`text-lg font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>Available DAGs</h3>
+                  <div className="flex items-center">
+                    <button
+                      onClick={() => fileInputRef.current.click()}
+                      disabled={!can('dag:write')}
+                      className={`p-2 rounded-md disabled:opacity-50 ${isDark ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-600 hover:bg-gray-100'}`}
+                      title={deniedReason('dag:write') || 'Import DAGs (JSON or YAML) — or drop files here'}
+                    >
+                      <Upload className="w-5 h-5" />
+                    </button>
+                    <button
+                      onClick={() => setEditor({ isNew: true, dag: createEmptyDAG() })}
+                      disabled={!can('dag:write')}
+                      className={`p-2 rounded-md disabled:opacity-50 ${isDark ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-600 hover:bg-gray-100'}`}
+                      title={deniedReason('dag:write') || 'New DAG'}
+                    >
+                      <Plus className="w-5 h-5" />
+                    </button>
+                  </div>
+                  <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept=".json,.yaml,.yml"
+                    multiple
+                    className="hidden"
+                    onChange={(e) => {
+                      handleImportFiles(e.target.files);
+                      e.target.value = '';
+                    }}
+                  />
+                </div>
+                {importResult && (
+                  <div className={`mb-4 p-2 rounded text-xs border ${importResult.errors.length > 0 ? 'bg-red-50 border-red-200 text-red-600' : 'bg-green-100 border-green-400 text-green-700'}`}>
+                    <div className="flex items-center justify-between font-medium mb-1">
+                      <span>
+                        Imported {importResult.imported.length} DAG{importResult.imported.length === 1 ? '' : 's'}
+                        {importResult.errors.length > 0 && `, ${importResult.errors.length} error(s)`}
+                      </span>
+                      <button onClick={() => setImportResult(null)} title="Dismiss">
+                        <XCircle className="w-3 h-3" />
+                      </button>
+                    </div>
+                    {importResult.errors.map((error, index) => (
+                      <div key={index}>{error.source}: {error.message}</div>
+                    ))}
+                  </div>
+                )}
                 <div className="space-y-3">
-                  {Object.entries(SAMPLE_DAGS).map(([key, dag]) => (
+                  {Object.entries(dags).map(([key, dag]) => (
                     <button
                       key={key}
-                      onClick={() => setSelectedDAG(key)}
+                      onClick={() => {
+                        setSelectedDAG(key);
+                        setEditor(null);
+                      }}
                       className={`w-full text-left p-3 rounded-lg transition-colors ${
                         selectedDAG === key 
                           ? 'bg-indigo-50 border-2 border-indigo-200' 
@@ -769,77 +4248,262 @@ const OrbitalTaskEngine = () => {
                       <div className={`font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>{dag.name}</div>
                       <div className={`text-sm ${isDark ? 'text-gray-300' : 'text-gray-600'} mt-1`}>{dag.description}</div>
                       <div className={`text-xs ${isDark ? 'text-gray-400' : 'text-gray-500'} mt-2`}>
-                        {dag.tasks.length} tasks • v{dag.version}
+                        {dag.tasks.length} tasks • v{dag.version} • {formatCurrency(costsByDAG[key]?.costPerRun)}/run
                       </div>
+                      {costsByDAG[key]?.warnings.map((warning, index) => (
+                        <div key={index} className={`mt-2 p-2 rounded text-xs flex items-center ${BUDGET_STYLES[warning.level]}`}>
+                          <DollarSign className="w-3 h-3 mr-1" />
+                          {warning.message}
+                        </div>
+                      ))}
+                      {dagErrors[key].length > 0 && (
+                        <div className="mt-2 p-2 rounded bg-red-50 border border-red-200 text-xs text-red-600">
+                          <div className="flex items-center font-medium mb-1">
+                            <AlertCircle className="w-3 h-3 mr-1" />
+                            {dagErrors[key].length} validation error{dagErrors[key].length > 1 ? 's' : ''}
+                          </div>
+                          {dagErrors[key].map((error, index) => (
+                            <div key={index}>{error.message}</div>
+                          ))}
+                        </div>
+                      )}
                     </button>
                   ))}
                 </div>
               </div>
             </div>
 
-            {/* Main DAG View */}
-            <div className="col-span-6">
-              <div className={`${isDark ? 'bg-gray-800 border-gray-700' : 'bg-white'} rounded-lg shadow-sm border p-6`}>
-                <div className="flex items-center justify-between mb-6">
-                  <div>
-                    <h2 className={`text-xl font-semibold ${isDark ? 'text-white' : 'text-gray-900'}`}>
-                      {SAMPLE_DAGS[selectedDAG].name}
-                    </h2>
-                    <p className={`text-sm ${isDark ? 'text-gray-300' : 'text-gray-600'} mt-1`}>
-                      {SAMPLE_DAGS[selectedDAG].description}
-                    </p>
-                  </div>
-                  {currentExecution && (
-                    <TaskStatusBadge status={currentExecution.status} />
-                  )}
+            {editor ? (
+              <div className="col-span-9">
+                <div className={`${isDark ? 'bg-gray-800 border-gray-700' : 'bg-white'} rounded-lg shadow-sm border p-6`}>
+                  <DAGEditor
+                    key={editor.isNew ? 'new' : editor.dag.id}
+                    initialDAG={editor.dag}
+                    isNew={editor.isNew}
+                    existingIds={Object.keys(dags)}
+                    slots={[...new Set(poolConfig.workers.flatMap(worker => worker.tags))]}
+                    onSave={handleSaveDAG}
+                    onCancel={() => setEditor(null)}
+                    isDark={isDark}
+                  />
                 </div>
+              </div>
+            ) : (
+              <>
+                {/* Main DAG View */}
+                <div className="col-span-6">
+                  <div className={`${isDark ? 'bg-gray-800 border-gray-700' : 'bg-white'} rounded-lg shadow-sm border p-6`}>
+                    <div className="flex items-center justify-between mb-6">
+                      <div>
+                        <h2 className={`text-xl font-semibold ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                          {dags[selectedDAG].name}
+                          <span className="ml-2 text-sm font-normal text-gray-500">v{dags[selectedDAG].version}</span>
+                        </h2>
+                        <p className={`text-sm ${isDark ? 'text-gray-300' : 'text-gray-600'} mt-1`}>
+                          {dags[selectedDAG].description}
+                        </p>
+                      </div>
+                      <div className="flex items-center space-x-2">
+                        {currentExecution && (
+                          <>
+                            <TaskStatusBadge status={currentExecution.status} />
+                            <RunControls execution={currentExecution} {...runControls} isDark={isDark} />
+                          </>
+                        )}
+                        {Object.keys(EXPORT_FORMATS).map(format => (
+                          <button
+                            key={format}
+                            onClick={() => handleExportDAG(format)}
+                            className={`inline-flex items-center p-2 rounded-md text-xs font-medium ${isDark ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-600 hover:bg-gray-100'}`}
+                            title={`Export as ${format.toUpperCase()}`}
+                          >
+                            <Download className="w-4 h-4 mr-1" />
+                            {format.toUpperCase()}
+                          </button>
+                        ))}
+                        <button
+                          onClick={() => setEditor({ isNew: false, dag: dags[selectedDAG] })}
+                          disabled={!can('dag:write')}
+                          className={`p-2 rounded-md disabled:opacity-50 ${isDark ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-600 hover:bg-gray-100'}`}
+                          title={deniedReason('dag:write') || 'Edit DAG'}
+                        >
+                          <Pencil className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => setShowVersions(!showVersions)}
+                          className={`p-2 rounded-md ${
+                            showVersions
+                              ? 'bg-indigo-100 text-indigo-700'
+                              : isDark ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-600 hover:bg-gray-100'
+                          }`}
+                          title={showVersions ? 'Back to DAG' : 'Version history'}
+                        >
+                          <History className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </div>
                 
-                <DAGVisualizer dag={SAMPLE_DAGS[selectedDAG]} execution={currentExecution} />
+                    {showVersions ? (
+                      <DAGVersionHistory
+                        key={selectedDAG}
+                        history={selectedVersionHistory}
+                        current={dags[selectedDAG]}
+                        onRun={handleRunVersion}
+                        onRollback={handleRollbackDAG}
+                        runDeniedReason={deniedReason('dag:execute')}
+                        writeDeniedReason={deniedReason('dag:write')}
+                        isDark={isDark}
+                      />
+                    ) : (
+                    <>
+                    <DAGVisualizer dag={dags[selectedDAG]} execution={currentExecution} />
                 
-                {/* Task Details */}
-                <div className="mt-6">
-                  <h3 className={`text-lg font-medium ${isDark ? 'text-white' : 'text-gray-900'} mb-4`}>Tasks</h3>
-                  <div className="grid grid-cols-2 gap-4">
-                    {SAMPLE_DAGS[selectedDAG].tasks.map((task) => {
-                      const taskExecution = currentExecution?.tasks?.[task.id];
-                      return (
-                        <div key={task.id} className={`p-4 ${isDark ? 'bg-gray-700' : 'bg-gray-50'} rounded-lg`}>
-                          <div className="flex items-center justify-between mb-2">
-                            <span className={`font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>{task.name}</span>
-                            <TaskStatusBadge status={taskExecution?.status || 'pending'} />
-                          </div>
-                          <div className={`text-sm ${isDark ? 'text-gray-300' : 'text-gray-600'}`}>
-                            <div>Type: {task.type}</div>
-                            <div>Retries: {task.retries}</div>
-                          </div>
-                        </div>
-                      );
-                    })}
+                    {/* Task Details */}
+                    <div className="mt-6">
+                      <h3 className={`text-lg font-medium ${isDark ? 'text-white' : 'text-gray-900'} mb-4`}>Tasks</h3>
+                      <div className="grid grid-cols-2 gap-4">
+                        {dags[selectedDAG].tasks.map((task) => {
+                          const taskExecution = currentExecution?.tasks?.[task.id];
+                          return (
+                            <div key={task.id} className={`p-4 ${isDark ? 'bg-gray-700' : 'bg-gray-50'} rounded-lg`}>
+                              <div className="flex items-center justify-between mb-2">
+                                <span className={`font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>{task.name}</span>
+                                <TaskStatusBadge status={taskExecution?.status || 'pending'} />
+                              </div>
+                              <div className={`text-sm ${isDark ? 'text-gray-300' : 'text-gray-600'}`}>
+                                <div>Type: {task.type}</div>
+                                <div>Duration: {describeDuration(resolveSimulationProfile(task).duration)}</div>
+                                <div>Retries: {taskExecution?.retries || 0}/{task.retries}</div>
+                              {task.slot && <div>Slot: {task.slot}</div>}
+                              <div>Resources: {describeResources(resolveResources(task))}</div>
+                              {taskExecution?.status === 'running' && <div>Worker: {taskExecution.worker}</div>}
+                              </div>
+                            </div>
+                          );
+                        })}
+                      </div>
+                    </div>
+                    </>
+                    )}
                   </div>
                 </div>
-              </div>
-            </div>
 
-            {/* Logs */}
-            <div className="col-span-3">
-              <div className={`${isDark ? 'bg-gray-800 border-gray-700' : 'bg-white'} rounded-lg shadow-sm border p-6`}>
-                <h3 className={`text-lg font-medium ${isDark ? 'text-white' : 'text-gray-900'} mb-4`}>Execution Logs</h3>
-                <div className="space-y-2 max-h-96 overflow-y-auto">
-                  {logs.slice(-10).reverse().map((log) => (
-                    <div key={log.id} className={`p-2 ${isDark ? 'bg-gray-700' : 'bg-gray-50'} rounded text-xs`}>
-                      <div className={`${isDark ? 'text-gray-400' : 'text-gray-500'} mb-1`}>
-                        {log.timestamp.toLocaleTimeString()}
+                {/* Active Runs & Logs */}
+                <div className="col-span-3 space-y-6">
+                  {activeRuns.length > 0 && (
+                    <div className={`${isDark ? 'bg-gray-800 border-gray-700' : 'bg-white'} rounded-lg shadow-sm border p-6`}>
+                      <h3 className={`text-lg font-medium ${isDark ? 'text-white' : 'text-gray-900'} mb-4`}>Active Runs</h3>
+                      <div className="space-y-2">
+                        {activeRuns.map(run => (
+                          <div key={run.id} className={`p-2 ${isDark ? 'bg-gray-700' : 'bg-gray-50'} rounded text-xs`}>
+                            <div className="flex items-center justify-between">
+                              <span className={`font-medium ${isDark ? 'text-gray-200' : 'text-gray-900'}`}>
+                                {dags[run.dag]?.name || run.dag}
+                              </span>
+                              <RunControls execution={run} {...runControls} isDark={isDark} />
+                            </div>
+                            <div className="flex items-center justify-between mt-1">
+                              <TaskStatusBadge status={run.status} />
+                              <span className={isDark ? 'text-gray-400' : 'text-gray-500'}>
+                                {formatDuration(engine.now() - run.startTime)}
+                              </span>
+                            </div>
+                          </div>
+                        ))}
                       </div>
-                      <div className={isDark ? 'text-gray-200' : 'text-gray-900'}>{log.message}</div>
                     </div>
-                  ))}
-                  {logs.length === 0 && (
-                    <p className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-500'} text-center py-4`}>
-                      No logs yet
-                    </p>
                   )}
+
+                  <div className={`${isDark ? 'bg-gray-800 border-gray-700' : 'bg-white'} rounded-lg shadow-sm border p-6`}>
+                    <div className="flex items-center justify-between mb-4">
+                      <h3 className={`text-lg font-medium ${isDark ? 'text-white' : 'text-gray-900'}`}>Execution Logs</h3>
+                      <button
+                        onClick={() => viewLogs('all')}
+                        className={`text-xs font-medium ${isDark ? 'text-gray-300' : 'text-indigo-600'}`}
+                      >
+                        Open log viewer
+                      </button>
+                    </div>
+                    <div className="space-y-2 max-h-96 overflow-y-auto">
+                      {engineLogs.slice(-10).reverse().map((log) => (
+                        <div key={log.id} className={`p-2 ${isDark ? 'bg-gray-700' : 'bg-gray-50'} rounded text-xs`}>
+                          <div className={`${isDark ? 'text-gray-400' : 'text-gray-500'} mb-1`}>
+                            {log.timestamp.toLocaleTimeString()}
+                          </div>
+                          <div className={log.level === 'error' ? 'text-red-600' : isDark ? 'text-gray-200' : 'text-gray-900'}>{log.message}</div>
+                        </div>
+                      ))}
+                      {engineLogs.length === 0 && (
+                        <p className={`text-sm ${isDark ? 'text-gray-400' : 'text-gray-500'} text-center py-4`}>
+                          No logs yet
+                        </p>
+                      )}
+                    </div>
+                  </div>
                 </div>
-              </div>
+              </>
+            )}
+          </div>
+        )}
+
+        {/* Executions Tab */}
+        {currentTab === 'executions' && (
+          <div>
+            <div className="mb-6">
+              <h2 className={`text-2xl font-bold ${isDark ? 'text-white' : 'text-gray-900'} mb-2`}>Execution History</h2>
+              <p className={`${isDark ? 'text-gray-300' : 'text-gray-600'}`}>Past runs with per-task drill-down</p>
+            </div>
+            <ExecutionHistory
+              executions={[...activeRuns, ...executions]}
+              dags={dags}
+              versionsById={versionsById}
+              runControls={runControls}
+              onViewLogs={viewLogs}
+              now={engine.now()}
+            />
+          </div>
+        )}
+
+        {/* Logs Tab */}
+        {currentTab === 'logs' && (
+          <div>
+            <div className="mb-6">
+              <h2 className={`text-2xl font-bold ${isDark ? 'text-white' : 'text-gray-900'} mb-2`}>Logs</h2>
+              <p className={`${isDark ? 'text-gray-300' : 'text-gray-600'}`}>Engine events and task output for every run</p>
+            </div>
+            <LogViewer key={logRunId} logs={logs} dags={dags} initialRunId={logRunId} />
+          </div>
+        )}
+
+        {/* Schedules Tab */}
+        {currentTab === 'schedules' && (
+          <div>
+            <div className="mb-6">
+              <h2 className={`text-2xl font-bold ${isDark ? 'text-white' : 'text-gray-900'} mb-2`}>Schedules</h2>
+              <p className={`${isDark ? 'text-gray-300' : 'text-gray-600'}`}>Recurring runs on cron expressions or fixed intervals, and backfills of past dates</p>
+            </div>
+            <SchedulesView
+              statuses={scheduler.getStatus()}
+              dags={dags}
+              now={engine.now()}
+              speed={speed}
+              onSave={handleSaveSchedule}
+              onRemove={handleRemoveSchedule}
+              onTogglePaused={handleToggleSchedule}
+              deniedReason={deniedReason('dag:execute')}
+            />
+            <div className="mt-6">
+              <BackfillPanel
+                dags={dags}
+                schedules={scheduler.getStatus()}
+                executions={[...activeRuns, ...executions]}
+                backfills={backfills.backfills}
+                now={engine.now()}
+                getQueuedDates={(dagId) => backfills.getQueuedDates(dagId)}
+                onStart={handleStartBackfill}
+                onCancel={handleCancelBackfill}
+                deniedReason={deniedReason('dag:execute')}
+              />
             </div>
           </div>
         )}
@@ -851,7 +4515,81 @@ const OrbitalTaskEngine = () => {
               <h2 className={`text-2xl font-bold ${isDark ? 'text-white' : 'text-gray-900'} mb-2`}>System Monitoring</h2>
               <p className={`${isDark ? 'text-gray-300' : 'text-gray-600'}`}>Real-time performance metrics</p>
             </div>
-            <MetricsDashboard metrics={engine.metrics} />
+            <MetricsDashboard metrics={engine.metrics} executions={executions} dags={dags} now={engine.now()} />
+            <div className="mt-6">
+              <WorkerPoolPanel
+                stats={poolStats}
+                queuePolicy={poolConfig.queuePolicy}
+                onAddWorker={(tags) => updatePool(pool => pool.addWorker(tags))}
+                onRemoveWorker={(id) => updatePool(pool => pool.removeWorker(id))}
+                onQueuePolicyChange={(policy) => updatePool(pool => pool.setQueuePolicy(policy))}
+                deniedReason={deniedReason('pool:manage')}
+              />
+            </div>
+            <div className="mt-6">
+              <CostPanel
+                projections={costProjections}
+                onBudgetChange={handleBudgetChange}
+                deniedReason={deniedReason('dag:write')}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* Alerts Tab */}
+        {currentTab === 'alerts' && (
+          <div>
+            <div className="mb-6">
+              <h2 className={`text-2xl font-bold ${isDark ? 'text-white' : 'text-gray-900'} mb-2`}>Alerts</h2>
+              <p className={`${isDark ? 'text-gray-300' : 'text-gray-600'}`}>Rules that raise notifications as runs fail, slow down or back up</p>
+            </div>
+            <AlertRulesPanel
+              rules={alertRules}
+              dags={dags}
+              onSave={handleSaveAlertRule}
+              onRemove={handleRemoveAlertRule}
+              deniedReason={deniedReason('alerts:manage')}
+              browserAlerts={browserAlerts}
+              onBrowserAlertsChange={handleBrowserAlertsChange}
+            />
+            <div className="mt-6 bg-white p-6 rounded-lg shadow border">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-medium text-gray-900">Notifications</h3>
+                <div className="flex items-center space-x-2">
+                  <button
+                    onClick={() => markNotificationsRead(notifications.map(notification => notification.id))}
+                    disabled={unreadNotifications === 0}
+                    className="px-3 py-1 rounded-md text-sm text-gray-600 hover:bg-gray-100 disabled:opacity-50"
+                  >
+                    Mark all read
+                  </button>
+                  <button
+                    onClick={clearNotifications}
+                    disabled={notifications.length === 0}
+                    className="inline-flex items-center px-3 py-1 rounded-md text-sm text-gray-600 hover:bg-gray-100 disabled:opacity-50"
+                  >
+                    <Trash2 className="w-4 h-4 mr-1" />
+                    Clear
+                  </button>
+                </div>
+              </div>
+              <NotificationList notifications={notifications} onOpen={openNotification} emptyText="No alerts have fired yet" />
+            </div>
+          </div>
+        )}
+
+        {/* Compare Tab */}
+        {currentTab === 'compare' && (
+          <div>
+            <div className="mb-6">
+              <h2 className={`text-2xl font-bold ${isDark ? 'text-white' : 'text-gray-900'} mb-2`}>Compare</h2>
+              <p className={`${isDark ? 'text-gray-300' : 'text-gray-600'}`}>Simulate two DAG versions or engine configurations side by side</p>
+            </div>
+            <ComparisonView
+              versions={comparisonVersions}
+              defaultVersionKey={versionId(selectedDAG, dags[selectedDAG]?.version)}
+              poolConfig={poolConfig}
+            />
           </div>
         )}
 
@@ -862,7 +4600,47 @@ const OrbitalTaskEngine = () => {
               <h2 className={`text-2xl font-bold ${isDark ? 'text-white' : 'text-gray-900'} mb-2`}>AI Insights</h2>
               <p className={`${isDark ? 'text-gray-300' : 'text-gray-600'}`}>Intelligent optimization recommendations</p>
             </div>
-            <AIInsights />
+            <AIInsights
+              recommendations={recommendations}
+              applied={appliedChanges}
+              analyzedRuns={Math.min(executions.length, MAX_ANALYZED_RUNS)}
+              dags={dags}
+              previewChange={(recommendation) => resolvePatch(recommendation.patch, patchTargets)}
+              onApply={handleApplyRecommendation}
+              onRevert={handleRevertRecommendation}
+              deniedReasons={Object.fromEntries(Object.entries(PATCH_PERMISSIONS).map(([type, permission]) => [type, deniedReason(permission)]))}
+            />
+          </div>
+        )}
+
+        {/* Audit Tab */}
+        {currentTab === 'audit' && (
+          <div>
+            <div className="mb-6">
+              <h2 className={`text-2xl font-bold ${isDark ? 'text-white' : 'text-gray-900'} mb-2`}>Audit Log</h2>
+              <p className={`${isDark ? 'text-gray-300' : 'text-gray-600'}`}>Who did what and when, with before/after changes for edits</p>
+            </div>
+            <AuditView entries={auditLog} />
+          </div>
+        )}
+
+        {/* Users Tab */}
+        {currentTab === 'users' && can('users:manage') && (
+          <div>
+            <div className="mb-6">
+              <h2 className={`text-2xl font-bold ${isDark ? 'text-white' : 'text-gray-900'} mb-2`}>Users</h2>
+              <p className={`${isDark ? 'text-gray-300' : 'text-gray-600'}`}>
+                Local accounts and roles: admins manage everything, operators run DAGs, viewers can only look
+              </p>
+            </div>
+            <UsersView
+              users={users}
+              currentUser={user}
+              onCreate={handleCreateUser}
+              onChangeRole={handleChangeRole}
+              onResetPassword={handleResetPassword}
+              onRemove={handleRemoveUser}
+            />
           </div>
         )}
       </div>
@@ -0,0 +1,258 @@
+// Alert rules, evaluated against engine events as runs progress, and the
+// notifications they produce.
+//
+//   rule:         { id, type, dagId, taskId, threshold, window, enabled }
+//   notification: { id, ruleId, type, severity, title, message, dagId,
+//                   executionId, timestamp, read }
+//
+// A null dagId matches every DAG and a null taskId (SLA rules) every task.
+// Threshold rules fire when the value crosses the threshold and not again
+// until it has recovered (a success rate back at its threshold, a queue that
+// has drained), so a sustained breach is one notification rather than one per
+// event. Timestamps are engine time, like logs.
+
+export const ALERT_RULE_TYPES = {
+  run_failed: { label: 'Run failed', severity: 'error' },
+  task_sla: { label: 'Task exceeded SLA', severity: 'warn', unit: 's', threshold: 10 },
+  success_rate: { label: 'Success rate below', severity: 'error', unit: '%', threshold: 80, window: 10 },
+  queue_depth: { label: 'Queue depth above', severity: 'warn', unit: 'tasks', threshold: 5 }
+};
+
+// Fewer finished runs than this say little about a success rate
+export const MIN_SUCCESS_RATE_RUNS = 3;
+
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+let ruleSequence = 0;
+
+export const createAlertRule = (type, fields = {}) => ({
+  id: `rule-${Date.now().toString(36)}-${ruleSequence++}`,
+  type,
+  dagId: null,
+  taskId: null,
+  threshold: ALERT_RULE_TYPES[type]?.threshold ?? null,
+  window: ALERT_RULE_TYPES[type]?.window ?? null,
+  enabled: true,
+  ...fields
+});
+
+export const DEFAULT_ALERT_RULES = [
+  createAlertRule('run_failed', { id: 'default-run-failed' }),
+  createAlertRule('task_sla', { id: 'default-task-sla' }),
+  createAlertRule('success_rate', { id: 'default-success-rate' }),
+  createAlertRule('queue_depth', { id: 'default-queue-depth' })
+];
+
+// Problems as { code, message }, in the validator's format
+export const validateAlertRule = (rule) => {
+  const type = ALERT_RULE_TYPES[rule.type];
+  if (!type) return [{ code: 'unknown_alert_type', message: `Unknown alert type "${rule.type}"` }];
+  const problems = [];
+  if (type.threshold !== undefined && !(typeof rule.threshold === 'number' && rule.threshold >= 0)) {
+    problems.push({ code: 'invalid_threshold', message: 'Threshold must be a number of at least 0' });
+  }
+  if (rule.type === 'success_rate' && rule.threshold > 100) {
+    problems.push({ code: 'invalid_threshold', message: 'Success rate threshold must be at most 100%' });
+  }
+  if (type.window !== undefined && !(Number.isInteger(rule.window) && rule.window >= 1)) {
+    problems.push({ code: 'invalid_window', message: 'Window must be a whole number of runs, at least 1' });
+  }
+  return problems;
+};
+
+// e.g. "Success rate below 80% over the last 10 runs of ETL Pipeline"
+export const describeAlertRule = (rule, dags = {}) => {
+  const scope = rule.dagId ? dags[rule.dagId]?.name || rule.dagId : 'any DAG';
+  switch (rule.type) {
+    case 'run_failed':
+      return `A run of ${scope} fails`;
+    case 'task_sla':
+      return `${rule.taskId ? `Task ${rule.taskId}` : 'A task'} of ${scope} runs longer than ${rule.threshold}s`;
+    case 'success_rate':
+      return `Success rate below ${rule.threshold}% over the last ${rule.window} runs of ${scope}`;
+    case 'queue_depth':
+      return `More than ${rule.threshold} tasks waiting for a worker`;
+    default:
+      return rule.type;
+  }
+};
+
+export const countUnread = (notifications) => notifications.filter(notification => !notification.read).length;
+
+// --- Monitor -----------------------------------------------------------------
+
+export class AlertMonitor {
+  // `engine` provides clock and subscribe
+  constructor({ engine }) {
+    this.clock = engine.clock;
+    this.subscribers = new Set();
+    this.rules = [];
+    this.dags = {};
+    this.executions = [];
+    this.breached = new Set(); // threshold rules currently over their threshold
+    this.slaTimers = new Map(); // `${executionId}:${taskId}` -> timer ids on the virtual clock
+    this.sequence = 0;
+
+    engine.subscribe(event => this.handleEvent(event));
+  }
+
+  // Subscribers get each notification as it is raised
+  subscribe(callback) {
+    this.subscribers.add(callback);
+    return () => this.subscribers.delete(callback);
+  }
+
+  notify(notification) {
+    this.subscribers.forEach(callback => callback(notification));
+  }
+
+  setRules(rules) {
+    this.rules = rules;
+    // A removed or disabled rule starts from a clean state if it comes back
+    this.breached = new Set([...this.breached].filter(id => rules.some(rule => rule.id === id && rule.enabled)));
+  }
+
+  setDAGs(dags) {
+    this.dags = dags;
+  }
+
+  // Recorded runs, newest first; success rates are computed over these
+  setExecutions(executions) {
+    this.executions = executions;
+  }
+
+  rulesFor(type, dagId) {
+    return this.rules.filter(rule => rule.enabled && rule.type === type && (!rule.dagId || rule.dagId === dagId));
+  }
+
+  dagName(dagId) {
+    return this.dags[dagId]?.name || dagId;
+  }
+
+  raise(rule, { title, message, dagId, executionId }) {
+    this.notify({
+      id: `${this.clock.now()}-${this.sequence++}`,
+      ruleId: rule.id,
+      type: rule.type,
+      severity: ALERT_RULE_TYPES[rule.type].severity,
+      title,
+      message,
+      dagId: dagId || null,
+      executionId: executionId || null,
+      timestamp: new Date(this.clock.now()),
+      read: false
+    });
+  }
+
+  handleEvent(event) {
+    switch (event.type) {
+      case 'task_started':
+        this.watchTask(event.execution, event.task);
+        break;
+      case 'task_completed':
+      case 'task_failed':
+      case 'task_cancelled':
+        this.unwatch(`${event.execution.id}:${event.task.id}`);
+        break;
+      case 'execution_completed':
+        [...this.slaTimers.keys()]
+          .filter(key => key.startsWith(`${event.execution.id}:`))
+          .forEach(key => this.unwatch(key));
+        this.checkRun(event.execution);
+        break;
+      case 'pool_updated':
+        this.checkQueue(event.stats);
+        break;
+    }
+  }
+
+  // SLAs count from the task's first attempt, so retries and backoff count
+  // too. A timer on the virtual clock fires the alert the moment the SLA is
+  // exceeded, rather than whenever the task happens to finish.
+  watchTask(execution, task) {
+    const key = `${execution.id}:${task.id}`;
+    if (this.slaTimers.has(key)) return;
+    const rules = this.rulesFor('task_sla', execution.dag).filter(rule => !rule.taskId || rule.taskId === task.id);
+    if (rules.length === 0) return;
+    const elapsed = this.clock.now() - task.startTime;
+    this.slaTimers.set(key, rules.map(rule => this.clock.schedule(() => {
+      this.raise(rule, {
+        title: `${this.dagName(execution.dag)}: ${task.id} exceeded its SLA`,
+        message: `Task ${task.id} has been running for more than ${rule.threshold}s in run ${execution.id}`,
+        dagId: execution.dag,
+        executionId: execution.id
+      });
+    }, rule.threshold * 1000 - elapsed)));
+  }
+
+  unwatch(key) {
+    (this.slaTimers.get(key) || []).forEach(timer => this.clock.cancel(timer));
+    this.slaTimers.delete(key);
+  }
+
+  // Fires on the transition into a breach and re-arms once it has recovered
+  crossed(rule, breached, recovered = !breached) {
+    const wasBreached = this.breached.has(rule.id);
+    if (breached) this.breached.add(rule.id);
+    else if (recovered) this.breached.delete(rule.id);
+    return breached && !wasBreached;
+  }
+
+  checkRun(execution) {
+    const name = this.dagName(execution.dag);
+    if (execution.status === 'failed') {
+      const failed = Object.values(execution.tasks || {}).filter(task => task.status === 'failed').map(task => task.id);
+      this.rulesFor('run_failed', execution.dag).forEach(rule => this.raise(rule, {
+        title: `${name}: run failed`,
+        message: `Run ${execution.id} failed${failed.length > 0 ? ` at ${failed.join(', ')}` : ''}`,
+        dagId: execution.dag,
+        executionId: execution.id
+      }));
+    }
+
+    // The finished run may not have reached the recorded history yet
+    this.executions = [execution, ...this.executions.filter(run => run.id !== execution.id)];
+    const history = this.executions.filter(run => FINISHED.includes(run.status));
+    this.rulesFor('success_rate', execution.dag).forEach(rule => {
+      const runs = history.filter(run => !rule.dagId || run.dag === rule.dagId).slice(0, rule.window);
+      if (runs.length < Math.min(MIN_SUCCESS_RATE_RUNS, rule.window)) return;
+      const rate = (runs.filter(run => run.status === 'completed').length / runs.length) * 100;
+      if (!this.crossed(rule, rate < rule.threshold)) return;
+      this.raise(rule, {
+        title: `${rule.dagId ? name : 'All DAGs'}: success rate ${rate.toFixed(0)}%`,
+        message: `Only ${rate.toFixed(0)}% of the last ${runs.length} runs succeeded (threshold ${rule.threshold}%)`,
+        dagId: rule.dagId,
+        executionId: execution.id
+      });
+    });
+  }
+
+  // The worker pool is shared, so queue depth rules ignore dagId. A queue
+  // hovering around the threshold would fire on every wobble, so the rule
+  // only re-arms once the queue is empty.
+  checkQueue(stats) {
+    this.rules.filter(rule => rule.enabled && rule.type === 'queue_depth').forEach(rule => {
+      if (!this.crossed(rule, stats.queueDepth > rule.threshold, stats.queueDepth === 0)) return;
+      this.raise(rule, {
+        title: `Queue depth ${stats.queueDepth}`,
+        message: `${stats.queueDepth} tasks are waiting for a worker (threshold ${rule.threshold}); ${stats.busy} of ${stats.total} workers busy`
+      });
+    });
+  }
+}
+
+// --- Browser delivery --------------------------------------------------------
+
+export const browserNotificationsSupported = () => typeof Notification !== 'undefined';
+
+// Resolves to 'granted', 'denied' or 'default' (the user dismissed the prompt)
+export const requestBrowserPermission = async () => {
+  if (!browserNotificationsSupported()) return 'denied';
+  if (Notification.permission !== 'default') return Notification.permission;
+  return Notification.requestPermission();
+};
+
+export const showBrowserNotification = (notification) => {
+  if (!browserNotificationsSupported() || Notification.permission !== 'granted') return;
+  new Notification(notification.title, { body: notification.message, tag: notification.id });
+};
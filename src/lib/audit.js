@@ -0,0 +1,139 @@
+// Append-only audit trail of user actions. Entries are never edited or
+// removed; edits carry a field-level diff of the record before and after.
+//
+//   { id, timestamp, user, role, action, target: { type, id, name },
+//     details, changes: [{ path, before, after }] }
+
+export const AUDIT_ACTIONS = {
+  'auth.login': 'Signed in',
+  'auth.login_failed': 'Failed sign-in',
+  'auth.logout': 'Signed out',
+  'dag.create': 'Created DAG',
+  'dag.update': 'Edited DAG',
+  'dag.import': 'Imported DAG',
+  'dag.rollback': 'Rolled back DAG',
+  'run.start': 'Executed DAG',
+  'run.rerun': 'Reran from failure',
+  'run.pause': 'Paused run',
+  'run.resume': 'Resumed run',
+  'run.cancel': 'Cancelled run',
+  'run.denied': 'Denied execution',
+  'schedule.save': 'Saved schedule',
+  'schedule.pause': 'Paused schedule',
+  'schedule.resume': 'Resumed schedule',
+  'schedule.remove': 'Removed schedule',
+  'backfill.start': 'Started backfill',
+  'backfill.cancel': 'Cancelled backfill',
+  'pool.update': 'Changed worker pool',
+  'budget.update': 'Changed budget',
+  'alert.create': 'Created alert rule',
+  'alert.update': 'Changed alert rule',
+  'alert.remove': 'Removed alert rule',
+  'recommendation.apply': 'Applied recommendation',
+  'recommendation.revert': 'Reverted recommendation',
+  'user.create': 'Created user',
+  'user.role': 'Changed role',
+  'user.password': 'Reset password',
+  'user.remove': 'Removed user',
+  'data.clear': 'Cleared stored data'
+};
+
+// Ids must stay unique even for entries recorded within the same millisecond
+let auditSequence = 0;
+
+const isRecord = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const hasIds = (items) => items.every(item => isRecord(item) && item.id !== undefined);
+
+// Field-level differences; arrays of records with ids (like DAG tasks) are matched by id
+export const diffValues = (before, after, path = '') => {
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+  if (Array.isArray(before) && Array.isArray(after) && hasIds(before) && hasIds(after)) {
+    const ids = [...new Set([...before, ...after].map(item => item.id))];
+    return ids.flatMap(id => diffValues(
+      before.find(item => item.id === id),
+      after.find(item => item.id === id),
+      `${path}[${id}]`
+    ));
+  }
+  if (isRecord(before) && isRecord(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return keys.flatMap(key => diffValues(before[key], after[key], path ? `${path}.${key}` : key));
+  }
+  return [{ path: path || '(value)', before, after }];
+};
+
+export const createAuditEntry = ({ user, action, target, details, before, after }) => ({
+  id: `${Date.now()}-${auditSequence++}`,
+  timestamp: new Date(),
+  user: user?.email || null,
+  role: user?.role || null,
+  action,
+  target: target || null,
+  details: details || null,
+  changes: before !== undefined || after !== undefined ? diffValues(before ?? {}, after ?? {}) : []
+});
+
+// Audit entries for engine events that reflect someone's action. Runs started
+// by schedules or backfills are covered by the entry for setting those up.
+export const getAuditEventEntry = (event) => {
+  const run = (execution) => ({ type: 'run', id: execution.id, name: execution.dag });
+  switch (event.type) {
+    case 'execution_started':
+      if (event.execution.trigger !== 'manual') return null;
+      return event.execution.retryOf
+        ? { action: 'run.rerun', target: run(event.execution), details: `Rerun of ${event.execution.retryOf}` }
+        : { action: 'run.start', target: run(event.execution), details: `Seed ${event.execution.seed}` };
+    case 'execution_paused':
+      return { action: 'run.pause', target: run(event.execution) };
+    case 'execution_resumed':
+      return { action: 'run.resume', target: run(event.execution) };
+    case 'execution_cancelled':
+      return { action: 'run.cancel', target: run(event.execution) };
+    case 'execution_denied':
+      return { action: 'run.denied', target: { type: 'dag', id: event.dag.id, name: event.dag.name }, details: event.error.message };
+    default:
+      return null;
+  }
+};
+
+export const formatAuditValue = (value) => (value === undefined ? '—' : JSON.stringify(value));
+
+export const describeChanges = (changes) => changes
+  .map(change => `${change.path}: ${formatAuditValue(change.before)} → ${formatAuditValue(change.after)}`)
+  .join('; ');
+
+export const searchAuditLog = (entries, { query = '', action = 'all', user = 'all' } = {}) => {
+  const needle = query.trim().toLowerCase();
+  return entries.filter(entry => {
+    if (action !== 'all' && !entry.action.startsWith(`${action}.`)) return false;
+    if (user !== 'all' && entry.user !== user) return false;
+    if (!needle) return true;
+    return [
+      entry.user, entry.action, AUDIT_ACTIONS[entry.action], entry.target?.id, entry.target?.name,
+      entry.details, describeChanges(entry.changes)
+    ].some(text => text && String(text).toLowerCase().includes(needle));
+  });
+};
+
+// Quotes every cell, and defuses cells a spreadsheet would read as a formula
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return `"${safe.replace(/"/g, '""')}"`;
+};
+
+export const auditLogToCSV = (entries) => {
+  const header = ['Timestamp', 'User', 'Role', 'Action', 'Target type', 'Target id', 'Target name', 'Details', 'Changes'];
+  const rows = entries.map(entry => [
+    new Date(entry.timestamp).toISOString(),
+    entry.user,
+    entry.role,
+    entry.action,
+    entry.target?.type,
+    entry.target?.id,
+    entry.target?.name,
+    entry.details,
+    describeChanges(entry.changes)
+  ]);
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n');
+};
@@ -0,0 +1,136 @@
+// Local users and role-based access control. Users live in the repository's
+// `users` store with salted SHA-256 password hashes; a role maps to a fixed set
+// of permissions, so changing someone's role takes effect on their next check.
+
+export const ROLES = {
+  admin: {
+    label: 'Admin',
+    permissions: ['dag:read', 'dag:write', 'dag:execute', 'pool:manage', 'alerts:manage', 'users:manage', 'data:clear']
+  },
+  operator: {
+    label: 'Operator',
+    permissions: ['dag:read', 'dag:execute', 'pool:manage', 'alerts:manage']
+  },
+  viewer: {
+    label: 'Viewer',
+    permissions: ['dag:read']
+  }
+};
+
+// Completes "... can't <action>" in error messages and tooltips
+const PERMISSION_ACTIONS = {
+  'dag:read': 'view DAGs',
+  'dag:write': 'create, edit or import DAGs',
+  'dag:execute': 'run, schedule or control DAG runs',
+  'pool:manage': 'change the worker pool',
+  'alerts:manage': 'change alert rules',
+  'users:manage': 'manage users',
+  'data:clear': 'clear stored data'
+};
+
+// Seeded into an empty user store so there is always someone who can sign in
+export const DEFAULT_USERS = [
+  { email: 'admin@orbital.dev', password: 'admin123', role: 'admin' },
+  { email: 'operator@orbital.dev', password: 'operator123', role: 'operator' },
+  { email: 'viewer@orbital.dev', password: 'viewer123', role: 'viewer' }
+];
+
+export const MIN_PASSWORD_LENGTH = 6;
+
+export class AuthenticationError extends Error {
+  constructor() {
+    super('Invalid email or password');
+    this.name = 'AuthenticationError';
+  }
+}
+
+export class PermissionError extends Error {
+  constructor(user, permission) {
+    super(`${user?.email || 'Signed-out user'} (${ROLES[user?.role]?.label || 'no role'}) can't ${PERMISSION_ACTIONS[permission] || permission}`);
+    this.name = 'PermissionError';
+    this.permission = permission;
+  }
+}
+
+export const hasPermission = (user, permission) =>
+  Boolean(user && ROLES[user.role]?.permissions.includes(permission));
+
+export const requirePermission = (user, permission) => {
+  if (!hasPermission(user, permission)) throw new PermissionError(user, permission);
+};
+
+// Tooltip for a control the user can't use, or undefined when they can
+export const getDeniedReason = (user, permission) => (hasPermission(user, permission)
+  ? undefined
+  : `Your role (${ROLES[user?.role]?.label || 'none'}) can't ${PERMISSION_ACTIONS[permission] || permission}`);
+
+// --- Credentials -------------------------------------------------------------
+
+const toHex = (bytes) => [...new Uint8Array(bytes)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+
+export const hashPassword = async (password, salt) =>
+  toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${password}`)));
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+export const setPassword = async (user, password) => {
+  const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+  return { ...user, salt, passwordHash: await hashPassword(password, salt) };
+};
+
+// Users are keyed by their normalized email
+export const createUser = ({ email, password, role }) => setPassword({
+  id: normalizeEmail(email),
+  email: normalizeEmail(email),
+  role,
+  createdAt: Date.now()
+}, password);
+
+export const createDefaultUsers = () => Promise.all(DEFAULT_USERS.map(createUser));
+
+// What the app keeps for the signed-in user; never includes the password hash
+export const toSessionUser = (user) => ({
+  id: user.id,
+  email: user.email,
+  role: user.role,
+  permissions: ROLES[user.role]?.permissions || []
+});
+
+export const authenticate = async (users, email, password) => {
+  const user = users.find(candidate => candidate.id === normalizeEmail(email));
+  if (!user || (await hashPassword(password, user.salt)) !== user.passwordHash) {
+    throw new AuthenticationError();
+  }
+  return toSessionUser(user);
+};
+
+// --- User management -------------------------------------------------------
+
+export const validateNewUser = (users, { email, password, role }) => {
+  const errors = [];
+  if (!/^[^\s@]+@[^\s@]+$/.test(normalizeEmail(email))) errors.push('Enter a valid email address');
+  else if (users.some(user => user.id === normalizeEmail(email))) errors.push('A user with this email already exists');
+  if (!ROLES[role]) errors.push(`Unknown role "${role}"`);
+  if (String(password || '').length < MIN_PASSWORD_LENGTH) {
+    errors.push(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  return errors;
+};
+
+// The last admin can't be demoted or removed, so someone can always manage users
+const isLastAdmin = (users, id) =>
+  users.find(user => user.id === id)?.role === 'admin'
+  && users.filter(user => user.role === 'admin').length === 1;
+
+// Returns why the change isn't allowed, or null
+export const checkRoleChange = (users, id, role) => {
+  if (!ROLES[role]) return `Unknown role "${role}"`;
+  if (role !== 'admin' && isLastAdmin(users, id)) return 'The last admin cannot be demoted';
+  return null;
+};
+
+export const checkUserRemoval = (users, currentUser, id) => {
+  if (currentUser?.id === id) return 'You cannot remove your own account';
+  if (isLastAdmin(users, id)) return 'The last admin cannot be removed';
+  return null;
+};
@@ -0,0 +1,118 @@
+import { getNextFireTime } from './scheduler.js';
+
+// Backfills run a DAG once per interval across a historical range, with the
+// interval start as each run's logical date. Runs are started a few at a time
+// (`maxActiveRuns`) and still compete for the shared worker pool.
+
+export const BACKFILL_INTERVALS = {
+  hourly: { label: 'Hourly', kind: 'cron', cron: '0 * * * *' },
+  daily: { label: 'Daily', kind: 'cron', cron: '0 0 * * *' },
+  weekly: { label: 'Weekly', kind: 'cron', cron: '0 0 * * 0' }
+};
+
+// Guards against a typo in the range enqueuing thousands of runs
+export const MAX_BACKFILL_RUNS = 500;
+
+// Logical dates in [start, end] for an interval ({ kind, cron, intervalMinutes })
+export const getBackfillDates = (interval, start, end) => {
+  const schedule = { ...interval, startDate: start, endDate: end, createdAt: start };
+  const dates = [];
+  for (let time = getNextFireTime(schedule, start - 1); time !== null; time = getNextFireTime(schedule, time)) {
+    dates.push(time);
+    if (dates.length > MAX_BACKFILL_RUNS) break;
+  }
+  return dates;
+};
+
+// Latest run for each logical date, from a newest-first list of executions
+export const getRunsByLogicalDate = (executions, dagId) => {
+  const runs = new Map();
+  executions.forEach(execution => {
+    if (execution.dag !== dagId || !execution.logicalDate) return;
+    const key = new Date(execution.logicalDate).getTime();
+    if (!runs.has(key)) runs.set(key, execution);
+  });
+  return runs;
+};
+
+export class BackfillManager {
+  // `engine` provides authorize, executeDAG, getActiveRuns and cancelExecution
+  constructor({ engine }) {
+    this.engine = engine;
+    this.backfills = [];
+    this.sequence = 0;
+    this.subscribers = new Set();
+  }
+
+  subscribe(callback) {
+    this.subscribers.add(callback);
+    return () => this.subscribers.delete(callback);
+  }
+
+  notify() {
+    this.subscribers.forEach(callback => callback(this.backfills));
+  }
+
+  start({ dag, dates, maxActiveRuns = 2 }) {
+    this.engine.authorize('dag:execute');
+    if (dates.length > MAX_BACKFILL_RUNS) {
+      throw new Error(`A backfill is limited to ${MAX_BACKFILL_RUNS} runs; narrow the range or widen the interval`);
+    }
+    const backfill = {
+      id: `backfill-${++this.sequence}`,
+      dag,
+      dagId: dag.id,
+      dates,
+      queue: [...dates],
+      active: 0,
+      errors: {}, // logical date (ms) -> why its run couldn't start
+      maxActiveRuns,
+      status: 'running'
+    };
+    this.backfills = [backfill, ...this.backfills];
+    this.launch(backfill);
+    this.notify();
+    return backfill;
+  }
+
+  launch(backfill) {
+    while (backfill.status === 'running' && backfill.queue.length > 0 && backfill.active < backfill.maxActiveRuns) {
+      const logicalDate = backfill.queue.shift();
+      backfill.active++;
+      this.engine.executeDAG(backfill.dag, {
+        trigger: 'backfill', logicalDate, backfillId: backfill.id, authorized: true
+      })
+        .catch(error => {
+          backfill.errors[logicalDate] = error.message;
+        })
+        .finally(() => {
+          backfill.active--;
+          if (backfill.status === 'running' && backfill.queue.length === 0 && backfill.active === 0) {
+            backfill.status = 'completed';
+          }
+          this.launch(backfill);
+          this.notify();
+        });
+    }
+  }
+
+  // Drops dates that haven't started and cancels the backfill's active runs
+  cancel(backfillId) {
+    this.engine.authorize('dag:execute');
+    const backfill = this.backfills.find(candidate => candidate.id === backfillId);
+    if (!backfill || backfill.status !== 'running') return;
+    backfill.status = 'cancelled';
+    backfill.queue = [];
+    this.engine.getActiveRuns(backfill.dagId)
+      .filter(execution => execution.backfillId === backfillId)
+      .forEach(execution => this.engine.cancelExecution(execution.id));
+    this.notify();
+  }
+
+  // Logical dates (ms) still waiting to start, for a DAG
+  getQueuedDates(dagId) {
+    return new Set(this.backfills
+      .filter(backfill => backfill.dagId === dagId)
+      .flatMap(backfill => backfill.queue));
+  }
+}
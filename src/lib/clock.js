@@ -0,0 +1,103 @@
+// Simulated time for the engine. Timers fire strictly in virtual-time order;
+// `speed` is how many virtual milliseconds pass per real millisecond, and
+// 'instant' fires the next timer as soon as the engine is waiting on nothing
+// else. While no timers are pending the clock follows the wall clock, so a
+// run started later is stamped later.
+//
+// Time stands still while timer callbacks (and the promise callbacks they
+// trigger) run, so everything they do sees the exact fire time. That is what
+// keeps runs reproducible at any speed.
+
+export const SIMULATION_SPEEDS = [1, 10, 100, 'instant'];
+
+export const formatSpeed = (speed) => (speed === 'instant' ? 'Instant' : `${speed}×`);
+
+export class VirtualClock {
+  constructor({ speed = 1, wallClock = () => Date.now() } = {}) {
+    this.speed = speed;
+    this.wallClock = wallClock;
+    this.current = wallClock();
+    this.steppedAt = this.current;
+    this.timers = [];
+    this.sequence = 0;
+    this.frozen = false;
+    this.armed = null;
+  }
+
+  // Outside a burst of callbacks, reading the clock moves it on by the real
+  // time that has passed (scaled by speed, never past the next timer) and
+  // freezes it until the next real tick
+  now() {
+    if (!this.frozen) {
+      const wall = this.wallClock();
+      if (this.timers.length === 0) {
+        this.current = Math.max(this.current, wall);
+      } else if (this.speed !== 'instant') {
+        this.current = Math.min(this.timers[0].time, this.current + (wall - this.steppedAt) * this.speed);
+      }
+      this.steppedAt = wall;
+      this.freeze();
+    }
+    return this.current;
+  }
+
+  // Like setTimeout, but `ms` is virtual; returns an id for cancel()
+  schedule(callback, ms = 0) {
+    const time = this.now() + Math.max(0, ms);
+    const timer = { id: ++this.sequence, time, callback };
+    this.timers.push(timer);
+    this.timers.sort((a, b) => a.time - b.time || a.id - b.id);
+    if (this.timers[0] === timer) this.arm();
+    return timer.id;
+  }
+
+  cancel(id) {
+    const wasNext = this.timers[0]?.id === id;
+    this.timers = this.timers.filter(timer => timer.id !== id);
+    if (wasNext) this.arm();
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+    this.arm();
+  }
+
+  // One real timeout is armed for the earliest virtual timer. Real time that
+  // has already passed since the last step counts towards its delay.
+  arm() {
+    clearTimeout(this.armed);
+    this.armed = null;
+    const [next] = this.timers;
+    if (!next) return;
+
+    const delay = this.speed === 'instant'
+      ? 0
+      : Math.max(0, (next.time - this.current) / this.speed - (this.wallClock() - this.steppedAt));
+    this.armed = setTimeout(() => this.step(), delay);
+  }
+
+  step() {
+    this.armed = null;
+    const [next] = this.timers;
+    if (!next) return;
+
+    this.current = Math.max(this.current, next.time);
+    this.steppedAt = this.wallClock();
+    this.freeze();
+    const due = this.timers.filter(timer => timer.time <= this.current);
+    this.timers = this.timers.filter(timer => timer.time > this.current);
+    due.forEach(timer => timer.callback());
+
+    if (this.timers.length > 0) this.arm();
+  }
+
+  // Callbacks usually schedule follow-up timers from promise callbacks; let
+  // those run before time moves again
+  freeze() {
+    if (this.frozen) return;
+    this.frozen = true;
+    setTimeout(() => {
+      this.frozen = false;
+    }, 0);
+  }
+}
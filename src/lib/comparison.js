@@ -0,0 +1,98 @@
+import { percentile } from './metrics.js';
+import { createRandom, randomSeed } from './random.js';
+import { DEFAULT_SLOT } from './workerPool.js';
+
+// Monte Carlo comparison of two variants of a pipeline: two versions of a
+// DAG, or one DAG under two engine configurations (workers, queue policy).
+// Each variant gets its own engine and runs the same iterations, and
+// iteration i uses the same seed in both, so differences come from the
+// variants rather than from luck. With `concurrency` above 1, that many runs
+// overlap and compete for workers, as they would under load.
+//
+//   variant: { dag, workers, queuePolicy }
+//   sample:  { seed, status, duration, cost }
+
+export const MAX_COMPARISON_ITERATIONS = 500;
+export const MAX_COMPARISON_CONCURRENCY = 10;
+
+// Slots the DAG's tasks ask for that none of the workers provide; such tasks would never run
+export const getMissingSlots = (dag, workers) => [...new Set(dag.tasks.map(task => task.slot || DEFAULT_SLOT))]
+  .filter(slot => !workers.some(worker => worker.tags.includes(slot)));
+
+const toSample = (execution) => ({
+  seed: execution.seed,
+  status: execution.status,
+  duration: execution.endTime - execution.startTime,
+  cost: execution.cost
+});
+
+// Simulated runs are fast but not free; the UI gets to render between batches
+const yieldToUI = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// `createEngine({ workers, queuePolicy })` returns an engine running at instant
+// speed. Resolves to one list of samples per variant; aborting `signal` stops
+// after the current batch and keeps the samples so far.
+export const runComparison = async ({ variants, iterations, concurrency = 1, seed, createEngine, onProgress, signal }) => {
+  const engines = variants.map(({ workers, queuePolicy }) => createEngine({ workers, queuePolicy }));
+  const seeds = createRandom(seed);
+  const samples = variants.map(() => []);
+  let done = 0;
+  while (done < iterations && !signal?.aborted) {
+    const batch = Array.from({ length: Math.min(concurrency, iterations - done) }, () => randomSeed(seeds));
+    for (const [index, variant] of variants.entries()) {
+      const executions = await Promise.all(batch.map(runSeed => engines[index].executeDAG(variant.dag, { seed: runSeed })));
+      samples[index].push(...executions.map(toSample));
+    }
+    done += batch.length;
+    onProgress?.(done);
+    await yieldToUI();
+  }
+  return samples;
+};
+
+// --- Summaries ---------------------------------------------------------------
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const distribution = (values) => (values.length === 0 ? null : {
+  mean: mean(values),
+  p50: percentile(values, 50),
+  p95: percentile(values, 95),
+  min: Math.min(...values),
+  max: Math.max(...values)
+});
+
+// Durations only count completed runs, since failed runs stop early and would
+// look fast; cost counts every run, since failed attempts are paid for too.
+// `successMargin` is the half-width of a 95% interval around the success rate.
+export const summarizeSamples = (samples) => {
+  if (samples.length === 0) return { runs: 0, successRate: undefined, successMargin: undefined, duration: null, cost: null };
+  const completed = samples.filter(sample => sample.status === 'completed');
+  const successRate = completed.length / samples.length;
+  return {
+    runs: samples.length,
+    successRate,
+    successMargin: 1.96 * Math.sqrt((successRate * (1 - successRate)) / samples.length),
+    duration: distribution(completed.map(sample => sample.duration)),
+    cost: distribution(samples.map(sample => sample.cost))
+  };
+};
+
+export const relativeChange = (before, after) =>
+  (before === undefined || after === undefined || before === 0 ? undefined : (after - before) / before);
+
+// Histogram over bins shared by both variants, so they plot on one axis:
+// [{ from, to, a, b }] with the number of values per variant in each bin
+export const buildHistogram = (a, b, bins = 12) => {
+  const values = [...a, ...b];
+  if (values.length === 0) return [];
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const count = max === min ? 1 : bins;
+  const width = (max - min) / count || 1;
+  const rows = Array.from({ length: count }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width, a: 0, b: 0 }));
+  const binOf = (value) => Math.min(count - 1, Math.floor((value - min) / width));
+  a.forEach(value => rows[binOf(value)].a++);
+  b.forEach(value => rows[binOf(value)].b++);
+  return rows;
+};
@@ -0,0 +1,161 @@
+import { DEFAULT_SLOT } from './workerPool.js';
+import { resolveSimulationProfile, expectedDuration } from './simulationProfile.js';
+import { resolveResources, getCpuSpeedup } from './taskResources.js';
+import { getNextFireTime } from './scheduler.js';
+import { formatCurrency } from './format.js';
+
+// Simulated compute cost. Each attempt is billed for the time it held a
+// worker: the hourly rate of the worker type it asked for (its slot) plus the
+// CPU and memory it requests (see taskResources.js). Queueing and retry
+// backoff are free. Simulated runs are compressed, so each simulated second
+// is billed as an hour of compute.
+
+export const BILLED_HOURS_PER_SECOND = 1;
+
+// Hourly base rate per worker type
+export const WORKER_RATES = {
+  cpu: 0.1,
+  memory: 0.25,
+  gpu: 2.5
+};
+
+// Hourly rate per requested vCPU and GB of memory
+export const RESOURCE_RATES = {
+  cpu: 0.04,
+  memoryGb: 0.005
+};
+
+// Projections for unscheduled DAGs extrapolate from this much recent history
+const HISTORY_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+const MONTH_MS = 30 * 24 * 60 * 60 * 1000;
+// Fire times are counted over a week and scaled up, so minute-level crons stay cheap
+const SCHEDULE_SAMPLE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Share of a monthly budget at which a projection starts to warn
+export const BUDGET_WARNING_RATIO = 0.8;
+
+export const getHourlyRate = (task) => {
+  const { cpu, memoryGb } = resolveResources(task);
+  const workerRate = WORKER_RATES[task.slot || DEFAULT_SLOT] ?? WORKER_RATES[DEFAULT_SLOT];
+  return workerRate + cpu * RESOURCE_RATES.cpu + memoryGb * RESOURCE_RATES.memoryGb;
+};
+
+export const getAttemptCost = (task, durationMs) =>
+  (durationMs / 1000) * BILLED_HOURS_PER_SECOND * getHourlyRate(task);
+
+// --- Run costs -------------------------------------------------------------
+
+// Per-task costs of a recorded run. Results reused by a rerun were paid for
+// by the run that produced them. Runs recorded before the cost model have a
+// total but no breakdown.
+export const getRunCostBreakdown = (execution) => {
+  const tasks = Object.values(execution.tasks || {})
+    .filter(task => task.cost !== undefined && !task.reused)
+    .map(task => ({
+      id: task.id,
+      slot: task.slot || DEFAULT_SLOT,
+      resources: task.resources,
+      attempts: task.attempts?.length || 0,
+      cost: task.cost,
+      wasted: (task.attempts || [])
+        .filter(attempt => attempt.status !== 'completed')
+        .reduce((sum, attempt) => sum + (attempt.cost || 0), 0)
+    }))
+    .sort((a, b) => b.cost - a.cost);
+  return {
+    itemized: tasks.length > 0,
+    tasks,
+    total: execution.cost,
+    wasted: tasks.reduce((sum, task) => sum + task.wasted, 0)
+  };
+};
+
+// Expected cost of one run from the definition alone: mean durations, with
+// transient failures adding their expected retries
+export const estimateRunCost = (dag) => dag.tasks.reduce((sum, task) => {
+  const { duration, failure } = resolveSimulationProfile(task);
+  const retries = task.retries || 0;
+  const attempts = Array.from({ length: retries + 1 }, (_, i) => failure.transient ** i)
+    .reduce((total, chance) => total + chance, 0);
+  return sum + getAttemptCost(task, (expectedDuration(duration) * 1000) / getCpuSpeedup(task)) * attempts;
+}, 0);
+
+// --- Projections and budgets -------------------------------------------------
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const countFireTimes = (schedule, from, to) => {
+  let count = 0;
+  for (let time = getNextFireTime(schedule, from); time !== null && time <= to; time = getNextFireTime(schedule, time)) {
+    count++;
+  }
+  return count;
+};
+
+// Runs a month from an active schedule, or else the pace of recent runs
+const getMonthlyRuns = (schedule, runs, now) => {
+  if (schedule && !schedule.paused) {
+    return {
+      source: 'schedule',
+      runs: (countFireTimes(schedule, now, now + SCHEDULE_SAMPLE_MS) * MONTH_MS) / SCHEDULE_SAMPLE_MS
+    };
+  }
+  const recent = runs.filter(run => now - new Date(run.startTime) <= HISTORY_WINDOW_MS);
+  if (recent.length === 0) return { source: 'none', runs: 0 };
+  const oldest = Math.min(...recent.map(run => new Date(run.startTime).getTime()));
+  // A DAG first run a few minutes ago doesn't project to thousands of runs
+  const observed = Math.max(now - oldest, 24 * 60 * 60 * 1000);
+  return { source: 'history', runs: (recent.length * MONTH_MS) / observed };
+};
+
+// Budgets: { [dagId]: { monthly, perRun } }, either limit optional
+export const getBudgetStatus = (projection, budget = {}) => {
+  const warnings = [];
+  if (budget.monthly > 0) {
+    const projected = `Projected ${formatCurrency(projection.monthlyCost)}/month`;
+    if (projection.monthlyCost > budget.monthly) {
+      warnings.push({ level: 'error', message: `${projected} exceeds the ${formatCurrency(budget.monthly)} monthly budget` });
+    } else if (projection.monthlyCost >= budget.monthly * BUDGET_WARNING_RATIO) {
+      warnings.push({
+        level: 'warn',
+        message: `${projected} is over ${BUDGET_WARNING_RATIO * 100}% of the ${formatCurrency(budget.monthly)} monthly budget`
+      });
+    }
+  }
+  if (budget.perRun > 0) {
+    if (projection.costPerRun > budget.perRun) {
+      warnings.push({ level: 'error', message: `Runs average ${formatCurrency(projection.costPerRun)}, over the ${formatCurrency(budget.perRun)} per-run budget` });
+    } else if (projection.lastRunCost > budget.perRun) {
+      warnings.push({ level: 'warn', message: `Last run cost ${formatCurrency(projection.lastRunCost)}, over the ${formatCurrency(budget.perRun)} per-run budget` });
+    }
+  }
+  const level = warnings.some(warning => warning.level === 'error') ? 'error' : warnings.length > 0 ? 'warn' : 'ok';
+  return { level, warnings };
+};
+
+// One projection per DAG. Cost per run averages recorded runs that were
+// costed by the model and falls back to the definition's estimate.
+export const projectCosts = ({ dags, executions, schedules = [], budgets = {}, now = Date.now() }) => {
+  const finished = executions.filter(execution => execution.endTime && execution.cost !== undefined);
+  return Object.values(dags).map(dag => {
+    const runs = finished.filter(execution => execution.dag === dag.id);
+    const costed = runs.filter(run => getRunCostBreakdown(run).itemized);
+    const breakdowns = costed.map(getRunCostBreakdown);
+    const costPerRun = costed.length > 0 ? average(costed.map(run => run.cost)) : estimateRunCost(dag);
+    const wastePerRun = breakdowns.length > 0 ? average(breakdowns.map(breakdown => breakdown.wasted)) : 0;
+    const monthly = getMonthlyRuns(schedules.find(schedule => schedule.dagId === dag.id), runs, now);
+    const projection = {
+      dagId: dag.id,
+      name: dag.name,
+      costedRuns: costed.length,
+      costPerRun,
+      lastRunCost: costed[0]?.cost,
+      runsPerMonth: monthly.runs,
+      runsSource: monthly.source,
+      monthlyCost: costPerRun * monthly.runs,
+      monthlyWaste: wastePerRun * monthly.runs,
+      totalSpent: runs.reduce((sum, run) => sum + run.cost, 0)
+    };
+    return { ...projection, budget: budgets[dag.id] || {}, ...getBudgetStatus(projection, budgets[dag.id]) };
+  }).sort((a, b) => b.monthlyCost - a.monthlyCost);
+};
@@ -0,0 +1,22 @@
+import { getUpstream } from './dagGraph.js';
+
+// Critical path of a recorded execution: starting from the task that finished
+// last, repeatedly step to the upstream that finished last. Those are the
+// tasks whose delays pushed out the end of the run.
+export const getExecutionCriticalPath = (dag, execution) => {
+  const upstream = getUpstream(dag);
+  const finished = Object.values(execution.tasks || {}).filter(task => task.endTime);
+  if (finished.length === 0) return [];
+
+  const latest = (tasks) => tasks.reduce((best, task) => (!best || task.endTime > best.endTime ? task : best), null);
+  const path = [];
+  let current = latest(finished);
+  while (current) {
+    path.unshift(current.id);
+    const candidates = (upstream[current.id] || [])
+      .map(id => execution.tasks[id])
+      .filter(task => task?.endTime);
+    current = latest(candidates);
+  }
+  return path;
+};
@@ -0,0 +1,118 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week),
+// evaluated in local time. Fields accept *, lists, ranges and steps, e.g.
+// "*/15 9-17 * * 1-5"; the usual @hourly/@daily/... macros are expanded.
+
+export class CronParseError extends Error {
+  constructor(expression, reason) {
+    super(`Invalid cron expression "${expression}": ${reason}`);
+    this.name = 'CronParseError';
+    this.expression = expression;
+  }
+}
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+export const CRON_MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+
+const parseField = (expression, text, { name, min, max }) => {
+  const values = new Set();
+  const toNumber = (part) => {
+    if (!/^\d+$/.test(part)) throw new CronParseError(expression, `"${part}" is not a number in the ${name} field`);
+    const value = Number(part);
+    if (value < min || value > max) {
+      throw new CronParseError(expression, `${value} is outside ${min}-${max} in the ${name} field`);
+    }
+    return value;
+  };
+
+  text.split(',').forEach(part => {
+    const [range, stepText, ...rest] = part.split('/');
+    if (rest.length > 0) throw new CronParseError(expression, `"${part}" has more than one step`);
+    const step = stepText === undefined ? 1 : toNumber(stepText);
+    if (step === 0) throw new CronParseError(expression, `step of 0 in the ${name} field`);
+
+    let from = min;
+    let to = max;
+    if (range !== '*') {
+      const [start, end] = range.split('-');
+      from = toNumber(start);
+      // "5/10" means every 10 starting at 5
+      to = end !== undefined ? toNumber(end) : stepText !== undefined ? max : from;
+      if (from > to) throw new CronParseError(expression, `range ${range} is backwards in the ${name} field`);
+    }
+    for (let value = from; value <= to; value += step) values.add(value);
+  });
+  return values;
+};
+
+export const parseCron = (expression) => {
+  const source = String(expression || '').trim();
+  const expanded = CRON_MACROS[source.toLowerCase()] || source;
+  const parts = expanded.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new CronParseError(source, `expected ${FIELDS.length} fields, got ${parts.length}`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(source, part, FIELDS[i]));
+  if (dayOfWeek.delete(7)) dayOfWeek.add(0);
+  return {
+    expression: source,
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    // With both day fields restricted, cron matches either of them
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*'
+  };
+};
+
+const matchesDay = (cron, date) => {
+  const dom = cron.dayOfMonth.has(date.getDate());
+  const dow = cron.dayOfWeek.has(date.getDay());
+  if (cron.anyDayOfMonth) return dow;
+  if (cron.anyDayOfWeek) return dom;
+  return dom || dow;
+};
+
+// Bounds the search so impossible dates (Feb 31st) give up instead of looping
+const MAX_STEPS = 50000;
+
+// First matching minute strictly after `after`, or null if none is found
+export const nextCronTime = (cron, after) => {
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  for (let step = 0; step < MAX_STEPS; step++) {
+    if (!cron.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+};
@@ -0,0 +1,95 @@
+// Immutable edit operations on DAG definitions. Each helper returns a new DAG
+// and never mutates its input, so drafts can be kept in React state.
+
+export const slugify = (value) =>
+  value.toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+export const createEmptyDAG = () => ({
+  id: '',
+  name: '',
+  description: '',
+  version: '0.1.0',
+  tasks: [],
+  dependencies: {}
+});
+
+export const cloneDAG = (dag) => JSON.parse(JSON.stringify(dag));
+
+export const bumpVersion = (version, part = 'patch') => {
+  const [major = 0, minor = 0, patch = 0] = String(version || '0.0.0').split('.').map(n => parseInt(n, 10) || 0);
+  if (part === 'major') return `${major + 1}.0.0`;
+  if (part === 'minor') return `${major}.${minor + 1}.0`;
+  return `${major}.${minor}.${patch + 1}`;
+};
+
+export const uniqueTaskId = (dag, base) => {
+  const ids = new Set(dag.tasks.map(task => task.id));
+  const root = slugify(base) || 'task';
+  let id = root;
+  for (let n = 2; ids.has(id); n++) id = `${root}_${n}`;
+  return id;
+};
+
+export const addTask = (dag, task = {}) => {
+  const name = task.name || `Task ${dag.tasks.length + 1}`;
+  return {
+    ...dag,
+    tasks: [...dag.tasks, {
+      id: uniqueTaskId(dag, task.id || name),
+      name,
+      type: 'transformation',
+      retries: 1,
+      ...task
+    }]
+  };
+};
+
+export const removeTask = (dag, taskId) => {
+  const dependencies = {};
+  Object.entries(dag.dependencies || {}).forEach(([id, deps]) => {
+    if (id === taskId) return;
+    const remaining = deps.filter(dep => dep !== taskId);
+    if (remaining.length > 0) dependencies[id] = remaining;
+  });
+  return { ...dag, tasks: dag.tasks.filter(task => task.id !== taskId), dependencies };
+};
+
+// Why `newId` can't replace `taskId`, or null when the rename is fine
+export const validateTaskId = (dag, taskId, newId) => {
+  if (!newId) return 'Task id is required';
+  if (newId !== taskId && dag.tasks.some(task => task.id === newId)) return `A task with id "${newId}" already exists`;
+  return null;
+};
+
+// Renaming a task id also rewrites every dependency that refers to it. A
+// rename to an empty or taken id is refused and returns the DAG unchanged,
+// since two tasks sharing an id could never be told apart again.
+export const updateTask = (dag, taskId, changes) => {
+  const newId = changes.id;
+  if (newId !== undefined && validateTaskId(dag, taskId, newId)) return dag;
+  const tasks = dag.tasks.map(task => (task.id === taskId ? { ...task, ...changes } : task));
+  if (newId === undefined || newId === taskId) return { ...dag, tasks };
+
+  const dependencies = {};
+  Object.entries(dag.dependencies || {}).forEach(([id, deps]) => {
+    dependencies[id === taskId ? newId : id] = deps.map(dep => (dep === taskId ? newId : dep));
+  });
+  return { ...dag, tasks, dependencies };
+};
+
+export const addDependency = (dag, from, to) => {
+  const deps = dag.dependencies?.[to] || [];
+  if (from === to || deps.includes(from)) return dag;
+  return { ...dag, dependencies: { ...dag.dependencies, [to]: [...deps, from] } };
+};
+
+export const removeDependency = (dag, from, to) => {
+  const remaining = (dag.dependencies?.[to] || []).filter(dep => dep !== from);
+  const dependencies = { ...dag.dependencies };
+  if (remaining.length > 0) {
+    dependencies[to] = remaining;
+  } else {
+    delete dependencies[to];
+  }
+  return { ...dag, dependencies };
+};
@@ -0,0 +1,65 @@
+// Graph helpers shared by the engine, validator and visualizer.
+// A DAG's `dependencies` map is keyed by task id and lists that task's upstreams.
+
+export const getUpstream = (dag) => {
+  const upstream = {};
+  dag.tasks.forEach(task => {
+    upstream[task.id] = [...(dag.dependencies?.[task.id] || [])];
+  });
+  return upstream;
+};
+
+export const getDownstream = (dag) => {
+  const downstream = {};
+  dag.tasks.forEach(task => {
+    downstream[task.id] = [];
+  });
+  Object.entries(dag.dependencies || {}).forEach(([taskId, deps]) => {
+    deps.forEach(dep => {
+      if (downstream[dep]) downstream[dep].push(taskId);
+    });
+  });
+  return downstream;
+};
+
+// Kahn's algorithm; ties keep the order tasks are declared in.
+// Throws if the dependencies cannot be resolved (cycle or unknown task).
+export const topologicalSort = (dag) => {
+  const upstream = getUpstream(dag);
+  const downstream = getDownstream(dag);
+  const inDegree = {};
+  dag.tasks.forEach(task => {
+    inDegree[task.id] = upstream[task.id].length;
+  });
+
+  const queue = dag.tasks.filter(task => inDegree[task.id] === 0).map(task => task.id);
+  const order = [];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    order.push(id);
+    downstream[id].forEach(next => {
+      inDegree[next]--;
+      if (inDegree[next] === 0) queue.push(next);
+    });
+  }
+
+  if (order.length !== dag.tasks.length) {
+    const unresolved = dag.tasks.map(task => task.id).filter(id => !order.includes(id));
+    throw new Error(`Unresolvable dependencies for tasks: ${unresolved.join(', ')}`);
+  }
+  return order;
+};
+
+// All tasks that transitively depend on `taskId`.
+export const getDescendants = (dag, taskId) => {
+  const downstream = getDownstream(dag);
+  const seen = new Set();
+  const stack = [...(downstream[taskId] || [])];
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (seen.has(id)) continue;
+    seen.add(id);
+    stack.push(...downstream[id]);
+  }
+  return seen;
+};
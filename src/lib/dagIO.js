@@ -0,0 +1,61 @@
+import YAML from 'yaml';
+import { validateDAG } from './dagValidator.js';
+import { migrateDAG } from './simulationProfile.js';
+
+// Import/export of DAG definitions. Files use the same shape as the
+// in-app DAGs: a single DAG object or a list of them, as JSON or YAML.
+
+export const EXPORT_FORMATS = {
+  json: { extension: 'json', mimeType: 'application/json' },
+  yaml: { extension: 'yaml', mimeType: 'application/x-yaml' }
+};
+
+export const serializeDAG = (dag, format = 'json') => {
+  if (format === 'yaml') return YAML.stringify(dag);
+  return `${JSON.stringify(dag, null, 2)}\n`;
+};
+
+export const exportFilename = (dag, format = 'json') =>
+  `${dag.id}-v${dag.version}.${EXPORT_FORMATS[format].extension}`;
+
+const detectFormat = (filename, text) => {
+  if (/\.ya?ml$/i.test(filename)) return 'yaml';
+  if (/\.json$/i.test(filename)) return 'json';
+  return /^\s*[[{]/.test(text) ? 'json' : 'yaml';
+};
+
+// Returns { dags, errors } where every returned DAG has passed validation.
+// Errors are { source, message } so they can be shown per file. Legacy task
+// fields are migrated to simulation profiles on the way in.
+export const parseDAGFile = (text, filename = 'input') => {
+  let parsed;
+  try {
+    parsed = detectFormat(filename, text) === 'yaml' ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    return { dags: [], errors: [{ source: filename, message: `Could not parse file: ${error.message}` }] };
+  }
+
+  const candidates = (Array.isArray(parsed) ? parsed : [parsed]).map(migrateDAG);
+  const dags = [];
+  const errors = [];
+  candidates.forEach((candidate, index) => {
+    const source = candidates.length > 1 ? `${filename} #${index + 1}` : filename;
+    const problems = validateDAG(candidate);
+    if (problems.length > 0) {
+      problems.forEach(problem => errors.push({ source, message: problem.message }));
+    } else {
+      dags.push(candidate);
+    }
+  });
+  return { dags, errors };
+};
+
+export const readDAGFiles = async (files) => {
+  const results = await Promise.all(
+    Array.from(files).map(async file => parseDAGFile(await file.text(), file.name))
+  );
+  return {
+    dags: results.flatMap(result => result.dags),
+    errors: results.flatMap(result => result.errors)
+  };
+};
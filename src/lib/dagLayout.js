@@ -0,0 +1,136 @@
+import { topologicalSort } from './dagGraph.js';
+
+// Layered (Sugiyama-style) left-to-right layout:
+//   1. assign each task to a layer by longest path from the roots
+//   2. order tasks inside each layer with barycenter sweeps to reduce crossings
+//   3. turn layer/order into coordinates and route one edge per dependency
+
+const LABEL_CHAR_WIDTH = 7;
+const MAX_LABEL_CHARS = 28;
+
+export const truncateLabel = (label, maxChars = MAX_LABEL_CHARS) =>
+  label.length > maxChars ? `${label.slice(0, maxChars - 1)}…` : label;
+
+const depsOf = (dag, id) => {
+  const deps = dag.dependencies?.[id];
+  return Array.isArray(deps) ? deps : [];
+};
+
+const assignLayers = (dag) => {
+  let order;
+  try {
+    order = topologicalSort(dag);
+  } catch {
+    // Invalid DAGs are still drawn so their problems can be seen
+    order = dag.tasks.map(task => task.id);
+  }
+
+  const layers = {};
+  order.forEach(id => {
+    const deps = depsOf(dag, id).filter(dep => layers[dep] !== undefined);
+    layers[id] = deps.length > 0 ? Math.max(...deps.map(dep => layers[dep])) + 1 : 0;
+  });
+  return { order, layers };
+};
+
+const barycenter = (neighbours, positions) => {
+  const placed = neighbours.filter(id => positions[id] !== undefined);
+  if (placed.length === 0) return null;
+  return placed.reduce((sum, id) => sum + positions[id], 0) / placed.length;
+};
+
+const orderLayers = (rows, upstream, downstream, sweeps = 4) => {
+  const positions = {};
+  const index = () => rows.forEach(row => row.forEach((id, i) => { positions[id] = i; }));
+  index();
+
+  const sortRow = (row, neighbours) => {
+    const weights = row.map((id, i) => barycenter(neighbours[id], positions) ?? i);
+    return row
+      .map((id, i) => ({ id, weight: weights[i], i }))
+      .sort((a, b) => a.weight - b.weight || a.i - b.i)
+      .map(entry => entry.id);
+  };
+
+  for (let sweep = 0; sweep < sweeps; sweep++) {
+    for (let l = 1; l < rows.length; l++) {
+      rows[l] = sortRow(rows[l], upstream);
+      index();
+    }
+    for (let l = rows.length - 2; l >= 0; l--) {
+      rows[l] = sortRow(rows[l], downstream);
+      index();
+    }
+  }
+  return rows;
+};
+
+export const computeLayout = (dag, {
+  nodeHeight = 44,
+  layerGap = 70,
+  rowGap = 24,
+  padding = 30
+} = {}) => {
+  const { order, layers } = assignLayers(dag);
+  const tasksById = Object.fromEntries(dag.tasks.map(task => [task.id, task]));
+
+  const upstream = {};
+  const downstream = {};
+  order.forEach(id => {
+    upstream[id] = depsOf(dag, id).filter(dep => tasksById[dep]);
+    downstream[id] = [];
+  });
+  order.forEach(id => upstream[id].forEach(dep => downstream[dep].push(id)));
+
+  const layerCount = order.length > 0 ? Math.max(...order.map(id => layers[id])) + 1 : 0;
+  const rows = Array.from({ length: layerCount }, () => []);
+  order.forEach(id => rows[layers[id]].push(id));
+  orderLayers(rows, upstream, downstream);
+
+  const longestLabel = Math.max(8, ...dag.tasks.map(task => truncateLabel(task.name || task.id).length));
+  const nodeWidth = Math.min(MAX_LABEL_CHARS, longestLabel) * LABEL_CHAR_WIDTH + 24;
+  const maxRows = Math.max(1, ...rows.map(row => row.length));
+
+  const nodes = {};
+  rows.forEach((row, layer) => {
+    const offset = (maxRows - row.length) / 2;
+    row.forEach((id, index) => {
+      nodes[id] = {
+        id,
+        task: tasksById[id],
+        layer,
+        index,
+        x: padding + layer * (nodeWidth + layerGap),
+        y: padding + (index + offset) * (nodeHeight + rowGap),
+        width: nodeWidth,
+        height: nodeHeight
+      };
+    });
+  });
+
+  const edges = [];
+  order.forEach(id => {
+    upstream[id].forEach(dep => {
+      const from = nodes[dep];
+      const to = nodes[id];
+      const x1 = from.x + from.width;
+      const y1 = from.y + from.height / 2;
+      const x2 = to.x;
+      const y2 = to.y + to.height / 2;
+      const bend = Math.max(layerGap / 2, (x2 - x1) / 2);
+      edges.push({
+        id: `${dep}->${id}`,
+        from: dep,
+        to: id,
+        path: `M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}`
+      });
+    });
+  });
+
+  return {
+    nodes,
+    edges,
+    width: padding * 2 + Math.max(1, layerCount) * nodeWidth + Math.max(0, layerCount - 1) * layerGap,
+    height: padding * 2 + maxRows * nodeHeight + (maxRows - 1) * rowGap
+  };
+};
@@ -0,0 +1,129 @@
+import { migrateTask, validateSimulationProfile } from './simulationProfile.js';
+import { validateResources } from './taskResources.js';
+
+// Structural validation of DAG definitions. Every problem is reported as
+// { code, message, taskId?, path? } so the UI can render them next to the DAG.
+
+export class DAGValidationError extends Error {
+  constructor(dagId, errors) {
+    super(`DAG "${dagId}" is invalid: ${errors.map(error => error.message).join('; ')}`);
+    this.name = 'DAGValidationError';
+    this.dagId = dagId;
+    this.errors = errors;
+  }
+}
+
+const findCycle = (taskIds, dependencies) => {
+  const state = {}; // undefined = unvisited, 1 = on stack, 2 = done
+  const stack = [];
+
+  const visit = (id) => {
+    state[id] = 1;
+    stack.push(id);
+    for (const dep of dependencies[id] || []) {
+      if (!taskIds.has(dep)) continue;
+      if (state[dep] === 1) {
+        return [...stack.slice(stack.indexOf(dep)), dep];
+      }
+      if (!state[dep]) {
+        const cycle = visit(dep);
+        if (cycle) return cycle;
+      }
+    }
+    stack.pop();
+    state[id] = 2;
+    return null;
+  };
+
+  for (const id of taskIds) {
+    if (state[id]) continue;
+    const cycle = visit(id);
+    // Paths are walked upstream, so reverse them to read in execution order
+    if (cycle) return cycle.reverse();
+  }
+  return null;
+};
+
+export const validateDAG = (dag) => {
+  const errors = [];
+
+  if (!dag || typeof dag !== 'object') {
+    return [{ code: 'invalid_dag', message: 'DAG definition must be an object' }];
+  }
+  if (!dag.id || typeof dag.id !== 'string') {
+    errors.push({ code: 'missing_id', message: 'DAG is missing an id' });
+  }
+  if (!dag.name) {
+    errors.push({ code: 'missing_name', message: 'DAG is missing a name' });
+  }
+  if (!Array.isArray(dag.tasks) || dag.tasks.length === 0) {
+    errors.push({ code: 'missing_tasks', message: 'DAG must define at least one task' });
+    return errors;
+  }
+
+  const taskIds = new Set();
+  dag.tasks.forEach((task, index) => {
+    if (!task?.id) {
+      errors.push({ code: 'missing_task_id', message: `Task #${index + 1} is missing an id` });
+      return;
+    }
+    if (taskIds.has(task.id)) {
+      errors.push({ code: 'duplicate_task_id', taskId: task.id, message: `Duplicate task id "${task.id}"` });
+    }
+    taskIds.add(task.id);
+
+    if (!task.name) {
+      errors.push({ code: 'missing_task_name', taskId: task.id, message: `Task "${task.id}" is missing a name` });
+    }
+    if (!task.type) {
+      errors.push({ code: 'missing_task_type', taskId: task.id, message: `Task "${task.id}" is missing a type` });
+    }
+    if (task.retries !== undefined && (!Number.isInteger(task.retries) || task.retries < 0)) {
+      errors.push({
+        code: 'invalid_retries',
+        taskId: task.id,
+        message: `Task "${task.id}" has invalid retries (${task.retries}); expected a non-negative integer`
+      });
+    }
+    // Legacy duration/failureRate fields are checked in their migrated form
+    [...validateSimulationProfile(migrateTask(task).simulation), ...validateResources(task.resources)].forEach(problem => {
+      errors.push({ code: problem.code, taskId: task.id, message: `Task "${task.id}": ${problem.message}` });
+    });
+  });
+
+  const dependencies = dag.dependencies || {};
+  if (typeof dependencies !== 'object' || Array.isArray(dependencies)) {
+    errors.push({ code: 'invalid_dependencies', message: 'dependencies must map task ids to arrays of task ids' });
+    return errors;
+  }
+
+  Object.entries(dependencies).forEach(([taskId, deps]) => {
+    if (!taskIds.has(taskId)) {
+      errors.push({ code: 'unknown_task', taskId, message: `Dependencies declared for unknown task "${taskId}"` });
+    }
+    if (!Array.isArray(deps)) {
+      errors.push({ code: 'invalid_dependencies', taskId, message: `Dependencies of "${taskId}" must be an array` });
+      return;
+    }
+    deps.forEach(dep => {
+      if (dep === taskId) {
+        errors.push({ code: 'cycle', taskId, path: [taskId, taskId], message: `Task "${taskId}" depends on itself` });
+      } else if (!taskIds.has(dep)) {
+        errors.push({
+          code: 'dangling_dependency',
+          taskId,
+          message: `Task "${taskId}" depends on unknown task "${dep}"`
+        });
+      }
+    });
+  });
+
+  if (!errors.some(error => error.code === 'cycle' || error.code === 'invalid_dependencies')) {
+    const cycle = findCycle(taskIds, dependencies);
+    if (cycle) {
+      errors.push({ code: 'cycle', path: cycle, message: `Dependency cycle: ${cycle.join(' → ')}` });
+    }
+  }
+
+  return errors;
+};
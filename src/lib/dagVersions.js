@@ -0,0 +1,141 @@
+import { bumpVersion } from './dagEditing.js';
+import { diffValues } from './audit.js';
+
+// Immutable version history of DAG definitions. Every saved change to a DAG
+// adds a record; records are never edited, and a version string always
+// refers to the same definition. Runs store the version they ran
+// (execution.dagVersion), so the exact definition can be looked up later.
+//
+//   { id: 'etl_pipeline@1.2.1', dagId, version, savedAt, savedBy, source, note, dag }
+
+export const VERSION_SOURCES = {
+  initial: 'Initial version',
+  create: 'Created',
+  edit: 'Edited',
+  import: 'Imported',
+  recommendation: 'Recommendation',
+  rollback: 'Rollback'
+};
+
+export const versionId = (dagId, version) => `${dagId}@${version}`;
+
+// Newest first
+export const getVersionHistory = (versions, dagId) => versions
+  .filter(record => record.dagId === dagId)
+  .sort((a, b) => b.savedAt - a.savedAt);
+
+const sameDefinition = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// The DAG to store and its version record, or null when it matches the latest
+// version. A version string already used by another definition is bumped
+// until it is free, so an edit that forgot to bump still gets its own record.
+export const recordVersion = (versions, dag, { user, source, note, savedAt = new Date() }) => {
+  const history = getVersionHistory(versions, dag.id);
+  if (history[0] && sameDefinition(history[0].dag, dag)) return null;
+  let { version } = dag;
+  while (history.some(record => record.version === version)) version = bumpVersion(version);
+  const stored = { ...dag, version };
+  return {
+    dag: stored,
+    record: {
+      id: versionId(dag.id, version),
+      dagId: dag.id,
+      version,
+      savedAt,
+      savedBy: user?.email || null,
+      source,
+      note: note || null,
+      dag: stored
+    }
+  };
+};
+
+// First records for DAGs that have no history yet, e.g. ones saved before
+// versions were recorded
+export const createInitialVersions = (dags, versions) => Object.values(dags)
+  .filter(dag => !versions.some(record => record.dagId === dag.id))
+  .map(dag => recordVersion([], dag, { source: 'initial' }).record);
+
+// Rolling back saves the old definition as the next version rather than
+// rewinding history
+export const rollbackDAG = (record, current) => ({
+  ...record.dag,
+  version: bumpVersion(current?.version ?? record.version)
+});
+
+// The definition a run used, when its version was recorded; otherwise the DAG as it is now
+export const getRunDAG = (execution, dags, versionsById) =>
+  versionsById[versionId(execution.dag, execution.dagVersion)]?.dag || dags[execution.dag];
+
+// --- Diffs -------------------------------------------------------------------
+
+const edgesOf = (dag) => Object.entries(dag.dependencies || {})
+  .flatMap(([to, deps]) => deps.map(from => ({ id: `${from}->${to}`, from, to })));
+
+// Structural diff between two definitions of a DAG. Edge ids match the ones
+// dagLayout gives its edges.
+//
+//   { fields: [{ path, before, after }],
+//     tasks: { added: [id], removed: [id], changed: [{ id, changes }] },
+//     edges: { added: [{ id, from, to }], removed: [{ id, from, to }] } }
+export const diffDAGs = (before, after) => {
+  const beforeTasks = new Map(before.tasks.map(task => [task.id, task]));
+  const afterTasks = new Map(after.tasks.map(task => [task.id, task]));
+  const beforeEdges = edgesOf(before);
+  const afterEdges = edgesOf(after);
+  const { tasks: _beforeTasks, dependencies: _beforeDeps, ...beforeFields } = before;
+  const { tasks: _afterTasks, dependencies: _afterDeps, ...afterFields } = after;
+  return {
+    fields: diffValues(beforeFields, afterFields),
+    tasks: {
+      added: after.tasks.filter(task => !beforeTasks.has(task.id)).map(task => task.id),
+      removed: before.tasks.filter(task => !afterTasks.has(task.id)).map(task => task.id),
+      changed: after.tasks
+        .filter(task => beforeTasks.has(task.id))
+        .map(task => ({ id: task.id, changes: diffValues(beforeTasks.get(task.id), task) }))
+        .filter(task => task.changes.length > 0)
+    },
+    edges: {
+      added: afterEdges.filter(edge => !beforeEdges.some(other => other.id === edge.id)),
+      removed: beforeEdges.filter(edge => !afterEdges.some(other => other.id === edge.id))
+    }
+  };
+};
+
+// Status per task and edge id: 'added', 'removed' or 'changed'; anything missing is unchanged
+export const getDiffStatus = (diff) => ({
+  tasks: Object.fromEntries([
+    ...diff.tasks.added.map(id => [id, 'added']),
+    ...diff.tasks.removed.map(id => [id, 'removed']),
+    ...diff.tasks.changed.map(task => [task.id, 'changed'])
+  ]),
+  edges: Object.fromEntries([
+    ...diff.edges.added.map(edge => [edge.id, 'added']),
+    ...diff.edges.removed.map(edge => [edge.id, 'removed'])
+  ])
+});
+
+// Both definitions in one graph, for drawing a diff: removed tasks and edges are kept
+export const mergeForDiff = (before, after) => {
+  const dependencies = { ...after.dependencies };
+  edgesOf(before).forEach(({ from, to }) => {
+    if (!(dependencies[to] || []).includes(from)) dependencies[to] = [...(dependencies[to] || []), from];
+  });
+  return {
+    ...after,
+    tasks: [...after.tasks, ...before.tasks.filter(task => !after.tasks.some(other => other.id === task.id))],
+    dependencies
+  };
+};
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+// e.g. "1 task added, 2 tasks changed, 1 edge removed"
+export const describeDAGDiff = (diff) => [
+  diff.tasks.added.length > 0 && `${plural(diff.tasks.added.length, 'task')} added`,
+  diff.tasks.removed.length > 0 && `${plural(diff.tasks.removed.length, 'task')} removed`,
+  diff.tasks.changed.length > 0 && `${plural(diff.tasks.changed.length, 'task')} changed`,
+  diff.edges.added.length > 0 && `${plural(diff.edges.added.length, 'edge')} added`,
+  diff.edges.removed.length > 0 && `${plural(diff.edges.removed.length, 'edge')} removed`,
+  diff.fields.some(change => change.path !== 'version') && 'details changed'
+].filter(Boolean).join(', ') || 'No structural changes';
@@ -0,0 +1,427 @@
+import { getUpstream, topologicalSort } from './dagGraph.js';
+import { resolveRetryPolicy, getRetryDelay } from './retryPolicy.js';
+import { validateDAG, DAGValidationError } from './dagValidator.js';
+import { createRandom, randomSeed } from './random.js';
+import { VirtualClock } from './clock.js';
+import { resolveSimulationProfile, sampleDuration, sampleFailure } from './simulationProfile.js';
+import { simulateTaskOutput } from './taskOutput.js';
+import { resolveResources, getCpuSpeedup } from './taskResources.js';
+import { getAttemptCost } from './costModel.js';
+import { PermissionError, hasPermission, requirePermission } from './auth.js';
+import { WorkerPool, DEFAULT_WORKERS, DEFAULT_SLOT } from './workerPool.js';
+
+// The simulated execution engine: runs DAGs on a shared worker pool and reports
+// progress to subscribers as events. It has no UI dependencies, so tests can
+// drive it in Node with a seed and the instant clock.
+
+// Per-run pause/cancel state. `changed` settles with RUN_CONTROL_CHANGED on every
+// pause, resume or cancel so the scheduling loop can wake up and re-check.
+// `waits` holds the wake-up of every wait() in progress, for cancel() to cut short.
+const RUN_CONTROL_CHANGED = Symbol('run_control_changed');
+
+const createRunControl = () => {
+  const control = { paused: false, cancelled: false };
+  const arm = () => {
+    control.changed = new Promise(resolve => {
+      control.notifyChanged = () => resolve(RUN_CONTROL_CHANGED);
+    });
+  };
+  arm();
+  control.waits = new Set();
+  control.signal = () => {
+    const notify = control.notifyChanged;
+    arm();
+    notify();
+  };
+  control.cancel = () => {
+    control.cancelled = true;
+    control.paused = false;
+    control.waits.forEach(wake => wake());
+    control.waits.clear();
+    control.signal();
+  };
+  return control;
+};
+
+// All simulated randomness (durations, failures, retry jitter) comes from
+// seeded generators and all waiting goes through the virtual clock, so a run
+// started with the same seed replays the same way. With `seed` the engine's
+// per-run seeds are reproducible too; otherwise each run gets a fresh one.
+export class TaskExecutionEngine {
+  constructor({ retryPolicy = {}, workers = DEFAULT_WORKERS, queuePolicy = 'fifo', seed, speed = 1, clock } = {}) {
+    this.executions = new Map();
+    this.controls = new Map();
+    this.subscribers = new Set();
+    this.actor = null;
+    this.retryPolicy = retryPolicy;
+    this.runCounter = 0;
+    this.clock = clock || new VirtualClock({ speed });
+    this.seeds = seed === undefined ? Math.random : createRandom(seed);
+    this.pool = new WorkerPool({
+      workers,
+      queuePolicy,
+      now: () => this.clock.now(),
+      onChange: (stats) => {
+        this.metrics.activeWorkers = stats.busy;
+        this.metrics.totalWorkers = stats.total;
+        this.metrics.queueDepth = stats.queueDepth;
+        this.metrics.workerUtilization = stats.utilization;
+        this.notify({ type: 'pool_updated', stats });
+      }
+    });
+    this.metrics = {
+      totalExecutions: 0,
+      successfulExecutions: 0,
+      successRate: 0,
+      avgExecutionTime: 0,
+      activeWorkers: 0,
+      totalWorkers: this.pool.workers.length,
+      queueDepth: 0,
+      workerUtilization: 0
+    };
+  }
+
+  subscribe(callback) {
+    this.subscribers.add(callback);
+    return () => this.subscribers.delete(callback);
+  }
+
+  notify(data) {
+    this.subscribers.forEach(callback => callback(data));
+  }
+
+  now() {
+    return new Date(this.clock.now());
+  }
+
+  setSpeed(speed) {
+    this.clock.setSpeed(speed);
+  }
+
+  // The signed-in user. Runs and run controls need 'dag:execute', except runs
+  // passed `authorized` by a caller that checked when it was set up (a
+  // schedule or backfill). Without an actor (e.g. in scripts) nothing is
+  // restricted.
+  setActor(user) {
+    this.actor = user;
+  }
+
+  authorize(permission) {
+    if (this.actor) requirePermission(this.actor, permission);
+  }
+
+  // Runs may overlap; their tasks compete for the shared worker pool.
+  // `retryOf` is a previous execution whose completed tasks are reused as-is;
+  // `trigger` records what started the run ('manual', 'schedule' or 'backfill').
+  // `logicalDate` is the data interval the run is for and defaults to its start.
+  async executeDAG(dag, {
+    priority = 0, retryOf = null, seed = randomSeed(this.seeds), trigger = 'manual', logicalDate, backfillId,
+    authorized = false
+  } = {}) {
+    const errors = validateDAG(dag);
+    if (errors.length > 0) {
+      this.notify({ type: 'execution_rejected', dag, errors });
+      throw new DAGValidationError(dag.id, errors);
+    }
+    if (!authorized && this.actor && !hasPermission(this.actor, 'dag:execute')) {
+      const error = new PermissionError(this.actor, 'dag:execute');
+      this.notify({ type: 'execution_denied', dag, error });
+      throw error;
+    }
+
+    const executionId = `${Date.now()}-${++this.runCounter}`;
+    const startTime = this.now();
+    const execution = {
+      id: executionId,
+      dag: dag.id,
+      // The exact definition run, see lib/dagVersions
+      dagVersion: dag.version,
+      status: 'running',
+      priority,
+      retryOf: retryOf?.id,
+      seed,
+      trigger,
+      // Schedules and backfills run on behalf of whoever set them up
+      startedBy: trigger === 'manual' ? this.actor?.email : undefined,
+      backfillId,
+      logicalDate: new Date(logicalDate ?? startTime),
+      startTime,
+      tasks: {},
+      // Summed from task attempts as they finish (see lib/costModel)
+      cost: 0
+    };
+    const control = createRunControl();
+
+    this.executions.set(executionId, execution);
+    this.controls.set(executionId, control);
+    this.notify({ type: 'execution_started', execution });
+
+    try {
+      const order = topologicalSort(dag);
+      const upstream = getUpstream(dag);
+      const tasksById = Object.fromEntries(dag.tasks.map(task => [task.id, task]));
+      const pending = new Set(order);
+      const running = new Map();
+
+      const isDone = (id) => ['completed', 'failed', 'upstream_failed', 'cancelled'].includes(execution.tasks[id]?.status);
+
+      // Dispatch every task whose upstreams have all finished, then wait for
+      // the next running task to settle (or a pause/resume/cancel) and repeat.
+      while (pending.size > 0 || running.size > 0) {
+        if (!control.paused && !control.cancelled) {
+          for (const id of order) {
+            if (!pending.has(id) || !upstream[id].every(isDone)) continue;
+            pending.delete(id);
+
+            const previous = retryOf?.tasks?.[id];
+            if (previous?.status === 'completed') {
+              execution.tasks[id] = { ...previous, reused: true };
+              this.notify({ type: 'task_reused', execution, task: execution.tasks[id] });
+              continue;
+            }
+            if (upstream[id].some(dep => execution.tasks[dep].status !== 'completed')) {
+              execution.tasks[id] = { id, status: 'upstream_failed', retries: 0 };
+              this.notify({ type: 'task_upstream_failed', execution, task: execution.tasks[id] });
+              continue;
+            }
+            running.set(id, this.runTask(execution, tasksById[id], control).then(() => id));
+          }
+        }
+
+        if (running.size === 0) {
+          if (control.cancelled) break;
+          if (control.paused) await control.changed;
+          continue;
+        }
+        const settled = await Promise.race([...running.values(), control.changed]);
+        if (settled !== RUN_CONTROL_CHANGED) running.delete(settled);
+      }
+
+      if (control.cancelled) {
+        execution.status = 'cancelled';
+        execution.error = 'Cancelled by user';
+        execution.endTime = this.now();
+        this.updateMetrics(execution);
+      } else {
+        const failed = Object.values(execution.tasks).filter(task => task.status === 'failed');
+        if (failed.length > 0) {
+          throw new Error(`Task failed: ${failed.map(task => task.id).join(', ')}`);
+        }
+
+        execution.status = 'completed';
+        execution.endTime = this.now();
+        this.updateMetrics(execution);
+      }
+    } catch (error) {
+      execution.status = 'failed';
+      execution.error = error.message;
+      execution.endTime = this.now();
+      this.updateMetrics(execution);
+    } finally {
+      this.controls.delete(executionId);
+    }
+
+    this.notify({ type: 'execution_completed', execution });
+    return execution;
+  }
+
+  getActiveRuns(dagId) {
+    return [...this.controls.keys()]
+      .map(id => this.executions.get(id))
+      .filter(execution => !dagId || execution.dag === dagId);
+  }
+
+  // Reruns a failed or cancelled execution, skipping tasks that already completed
+  rerunFromFailure(dag, previousExecution, options = {}) {
+    return this.executeDAG(dag, { ...options, retryOf: previousExecution });
+  }
+
+  // Stops dispatching new tasks; tasks already queued or running carry on
+  pauseExecution(executionId) {
+    this.authorize('dag:execute');
+    const control = this.controls.get(executionId);
+    if (!control || control.paused || control.cancelled) return false;
+    const execution = this.executions.get(executionId);
+    control.paused = true;
+    execution.status = 'paused';
+    control.signal();
+    this.notify({ type: 'execution_paused', execution });
+    return true;
+  }
+
+  resumeExecution(executionId) {
+    this.authorize('dag:execute');
+    const control = this.controls.get(executionId);
+    if (!control || !control.paused || control.cancelled) return false;
+    const execution = this.executions.get(executionId);
+    control.paused = false;
+    execution.status = 'running';
+    control.signal();
+    this.notify({ type: 'execution_resumed', execution });
+    return true;
+  }
+
+  // Queued and running tasks are marked cancelled; nothing new is dispatched
+  cancelExecution(executionId) {
+    this.authorize('dag:execute');
+    const control = this.controls.get(executionId);
+    if (!control || control.cancelled) return false;
+    const execution = this.executions.get(executionId);
+    control.cancel();
+    this.pool.cancelQueued(entry => entry.executionId === executionId, new Error('Execution cancelled'));
+    this.notify({ type: 'execution_cancelled', execution });
+    return true;
+  }
+
+  // Resolves after `ms` of virtual time, or straight away once the run is cancelled
+  wait(ms, control) {
+    if (control.cancelled) return Promise.resolve();
+    return new Promise(resolve => {
+      const timer = this.clock.schedule(() => {
+        control.waits.delete(wake);
+        resolve();
+      }, ms);
+      const wake = () => {
+        this.clock.cancel(timer);
+        resolve();
+      };
+      control.waits.add(wake);
+    });
+  }
+
+  cancelTask(execution, taskExecution, attempt) {
+    const now = this.now();
+    if (attempt && !attempt.endTime) {
+      attempt.endTime = now;
+      attempt.status = 'cancelled';
+    }
+    taskExecution.status = 'cancelled';
+    taskExecution.endTime = now;
+    this.notify({ type: 'task_cancelled', execution, task: taskExecution });
+    return taskExecution;
+  }
+
+  async runTask(execution, task, control) {
+    const policy = resolveRetryPolicy(this.retryPolicy, task);
+    const maxRetries = task.retries || 0;
+    const profile = resolveSimulationProfile(task);
+    const taskExecution = {
+      id: task.id,
+      type: task.type,
+      slot: task.slot || DEFAULT_SLOT,
+      resources: resolveResources(task),
+      cost: 0,
+      status: 'queued',
+      queuedAt: this.now(),
+      retries: 0,
+      attempts: []
+    };
+
+    execution.tasks[task.id] = taskExecution;
+
+    for (;;) {
+      const queuedAt = this.now();
+      taskExecution.status = 'queued';
+      this.notify({ type: 'task_queued', execution, task: taskExecution });
+
+      let worker;
+      try {
+        worker = await this.pool.acquire({
+          slot: task.slot,
+          priority: execution.priority + (task.priority || 0),
+          executionId: execution.id,
+          taskId: task.id
+        });
+      } catch (error) {
+        if (control.cancelled) return this.cancelTask(execution, taskExecution);
+        taskExecution.status = 'failed';
+        taskExecution.endTime = this.now();
+        taskExecution.error = error.message;
+        this.notify({ type: 'task_failed', execution, task: taskExecution });
+        return taskExecution;
+      }
+
+      const attempt = { number: taskExecution.retries + 1, worker: worker.id, queuedAt, startTime: this.now() };
+      // Each attempt draws from its own stream, so its outcome doesn't depend on
+      // how it interleaved with other tasks or runs
+      const random = createRandom(`${execution.seed}:${task.id}:${attempt.number}`);
+      taskExecution.attempts.push(attempt);
+      taskExecution.startTime = taskExecution.startTime || attempt.startTime;
+      taskExecution.worker = worker.id;
+      taskExecution.status = 'running';
+      this.notify({ type: 'task_started', execution, task: taskExecution });
+
+      // Simulate task execution. The outcome (success, transient or permanent
+      // failure) is drawn up front so the task's output can lead up to it.
+      const duration = sampleDuration(profile.duration, random) / getCpuSpeedup(task);
+      const failureClass = sampleFailure(profile.failure, random);
+      const output = simulateTaskOutput(task, {
+        duration,
+        failureClass,
+        random: createRandom(`${execution.seed}:${task.id}:${attempt.number}:output`)
+      });
+      const emit = (line) => this.notify({ type: 'task_output', execution, task: taskExecution, attempt: attempt.number, line });
+      const outputTimers = output.progress.map(line => this.clock.schedule(() => emit(line), line.offset));
+      try {
+        await this.wait(duration, control);
+      } finally {
+        this.pool.release(worker);
+        outputTimers.forEach(timer => this.clock.cancel(timer));
+        // Billed for the time the worker was held, including a cancelled attempt's
+        this.chargeAttempt(execution, task, taskExecution, attempt);
+      }
+      if (control.cancelled) return this.cancelTask(execution, taskExecution, attempt);
+      attempt.endTime = this.now();
+      emit(output.result);
+
+      if (!failureClass) {
+        attempt.status = 'completed';
+        taskExecution.status = 'completed';
+        taskExecution.endTime = attempt.endTime;
+        this.notify({ type: 'task_completed', execution, task: taskExecution });
+        return taskExecution;
+      }
+
+      attempt.status = 'failed';
+      attempt.failureClass = failureClass;
+      attempt.error = output.result.message;
+      // Permanent failures are not worth retrying
+      if (failureClass === 'permanent' || taskExecution.retries >= maxRetries) break;
+
+      // The worker is handed back during backoff; the retry queues again
+      taskExecution.retries++;
+      taskExecution.status = 'retrying';
+      const delay = getRetryDelay(policy, taskExecution.retries, random);
+      this.notify({ type: 'task_retrying', execution, task: taskExecution, delay });
+
+      await this.wait(delay, control);
+      if (control.cancelled) return this.cancelTask(execution, taskExecution);
+    }
+
+    const lastAttempt = taskExecution.attempts[taskExecution.attempts.length - 1];
+    taskExecution.status = 'failed';
+    taskExecution.endTime = this.now();
+    taskExecution.failureClass = lastAttempt.failureClass;
+    taskExecution.error = lastAttempt.failureClass === 'permanent'
+      ? `Task failed permanently on attempt ${lastAttempt.number}: ${lastAttempt.error}`
+      : `Task execution failed after ${taskExecution.attempts.length} attempt(s): ${lastAttempt.error}`;
+    this.notify({ type: 'task_failed', execution, task: taskExecution });
+    return taskExecution;
+  }
+
+  chargeAttempt(execution, task, taskExecution, attempt) {
+    attempt.cost = getAttemptCost(task, this.clock.now() - attempt.startTime.getTime());
+    taskExecution.cost += attempt.cost;
+    execution.cost += attempt.cost;
+  }
+
+  // Running totals for this engine instance; the dashboard aggregates full history via lib/metrics
+  updateMetrics(execution) {
+    const { totalExecutions, avgExecutionTime } = this.metrics;
+    const seconds = (execution.endTime - execution.startTime) / 1000;
+    this.metrics.totalExecutions = totalExecutions + 1;
+    if (execution.status === 'completed') this.metrics.successfulExecutions++;
+    this.metrics.successRate = (this.metrics.successfulExecutions / this.metrics.totalExecutions) * 100;
+    this.metrics.avgExecutionTime = (avgExecutionTime * totalExecutions + seconds) / this.metrics.totalExecutions;
+  }
+}
@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import { TaskExecutionEngine } from './engine.js';
+import { VirtualClock } from './clock.js';
+import { PermissionError } from './auth.js';
+
+// Two branches competing for workers, with retries, so runs differ in their
+// durations, failures, costs and interleaving unless every draw comes from the
+// seed
+const DAG = {
+  id: 'test_pipeline',
+  name: 'Test Pipeline',
+  version: '1.0.0',
+  tasks: [
+    { id: 'extract', name: 'Extract', type: 'extract', retries: 2 },
+    { id: 'train_a', name: 'Train A', type: 'training', retries: 3 },
+    { id: 'train_b', name: 'Train B', type: 'training', retries: 3 },
+    { id: 'evaluate', name: 'Evaluate', type: 'validation', retries: 1 },
+    { id: 'deploy', name: 'Deploy', type: 'deployment', retries: 1 }
+  ],
+  dependencies: {
+    train_a: ['extract'],
+    train_b: ['extract'],
+    evaluate: ['train_a', 'train_b'],
+    deploy: ['evaluate']
+  }
+};
+
+// What a run did, relative to its own start time. Costs are billed on the
+// clock's sub-millisecond time, so they are compared to a hundredth of a cent.
+const amount = (cost = 0) => cost.toFixed(4);
+
+const summarize = (execution) => ({
+  seed: execution.seed,
+  status: execution.status,
+  duration: execution.endTime - execution.startTime,
+  cost: amount(execution.cost),
+  tasks: Object.values(execution.tasks).map(task => ({
+    id: task.id,
+    status: task.status,
+    retries: task.retries,
+    cost: amount(task.cost),
+    attempts: (task.attempts || []).map(attempt => ({
+      start: attempt.startTime - execution.startTime,
+      duration: attempt.endTime - attempt.startTime,
+      status: attempt.status,
+      worker: attempt.worker,
+      cost: amount(attempt.cost)
+    }))
+  }))
+});
+
+const runAll = (engine, count) => Promise.all(Array.from({ length: count }, () => engine.executeDAG(DAG)));
+
+describe('TaskExecutionEngine', () => {
+  it('replays the same runs from the same engine seed', async () => {
+    const first = await runAll(new TaskExecutionEngine({ seed: 42, speed: 'instant' }), 5);
+    const second = await runAll(new TaskExecutionEngine({ seed: 42, speed: 'instant' }), 5);
+
+    expect(second.map(summarize)).toEqual(first.map(summarize));
+    // Otherwise the comparison says nothing about failures and retries
+    expect(first.flatMap(run => Object.values(run.tasks)).some(task => task.retries > 0)).toBe(true);
+  });
+
+  it('replays a single run from its seed', async () => {
+    const [original] = await runAll(new TaskExecutionEngine({ seed: 7, speed: 'instant' }), 1);
+    const replay = await new TaskExecutionEngine({ speed: 'instant' }).executeDAG(DAG, { seed: original.seed });
+
+    expect(summarize(replay)).toEqual(summarize(original));
+  });
+
+  it('gives different seeds different runs', async () => {
+    const [a] = await runAll(new TaskExecutionEngine({ seed: 1, speed: 'instant' }), 1);
+    const [b] = await runAll(new TaskExecutionEngine({ seed: 2, speed: 'instant' }), 1);
+
+    expect(summarize(a)).not.toEqual(summarize(b));
+  });
+
+  it('runs through virtual time without waiting in instant mode', async () => {
+    const clock = new VirtualClock({ speed: 'instant', wallClock: () => 0 });
+    const engine = new TaskExecutionEngine({ seed: 42, clock });
+    const started = Date.now();
+    const execution = await engine.executeDAG(DAG);
+
+    expect(['completed', 'failed']).toContain(execution.status);
+    expect(execution.startTime.getTime()).toBe(0);
+    // Every task takes at least a few hundred virtual milliseconds
+    expect(execution.endTime - execution.startTime).toBeGreaterThan(1000);
+    expect(Date.now() - started).toBeLessThan(execution.endTime - execution.startTime);
+  });
+
+  it('runs at the same virtual pace at any speed', async () => {
+    const clock = new VirtualClock({ speed: 100, wallClock: () => 0 });
+    const paced = await new TaskExecutionEngine({ clock }).executeDAG(DAG, { seed: 3 });
+    const instant = await new TaskExecutionEngine({ speed: 'instant' }).executeDAG(DAG, { seed: 3 });
+
+    expect(summarize(instant)).toEqual(summarize(paced));
+  });
+
+  it('stops waiting on the clock once a run is cancelled', async () => {
+    const clock = new VirtualClock({ speed: 'instant', wallClock: () => 0 });
+    const engine = new TaskExecutionEngine({ seed: 42, clock });
+    engine.subscribe(event => {
+      if (event.type === 'task_started' && event.task.id === 'train_b') engine.cancelExecution(event.execution.id);
+    });
+    const execution = await engine.executeDAG(DAG);
+
+    expect(execution.status).toBe('cancelled');
+    expect(execution.tasks.train_a.status).toBe('cancelled');
+    expect(clock.timers).toEqual([]);
+  });
+
+  it('needs dag:execute for any run the caller has not authorized', async () => {
+    const engine = new TaskExecutionEngine({ seed: 42, speed: 'instant' });
+    engine.setActor({ email: 'viewer@orbital.dev', role: 'viewer' });
+
+    await expect(engine.executeDAG(DAG)).rejects.toThrow(PermissionError);
+    await expect(engine.executeDAG(DAG, { trigger: 'schedule' })).rejects.toThrow(PermissionError);
+    const execution = await engine.executeDAG(DAG, { trigger: 'schedule', authorized: true });
+    expect(execution.trigger).toBe('schedule');
+  });
+});
@@ -0,0 +1,31 @@
+// Display formatting shared by the history, metrics and cost views
+
+export const formatDuration = (ms) => {
+  if (ms === undefined || ms === null || Number.isNaN(ms)) return '—';
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  const seconds = ms / 1000;
+  if (seconds < 60) return `${seconds.toFixed(1)}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${Math.round(seconds % 60)}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+export const formatCurrency = (amount) =>
+  amount === undefined || amount === null ? '—' : `$${amount.toFixed(2)}`;
+
+export const formatDateTime = (date) => (date ? new Date(date).toLocaleString() : '—');
+
+export const formatTime = (date) => (date ? new Date(date).toLocaleTimeString() : '—');
+
+export const getExecutionDuration = (execution) =>
+  execution.startTime && execution.endTime ? execution.endTime - execution.startTime : undefined;
+
+// <input type="datetime-local"> values are local time without a zone
+export const toDateTimeInput = (time) => {
+  if (!time) return '';
+  const date = new Date(time);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+export const fromDateTimeInput = (value) => (value ? new Date(value).getTime() : null);
@@ -0,0 +1,158 @@
+import { formatDateTime } from './format.js';
+
+// Structured log records for engine events and simulated task output:
+//
+//   { id, timestamp, level, source: 'engine' | 'task', runId, dagId, taskId,
+//     attempt, message, fields }
+//
+// Records written before logs were structured only have id, timestamp and message.
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Log ids must stay unique even for records created within the same millisecond
+let logSequence = 0;
+
+export const createLogRecord = ({ timestamp = new Date(), level = 'info', source = 'engine', ...rest }) => ({
+  id: `${Date.now()}-${logSequence++}`,
+  timestamp,
+  level,
+  source,
+  runId: null,
+  dagId: null,
+  taskId: null,
+  attempt: null,
+  fields: {},
+  ...rest
+});
+
+const runFields = (execution) => ({ runId: execution.id, dagId: execution.dag });
+const taskFields = (event) => ({
+  ...runFields(event.execution),
+  taskId: event.task.id,
+  attempt: event.task.attempts?.length || null
+});
+
+// Fields for a log record describing an engine event, or null for events not worth logging
+export const describeEvent = (event) => {
+  switch (event.type) {
+    case 'execution_started': {
+      const { execution } = event;
+      const fields = { version: execution.dagVersion, trigger: execution.trigger, seed: execution.seed, logicalDate: execution.logicalDate };
+      if (execution.retryOf) {
+        return { ...runFields(execution), message: `🚀 Rerunning DAG from failure: ${execution.dag}`, fields: { ...fields, retryOf: execution.retryOf } };
+      }
+      const message = {
+        schedule: `⏰ Started scheduled run of DAG: ${execution.dag}`,
+        backfill: `⏪ Started backfill run of DAG: ${execution.dag} for ${formatDateTime(execution.logicalDate)}`
+      }[execution.trigger] || `🚀 Started execution of DAG: ${execution.dag}`;
+      return { ...runFields(execution), message, fields };
+    }
+    case 'execution_paused':
+      return { ...runFields(event.execution), message: `⏸️ Paused execution of DAG: ${event.execution.dag}` };
+    case 'execution_resumed':
+      return { ...runFields(event.execution), message: `▶️ Resumed execution of DAG: ${event.execution.dag}` };
+    case 'execution_cancelled':
+      return { ...runFields(event.execution), level: 'warn', message: `🛑 Cancelling execution of DAG: ${event.execution.dag}` };
+    case 'execution_completed': {
+      const { execution } = event;
+      const level = { failed: 'error', cancelled: 'warn' }[execution.status] || 'info';
+      return {
+        ...runFields(execution),
+        level,
+        message: `✅ Completed execution with status: ${execution.status}`,
+        fields: { status: execution.status, durationMs: execution.endTime - execution.startTime }
+      };
+    }
+    case 'execution_rejected':
+      return {
+        dagId: event.dag.id,
+        level: 'error',
+        message: `🚫 Refused to execute invalid DAG: ${event.dag.id} (${event.errors.length} error(s))`,
+        fields: { errors: event.errors.map(error => error.message) }
+      };
+    case 'execution_denied':
+      return { dagId: event.dag.id, level: 'warn', message: `🔒 Refused to execute DAG: ${event.dag.id} (${event.error.message})` };
+    case 'task_started':
+      return {
+        ...taskFields(event),
+        message: event.task.retries > 0
+          ? `▶️ Started task: ${event.task.id} (attempt ${event.task.retries + 1})`
+          : `▶️ Started task: ${event.task.id}`,
+        fields: { worker: event.task.worker }
+      };
+    case 'task_output':
+      return {
+        ...runFields(event.execution),
+        taskId: event.task.id,
+        attempt: event.attempt,
+        source: 'task',
+        level: event.line.level,
+        message: event.line.message,
+        fields: event.line.fields
+      };
+    case 'task_completed':
+      return { ...taskFields(event), message: `✅ Completed task: ${event.task.id}` };
+    case 'task_retrying': {
+      const lastAttempt = event.task.attempts[event.task.attempts.length - 1];
+      return {
+        ...taskFields(event),
+        level: 'warn',
+        message: `🔁 Retrying task: ${event.task.id} in ${(event.delay / 1000).toFixed(1)}s (retry ${event.task.retries})`,
+        fields: { delayMs: Math.round(event.delay), error: lastAttempt?.error }
+      };
+    }
+    case 'task_failed':
+      return {
+        ...taskFields(event),
+        level: 'error',
+        message: event.task.failureClass === 'permanent'
+          ? `❌ Failed task: ${event.task.id} (permanent failure, not retried)`
+          : `❌ Failed task: ${event.task.id}`,
+        fields: { error: event.task.error, failureClass: event.task.failureClass }
+      };
+    case 'task_upstream_failed':
+      return { ...taskFields(event), level: 'warn', message: `⏭️ Skipped task (upstream failed): ${event.task.id}` };
+    case 'task_cancelled':
+      return { ...taskFields(event), level: 'warn', message: `🛑 Cancelled task: ${event.task.id}` };
+    case 'task_reused':
+      return { ...taskFields(event), message: `♻️ Reused result of task: ${event.task.id}` };
+    case 'task_queued':
+    case 'pool_updated':
+      // Queue and pool activity is visible on the worker pool panel; logging it would drown out the rest
+      return null;
+    default:
+      return { level: 'debug', message: `Engine event: ${event.type}` };
+  }
+};
+
+export const filterLogs = (logs, { runId = 'all', taskId = 'all', level = 'debug', query = '' } = {}) => {
+  const minLevel = LOG_LEVELS.indexOf(level);
+  const needle = query.trim().toLowerCase();
+  return logs.filter(log => {
+    if (runId !== 'all' && log.runId !== runId) return false;
+    if (taskId !== 'all' && log.taskId !== taskId) return false;
+    if (LOG_LEVELS.indexOf(log.level || 'info') < minLevel) return false;
+    if (!needle) return true;
+    return `${log.message} ${JSON.stringify(log.fields || {})}`.toLowerCase().includes(needle);
+  });
+};
+
+export const formatFields = (fields = {}) => Object.entries(fields)
+  .filter(([, value]) => value !== undefined && value !== null)
+  .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+  .join(' ');
+
+// One line per record, e.g. "2026-01-01T10:00:00.000Z ERROR run-1 transform#2 message key=value"
+export const formatLogLine = (log) => [
+  new Date(log.timestamp).toISOString(),
+  (log.level || 'info').toUpperCase().padEnd(5),
+  log.runId || '-',
+  log.taskId ? `${log.taskId}${log.attempt ? `#${log.attempt}` : ''}` : '-',
+  log.message,
+  formatFields(log.fields)
+].filter(Boolean).join(' ');
+
+export const LOG_EXPORT_FORMATS = {
+  text: { extension: 'log', mimeType: 'text/plain', serialize: (logs) => logs.map(formatLogLine).join('\n') },
+  jsonl: { extension: 'jsonl', mimeType: 'application/x-ndjson', serialize: (logs) => logs.map(log => JSON.stringify(log)).join('\n') }
+};
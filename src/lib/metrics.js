@@ -0,0 +1,120 @@
+// Aggregates recorded executions into the numbers shown on the monitoring tab.
+// Everything is derived from execution records, so metrics survive reloads
+// and always agree with the execution history.
+
+export const METRIC_WINDOWS = {
+  '1h': { label: 'Last hour', ms: 60 * 60 * 1000 },
+  '24h': { label: 'Last 24 hours', ms: 24 * 60 * 60 * 1000 },
+  '7d': { label: 'Last 7 days', ms: 7 * 24 * 60 * 60 * 1000 },
+  all: { label: 'All time', ms: null }
+};
+
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+const DEFAULT_BUCKETS = 12;
+
+// Nearest-rank percentile; `values` need not be sorted
+export const percentile = (values, p) => {
+  if (values.length === 0) return undefined;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+};
+
+const average = (values) =>
+  values.length === 0 ? undefined : values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const durationOf = (record) =>
+  record.startTime && record.endTime ? new Date(record.endTime) - new Date(record.startTime) : undefined;
+
+// Cancelled runs say nothing about whether a DAG works, so they are counted
+// separately and left out of the success rate
+const summarize = (executions) => {
+  const durations = executions.map(durationOf).filter(duration => duration !== undefined);
+  const count = (status) => executions.filter(execution => execution.status === status).length;
+  const succeeded = count('completed');
+  const failed = count('failed');
+  return {
+    runs: executions.length,
+    succeeded,
+    failed,
+    cancelled: count('cancelled'),
+    successRate: succeeded + failed > 0 ? (succeeded / (succeeded + failed)) * 100 : undefined,
+    avgDuration: average(durations),
+    p50Duration: percentile(durations, 50),
+    p95Duration: percentile(durations, 95)
+  };
+};
+
+const groupBy = (items, keyOf) => items.reduce((groups, item) => {
+  const key = keyOf(item);
+  (groups[key] = groups[key] || []).push(item);
+  return groups;
+}, {});
+
+// `now` rounded up to the window's bucket size (a minute for all time). The
+// metrics only change when a run finishes or this moves on, so callers can
+// memoize on it instead of on a clock that moves every render.
+export const getMetricsTime = (now, window, buckets = DEFAULT_BUCKETS) => {
+  const windowMs = METRIC_WINDOWS[window]?.ms;
+  const resolution = windowMs ? windowMs / buckets : 60 * 1000;
+  return new Date(Math.ceil(now.getTime() / resolution) * resolution);
+};
+
+export const computeMetrics = (executions, { window = '24h', buckets = DEFAULT_BUCKETS, now = new Date(), dags = {} } = {}) => {
+  const finished = executions.filter(execution => FINISHED.includes(execution.status) && execution.startTime);
+  const windowMs = METRIC_WINDOWS[window]?.ms;
+  const earliest = finished.reduce((min, execution) => Math.min(min, new Date(execution.startTime)), now.getTime());
+  const from = windowMs ? now.getTime() - windowMs : earliest;
+  const inWindow = finished.filter(execution => new Date(execution.startTime) >= from);
+
+  // Throughput buckets across the window, oldest first
+  const span = Math.max(1, now.getTime() - from);
+  const bucketSize = span / buckets;
+  const timeline = Array.from({ length: buckets }, (_, i) => ({ start: from + i * bucketSize, runs: [] }));
+  inWindow.forEach(execution => {
+    const index = Math.min(buckets - 1, Math.floor((new Date(execution.startTime) - from) / bucketSize));
+    timeline[index].runs.push(execution);
+  });
+  const throughput = timeline.map(bucket => {
+    const stats = summarize(bucket.runs);
+    return {
+      time: bucket.start,
+      executions: stats.runs,
+      completed: stats.succeeded,
+      failed: stats.failed,
+      success_rate: stats.successRate,
+      avg_time: stats.avgDuration !== undefined ? stats.avgDuration / 1000 : undefined
+    };
+  });
+
+  const byDAG = Object.entries(groupBy(inWindow, execution => execution.dag))
+    .map(([dagId, runs]) => ({ dagId, name: dags[dagId]?.name || dagId, ...summarize(runs) }))
+    .sort((a, b) => b.runs - a.runs);
+
+  // Task-level breakdown: one record per task run, typed from the run or the DAG definition.
+  // Results reused by a rerun were already counted with the run that produced them.
+  const taskRuns = inWindow.flatMap(execution => Object.values(execution.tasks || {})
+    .filter(task => FINISHED.includes(task.status) && !task.reused)
+    .map(task => ({
+      ...task,
+      type: task.type || dags[execution.dag]?.tasks.find(definition => definition.id === task.id)?.type || 'unknown'
+    })));
+  const byTaskType = Object.entries(groupBy(taskRuns, task => task.type))
+    .map(([type, runs]) => ({
+      type,
+      ...summarize(runs),
+      retries: runs.reduce((sum, task) => sum + (task.retries || 0), 0)
+    }))
+    .sort((a, b) => b.runs - a.runs);
+
+  return {
+    window,
+    bucketSize,
+    ...summarize(inWindow),
+    throughputPerHour: (inWindow.length / span) * 60 * 60 * 1000,
+    throughput,
+    byDAG,
+    byTaskType
+  };
+};
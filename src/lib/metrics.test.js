@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { computeMetrics, getMetricsTime } from './metrics.js';
+
+const NOW = new Date(Date.UTC(2026, 0, 1, 10, 7));
+
+const run = (status, minutesAgo) => ({
+  id: `run-${minutesAgo}`,
+  dag: 'etl',
+  status,
+  startTime: new Date(NOW.getTime() - minutesAgo * 60 * 1000),
+  endTime: new Date(NOW.getTime() - minutesAgo * 60 * 1000 + 1000),
+  tasks: {}
+});
+
+describe('computeMetrics', () => {
+  it('counts cancelled runs separately from failures', () => {
+    const executions = [run('completed', 1), run('failed', 2), run('cancelled', 3), run('cancelled', 4)];
+    const stats = computeMetrics(executions, { window: '1h', now: NOW });
+
+    expect(stats).toMatchObject({ runs: 4, succeeded: 1, failed: 1, cancelled: 2, successRate: 50 });
+    expect(stats.byDAG[0].successRate).toBe(50);
+  });
+
+  it('has no success rate when every run was cancelled', () => {
+    const stats = computeMetrics([run('cancelled', 1)], { window: '1h', now: NOW });
+
+    expect(stats.successRate).toBeUndefined();
+  });
+});
+
+describe('getMetricsTime', () => {
+  it('rounds up to the bucket size of the window', () => {
+    expect(getMetricsTime(NOW, '1h').toISOString()).toBe('2026-01-01T10:10:00.000Z');
+    expect(getMetricsTime(NOW, '24h').toISOString()).toBe('2026-01-01T12:00:00.000Z');
+    expect(getMetricsTime(NOW, 'all').toISOString()).toBe('2026-01-01T10:07:00.000Z');
+  });
+});
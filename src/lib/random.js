@@ -0,0 +1,35 @@
+// Seeded pseudo-random numbers for the simulation. A seed (number or string)
+// always produces the same sequence, which is what makes runs replayable.
+
+// FNV-1a, so string seeds and derived keys like `${seed}:${taskId}` map to 32 bits
+export const hashSeed = (value) => {
+  const text = String(value);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// mulberry32: returns a () => number in [0, 1), like Math.random
+export const createRandom = (seed) => {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Seeds are kept short so they are easy to read back and type in
+export const randomSeed = (random = Math.random) => Math.floor(random() * 1e6);
+
+// Seeds typed into the UI: blank means "pick one", digits become a number
+export const parseSeed = (text) => {
+  const trimmed = String(text ?? '').trim();
+  if (!trimmed) return undefined;
+  return /^\d+$/.test(trimmed) ? Number(trimmed) : trimmed;
+};
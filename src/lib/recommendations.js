@@ -0,0 +1,453 @@
+import { percentile } from './metrics.js';
+import { getExecutionCriticalPath } from './criticalPath.js';
+import { getHourlyRate } from './costModel.js';
+import { resolveResources, getCpuSpeedup } from './taskResources.js';
+import { bumpVersion } from './dagEditing.js';
+import { formatDuration, formatCurrency } from './format.js';
+
+// Rule-based recommendations drawn from recorded executions. Each rule looks
+// at recent runs and returns findings with the evidence behind them and what
+// acting on them would save:
+//
+//   { id, rule, title, description, impact: 'high' | 'medium' | 'low',
+//     confidence, evidence: [string], savings: { cost, time },
+//     target: { dagId, taskId, workerId }, patch }
+//
+// `savings.cost` is dollars per month and `savings.time` milliseconds per
+// run. Confidence grows with the number of samples a finding rests on.
+//
+// `patch` is the concrete change that acts on a finding, or null when the
+// fix lies outside Orbital (e.g. in a task's code):
+//
+//   { kind: 'dag', dagId, tasks: { [taskId]: { retries: 3 } } }
+//   { kind: 'schedule', dagId, changes: { cron: '0 3 * * *' } }
+//   { kind: 'pool', removeWorker: 'worker-5' }
+
+export const RECOMMENDATION_RULES = {
+  failure_rate: 'Failure rate',
+  long_tail: 'Long-tail durations',
+  critical_path: 'Critical path',
+  idle_workers: 'Idle workers',
+  peak_hours: 'Peak-hour clustering'
+};
+
+// Only this many of the most recent finished runs are analyzed
+export const MAX_ANALYZED_RUNS = 200;
+const MIN_SAMPLES = 5;
+const FINISHED = ['completed', 'failed', 'cancelled'];
+const IMPACT_WEIGHTS = { high: 3, medium: 2, low: 1 };
+const HOUR_MS = 60 * 60 * 1000;
+
+const confidenceFor = (samples) => samples / (samples + 10);
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+const mean = (values) => (values.length === 0 ? 0 : sum(values) / values.length);
+const percent = (ratio) => `${Math.round(ratio * 100)}%`;
+const durationOf = (record) => record.endTime - record.startTime;
+
+const mostCommon = (values) => {
+  const counts = values.reduce((map, value) => map.set(value, (map.get(value) || 0) + 1), new Map());
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
+};
+
+// Task records of a DAG's runs, leaving out results reused by reruns
+const taskRecords = (runs, taskId) => runs
+  .map(run => run.tasks?.[taskId])
+  .filter(task => task && !task.reused);
+
+const dagTasks = (context) => Object.values(context.dags).flatMap(dag => dag.tasks.map(task => ({
+  dag,
+  task,
+  runs: context.runsByDAG[dag.id] || [],
+  runsPerMonth: context.projections[dag.id]?.runsPerMonth || 0
+})));
+
+// --- Rules -------------------------------------------------------------------
+
+// Attempts that fail cost money even when a retry rescues the run. When
+// retries run out, enough are suggested that all attempts failing becomes
+// rarer than RETRY_TARGET, adding at most MAX_EXTRA_RETRIES.
+const RETRY_TARGET = 0.01;
+const MAX_EXTRA_RETRIES = 3;
+
+const retriesFor = (transientRate, current) => {
+  let retries = current + 1;
+  while (retries < current + MAX_EXTRA_RETRIES && transientRate ** (retries + 1) >= RETRY_TARGET) retries++;
+  return retries;
+};
+
+const failureRate = (context) => dagTasks(context).flatMap(({ dag, task, runs, runsPerMonth }) => {
+  const records = taskRecords(runs, task.id);
+  const attempts = records.flatMap(record => record.attempts || []).filter(attempt => attempt.status !== 'cancelled');
+  if (attempts.length < MIN_SAMPLES) return [];
+  const failed = attempts.filter(attempt => attempt.status === 'failed');
+  const rate = failed.length / attempts.length;
+  if (rate < 0.1) return [];
+
+  const permanent = failed.filter(attempt => attempt.failureClass === 'permanent').length;
+  const runsFailed = records.filter(record => record.status === 'failed').length;
+  const runFailureRate = runsFailed / records.length;
+  const wastePerRun = sum(failed.map(attempt => attempt.cost || 0)) / records.length;
+  const retries = task.retries || 0;
+
+  let title;
+  let description;
+  let patch = null;
+  if (permanent >= failed.length - permanent) {
+    title = `Fix permanent failures in ${task.name}`;
+    description = 'Most of its failures are permanent, so retries cannot save the run; the cause needs fixing in the task itself.';
+  } else if (runsFailed > 0) {
+    const target = retriesFor((failed.length - permanent) / attempts.length, retries);
+    title = `Raise retries for ${task.name}`;
+    description = `Transient failures use up its ${retries} ${retries === 1 ? 'retry' : 'retries'} in ${percent(runFailureRate)} of runs, failing the whole DAG. ${target} retries would let it fail for good in under ${percent(RETRY_TARGET)} of runs.`;
+    patch = { kind: 'dag', dagId: dag.id, tasks: { [task.id]: { retries: target } } };
+  } else {
+    title = `Reduce transient failures in ${task.name}`;
+    description = 'Retries absorb its transient failures, but every failed attempt is still paid for.';
+  }
+
+  return [{
+    rule: 'failure_rate',
+    title,
+    description,
+    impact: rate >= 0.3 || runFailureRate >= 0.1 ? 'high' : rate >= 0.15 ? 'medium' : 'low',
+    samples: attempts.length,
+    evidence: [
+      `${failed.length} of ${attempts.length} attempts failed (${percent(rate)}), ${permanent} permanently`,
+      `${runsFailed} of ${records.length} runs lost the task after retries`,
+      `Most common error: ${mostCommon(failed.map(attempt => attempt.error)) || 'unknown'}`
+    ],
+    savings: { cost: wastePerRun * runsPerMonth, time: 0 },
+    target: { dagId: dag.id, taskId: task.id },
+    patch
+  }];
+});
+
+// A p95 far above the median means a few slow attempts dominate the bill
+const longTail = (context) => dagTasks(context).flatMap(({ dag, task, runs, runsPerMonth }) => {
+  const records = taskRecords(runs, task.id);
+  const durations = records
+    .flatMap(record => record.attempts || [])
+    .filter(attempt => attempt.status === 'completed')
+    .map(durationOf);
+  if (durations.length < MIN_SAMPLES * 2) return [];
+  const p50 = percentile(durations, 50);
+  const p95 = percentile(durations, 95);
+  if (p50 <= 0 || p95 / p50 < 2) return [];
+
+  // Time spent above the median, per run
+  const excess = sum(durations.map(duration => Math.max(0, duration - p50))) / records.length;
+  const ratio = p95 / p50;
+  return [{
+    rule: 'long_tail',
+    title: `Investigate slow outliers in ${task.name}`,
+    description: `Its slowest attempts take ${ratio.toFixed(1)}× the median. Finding what makes them slow (skewed input, a cold cache, a noisy worker) would bring every run closer to the typical duration.`,
+    impact: ratio >= 4 ? 'high' : ratio >= 3 ? 'medium' : 'low',
+    samples: durations.length,
+    evidence: [
+      `p50 ${formatDuration(p50)}, p95 ${formatDuration(p95)} over ${durations.length} successful attempts`,
+      `${formatDuration(excess)} per run is spent above the median`
+    ],
+    savings: { cost: (excess / 1000) * getHourlyRate(task) * runsPerMonth, time: excess },
+    target: { dagId: dag.id, taskId: task.id },
+    patch: null
+  }];
+});
+
+// The task that most often decides when a run ends, if it takes a large
+// share of it. The patch doubles its CPU; savings compare the faster, pricier
+// attempts with the current ones.
+const criticalPath = (context) => Object.values(context.dags).flatMap(dag => {
+  const runs = (context.runsByDAG[dag.id] || []).filter(run => run.status === 'completed');
+  if (runs.length < MIN_SAMPLES) return [];
+
+  const paths = runs.map(run => getExecutionCriticalPath(dag, run));
+  const candidates = dag.tasks.map(task => {
+    const onPath = paths.filter(path => path.includes(task.id));
+    const records = taskRecords(runs, task.id).filter(record => record.startTime && record.endTime);
+    const shares = runs
+      .filter(run => run.tasks?.[task.id]?.endTime && !run.tasks[task.id].reused)
+      .map(run => durationOf(run.tasks[task.id]) / Math.max(1, durationOf(run)));
+    return {
+      task,
+      pathRate: onPath.length / runs.length,
+      share: mean(shares),
+      duration: mean(records.map(durationOf)),
+      cost: mean(records.map(record => record.cost || 0))
+    };
+  }).filter(candidate => candidate.pathRate >= 0.8 && candidate.share >= 0.4);
+  if (candidates.length === 0) return [];
+
+  const { task, pathRate, share, duration, cost } = candidates.sort((a, b) => b.share - a.share)[0];
+  const runsPerMonth = context.projections[dag.id]?.runsPerMonth || 0;
+  const resources = resolveResources(task);
+  const faster = { ...task, resources: { ...task.resources, cpu: resources.cpu * 2 } };
+  const speedup = getCpuSpeedup(faster) / getCpuSpeedup(task);
+  const fasterCost = (cost / speedup) * (getHourlyRate(faster) / getHourlyRate(task));
+  return [{
+    rule: 'critical_path',
+    title: `Speed up ${task.name} to shorten ${dag.name}`,
+    description: `It sits on the critical path of ${percent(pathRate)} of runs and takes ${percent(share)} of the run time. Doubling its CPU to ${faster.resources.cpu} vCPU would make it about ${speedup.toFixed(1)}× faster and shorten the whole run.`,
+    impact: share >= 0.6 ? 'high' : 'medium',
+    samples: runs.length,
+    evidence: [
+      `On the critical path in ${Math.round(pathRate * runs.length)} of ${runs.length} successful runs`,
+      `Averages ${formatDuration(duration)} of a ${formatDuration(mean(runs.map(durationOf)))} run`
+    ],
+    savings: { cost: (cost - fasterCost) * runsPerMonth, time: duration - duration / speedup },
+    target: { dagId: dag.id, taskId: task.id },
+    patch: { kind: 'dag', dagId: dag.id, tasks: { [task.id]: { resources: faster.resources } } }
+  }];
+});
+
+// Workers whose slots other workers also provide, and that sit idle most of
+// the time runs are active. The cost model bills attempts by the slot they ask
+// for, not by worker, so removing one saves nothing directly: its attempts
+// move to the other workers at the same price. The finding is about a smaller
+// pool that serves runs as well.
+const IDLE_UTILIZATION = 0.1;
+
+// Total time at least one run was active; gaps between runs don't count as idle
+const activeTime = (runs) => {
+  const intervals = runs
+    .map(run => [run.startTime.getTime(), run.endTime.getTime()])
+    .sort((a, b) => a[0] - b[0]);
+  let total = 0;
+  let end = -Infinity;
+  intervals.forEach(([start, finish]) => {
+    total += Math.max(0, finish - Math.max(start, end));
+    end = Math.max(end, finish);
+  });
+  return total;
+};
+
+const idleWorkers = (context) => {
+  const attempts = context.runs.flatMap(run => Object.values(run.tasks || {})
+    .filter(task => !task.reused)
+    .flatMap(task => task.attempts || [])
+    .filter(attempt => attempt.startTime && attempt.endTime));
+  if (context.runs.length < MIN_SAMPLES || attempts.length === 0) return [];
+
+  const span = Math.max(1, activeTime(context.runs));
+  const usage = context.workers.map(worker => {
+    const own = attempts.filter(attempt => attempt.worker === worker.id);
+    return { worker, utilization: sum(own.map(durationOf)) / span, attempts: own };
+  });
+
+  let remaining = context.workers;
+  return usage
+    .filter(({ utilization }) => utilization < IDLE_UTILIZATION)
+    .sort((a, b) => a.utilization - b.utilization)
+    .flatMap(({ worker, utilization, attempts: served }) => {
+      const others = remaining.filter(other => other.id !== worker.id);
+      if (!worker.tags.every(tag => others.some(other => other.tags.includes(tag)))) return [];
+      remaining = others;
+
+      const billed = sum(served.map(attempt => attempt.cost || 0));
+      return [{
+        rule: 'idle_workers',
+        title: `Remove idle ${worker.id}`,
+        description: `It was busy ${percent(utilization)} of the time runs were active, and other workers provide its ${worker.tags.join(', ')} slot${worker.tags.length > 1 ? 's' : ''}. Its attempts would move to them at the same price.`,
+        impact: 'low',
+        samples: context.runs.length,
+        evidence: [
+          `Ran ${served.length} attempt(s) in ${formatDuration(span)} of run activity across ${context.runs.length} runs`,
+          `Those attempts were billed ${formatCurrency(billed)}, by the slot they asked for rather than the worker`
+        ],
+        savings: { cost: 0, time: 0 },
+        target: { workerId: worker.id },
+        patch: { kind: 'pool', removeWorker: worker.id }
+      }];
+    });
+};
+
+// Runs bunched into a few hours queue behind each other for workers. Cron
+// schedules that fire at fixed hours are moved to the quietest window; other
+// schedules, and DAGs that are only run by hand, are left to the reader.
+const PEAK_WINDOW_HOURS = 3;
+
+const shiftSchedule = (schedule, dagId, hours) => {
+  if (schedule?.kind !== 'cron') return null;
+  const fields = schedule.cron.trim().split(/\s+/);
+  if (fields.length !== 5 || !/^\d+(,\d+)*$/.test(fields[1])) return null;
+  fields[1] = fields[1].split(',')
+    .map(hour => (Number(hour) + hours + 24) % 24)
+    .sort((a, b) => a - b)
+    .join(',');
+  return { kind: 'schedule', dagId, changes: { cron: fields.join(' ') } };
+};
+
+const formatHour = (hour) => `${String(hour % 24).padStart(2, '0')}:00`;
+
+const peakHours = (context) => Object.values(context.dags).flatMap(dag => {
+  const runs = context.runsByDAG[dag.id] || [];
+  if (runs.length < MIN_SAMPLES * 2) return [];
+  // Runs from a single sitting say nothing about time of day
+  const starts = runs.map(run => run.startTime.getTime());
+  if (Math.max(...starts) - Math.min(...starts) < 24 * HOUR_MS) return [];
+
+  const hourOf = (run) => run.startTime.getHours();
+  const counts = Array.from({ length: 24 }, (_, hour) => runs.filter(run => hourOf(run) === hour).length);
+  const windowCount = (start) => sum(Array.from({ length: PEAK_WINDOW_HOURS }, (_, offset) => counts[(start + offset) % 24]));
+  const peakStart = counts.map((_, hour) => hour).sort((a, b) => windowCount(b) - windowCount(a))[0];
+  const share = windowCount(peakStart) / runs.length;
+  if (share < 0.5) return [];
+
+  const inPeak = (run) => (hourOf(run) - peakStart + 24) % 24 < PEAK_WINDOW_HOURS;
+  const waitPerRun = (group) => mean(group.map(run => sum(Object.values(run.tasks || {})
+    .flatMap(task => task.attempts || [])
+    .filter(attempt => attempt.queuedAt && attempt.startTime)
+    .map(attempt => attempt.startTime - attempt.queuedAt))));
+  const peakWait = waitPerRun(runs.filter(inPeak));
+  const offPeakWait = waitPerRun(runs.filter(run => !inPeak(run)));
+  if (peakWait - offPeakWait <= 0) return [];
+
+  const quietStart = counts.map((_, hour) => hour).sort((a, b) => windowCount(a) - windowCount(b))[0];
+  return [{
+    rule: 'peak_hours',
+    title: `Move ${dag.name} runs off peak hours`,
+    description: `${percent(share)} of its runs start between ${formatHour(peakStart)} and ${formatHour(peakStart + PEAK_WINDOW_HOURS)}, when its tasks wait longer for workers. ${formatHour(quietStart)}–${formatHour(quietStart + PEAK_WINDOW_HOURS)} is the quietest window.`,
+    impact: peakWait - offPeakWait >= 1000 ? 'medium' : 'low',
+    samples: runs.length,
+    evidence: [
+      `${windowCount(peakStart)} of ${runs.length} runs start between ${formatHour(peakStart)} and ${formatHour(peakStart + PEAK_WINDOW_HOURS)}`,
+      `Tasks wait ${formatDuration(peakWait)} per run for workers then, versus ${formatDuration(offPeakWait)} otherwise`
+    ],
+    savings: { cost: 0, time: peakWait - offPeakWait },
+    target: { dagId: dag.id },
+    patch: shiftSchedule(context.schedules[dag.id], dag.id, quietStart - peakStart)
+  }];
+});
+
+const RULES = { failure_rate: failureRate, long_tail: longTail, critical_path: criticalPath, idle_workers: idleWorkers, peak_hours: peakHours };
+
+// --- Analysis ----------------------------------------------------------------
+
+const recommendationId = ({ rule, target }) => [rule, target.dagId, target.taskId, target.workerId].filter(Boolean).join(':');
+
+// Ranked by impact weighted by confidence, then by monthly savings.
+// `projections` come from costModel.projectCosts; `workers` is the pool definition.
+export const analyzeExecutions = ({ dags, executions, projections = [], workers = [], schedules = [] }) => {
+  const runs = executions
+    .filter(execution => FINISHED.includes(execution.status) && execution.startTime && execution.endTime)
+    .slice(0, MAX_ANALYZED_RUNS);
+  const context = {
+    dags,
+    runs,
+    workers,
+    schedules: Object.fromEntries(schedules.map(schedule => [schedule.dagId, schedule])),
+    runsByDAG: runs.reduce((groups, run) => {
+      (groups[run.dag] = groups[run.dag] || []).push(run);
+      return groups;
+    }, {}),
+    projections: Object.fromEntries(projections.map(projection => [projection.dagId, projection]))
+  };
+
+  return Object.values(RULES)
+    .flatMap(rule => rule(context))
+    .map(({ samples, ...finding }) => ({ ...finding, id: recommendationId(finding), confidence: confidenceFor(samples) }))
+    .sort((a, b) => IMPACT_WEIGHTS[b.impact] * b.confidence - IMPACT_WEIGHTS[a.impact] * a.confidence
+      || b.savings.cost - a.savings.cost);
+};
+
+// What a finding is worth when it saves neither money nor time
+const OTHER_BENEFITS = { idle_workers: 'Smaller pool' };
+
+// A negative cost is what a time saving costs (e.g. more CPU on the critical
+// path), so it follows the time
+export const describeSavings = ({ rule, savings: { cost, time } }) => [
+  cost > 0 && `${formatCurrency(cost)}/month`,
+  time > 0 && `${formatDuration(time)} per run`,
+  cost < 0 && `costs ${formatCurrency(-cost)}/month more`
+].filter(Boolean).join(' · ') || OTHER_BENEFITS[rule] || 'Reliability';
+
+// Monthly savings across findings. Findings that cost money to save time
+// don't count against the rest.
+export const sumSavings = (recommendations) =>
+  recommendations.reduce((total, { savings }) => total + Math.max(0, savings.cost), 0);
+
+// --- Patches -----------------------------------------------------------------
+
+// What a patch changes, given the current DAGs, schedules (by DAG id) and
+// pool config: { target: { type, id, name }, before, after }, or null when
+// its target no longer exists. A DAG patch produces the next patch version.
+export const resolvePatch = (patch, { dags, schedules, pool }) => {
+  switch (patch?.kind) {
+    case 'dag': {
+      const dag = dags[patch.dagId];
+      if (!dag || !Object.keys(patch.tasks).every(id => dag.tasks.some(task => task.id === id))) return null;
+      return {
+        target: { type: 'dag', id: dag.id, name: dag.name },
+        before: dag,
+        after: {
+          ...dag,
+          version: bumpVersion(dag.version),
+          tasks: dag.tasks.map(task => (patch.tasks[task.id] ? { ...task, ...patch.tasks[task.id] } : task))
+        }
+      };
+    }
+    case 'schedule': {
+      const schedule = schedules[patch.dagId];
+      if (!schedule) return null;
+      return { target: { type: 'schedule', id: patch.dagId }, before: schedule, after: { ...schedule, ...patch.changes } };
+    }
+    case 'pool':
+      if (!pool.workers.some(worker => worker.id === patch.removeWorker)) return null;
+      return {
+        target: { type: 'pool', id: 'workers' },
+        before: pool,
+        after: { ...pool, workers: pool.workers.filter(worker => worker.id !== patch.removeWorker) }
+      };
+    default:
+      return null;
+  }
+};
+
+const taskById = (dag, id) => dag?.tasks.find(task => task.id === id);
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const restoreFields = (record, original, keys) => {
+  const restored = { ...record };
+  keys.forEach(key => {
+    if (original?.[key] === undefined) delete restored[key];
+    else restored[key] = original[key];
+  });
+  return restored;
+};
+
+// An applied change — { patch, before, after } — can be reverted while the
+// fields it set still hold the values it set them to
+export const canRevertPatch = ({ patch, after }, current) => {
+  if (!current) return false;
+  switch (patch.kind) {
+    case 'dag':
+      return Object.entries(patch.tasks).every(([id, fields]) => Object.keys(fields)
+        .every(key => sameValue(taskById(current, id)?.[key], taskById(after, id)[key])));
+    case 'schedule':
+      return Object.keys(patch.changes).every(key => sameValue(current[key], after[key]));
+    case 'pool':
+      return !current.workers.some(worker => worker.id === patch.removeWorker);
+    default:
+      return false;
+  }
+};
+
+// Puts back only what the change replaced, keeping anything edited since.
+// Reverting a DAG change is itself a new version.
+export const revertPatch = ({ patch, before }, current) => {
+  switch (patch.kind) {
+    case 'dag':
+      return {
+        ...current,
+        version: bumpVersion(current.version),
+        tasks: current.tasks.map(task => (patch.tasks[task.id]
+          ? restoreFields(task, taskById(before, task.id), Object.keys(patch.tasks[task.id]))
+          : task))
+      };
+    case 'schedule':
+      return restoreFields(current, before, Object.keys(patch.changes));
+    case 'pool':
+      return { ...current, workers: [...current.workers, before.workers.find(worker => worker.id === patch.removeWorker)] };
+    default:
+      return current;
+  }
+};
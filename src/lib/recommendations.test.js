@@ -0,0 +1,21 @@
+import { describe, it, expect } from 'vitest';
+import { describeSavings, sumSavings } from './recommendations.js';
+
+const finding = (rule, cost, time = 0) => ({ rule, savings: { cost, time } });
+
+describe('sumSavings', () => {
+  it('leaves out findings that cost money to save time', () => {
+    expect(sumSavings([finding('failure_rate', 12), finding('critical_path', -30, 5000), finding('idle_workers', 0)])).toBe(12);
+  });
+});
+
+describe('describeSavings', () => {
+  it('shows a time saving with what it costs', () => {
+    expect(describeSavings(finding('critical_path', -30, 5000))).toBe('5.0s per run · costs $30.00/month more');
+  });
+
+  it('names what a finding is worth when it saves neither money nor time', () => {
+    expect(describeSavings(finding('idle_workers', 0))).toBe('Smaller pool');
+    expect(describeSavings(finding('failure_rate', 0))).toBe('Reliability');
+  });
+});
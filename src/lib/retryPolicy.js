@@ -0,0 +1,25 @@
+// Backoff between task retry attempts. A task may override any field via
+// `task.retryPolicy`; the retry count itself comes from `task.retries`.
+
+export const DEFAULT_RETRY_POLICY = {
+  backoff: 'exponential', // 'fixed' | 'exponential'
+  delay: 500,             // ms before the first retry
+  maxDelay: 10000,
+  jitter: 0.2             // +/- fraction of the computed delay
+};
+
+export const resolveRetryPolicy = (enginePolicy, task) => ({
+  ...DEFAULT_RETRY_POLICY,
+  ...enginePolicy,
+  ...task.retryPolicy
+});
+
+// `attempt` is the 1-based number of the retry about to happen.
+export const getRetryDelay = (policy, attempt, random = Math.random) => {
+  const base = policy.backoff === 'exponential'
+    ? policy.delay * 2 ** (attempt - 1)
+    : policy.delay;
+  const capped = Math.min(base, policy.maxDelay);
+  const spread = capped * policy.jitter * (random() * 2 - 1);
+  return Math.max(0, Math.round(capped + spread));
+};
@@ -0,0 +1,268 @@
+import { parseCron, nextCronTime } from './cron.js';
+import { validateDAG } from './dagValidator.js';
+
+// Recurring DAG runs. Each DAG has at most one schedule (keyed by DAG id):
+//
+//   { id, dagId, kind: 'cron' | 'interval', cron, intervalMinutes,
+//     startDate, endDate, catchup, maxActiveRuns, paused, createdAt, lastFireTime }
+//
+// Dates are epoch milliseconds; each fire time becomes the run's logical date.
+// The scheduler reads time from the engine's
+// virtual clock, so at 10× or 100× speed schedules fire that much sooner.
+// With `catchup` every fire time missed since the last one is run; without
+// it only the most recent missed fire time is. Fire times that would exceed
+// `maxActiveRuns` wait until one of the DAG's runs finishes.
+
+export const DEFAULT_SCHEDULE = {
+  kind: 'cron',
+  cron: '0 * * * *',
+  intervalMinutes: 60,
+  startDate: null,
+  endDate: null,
+  catchup: false,
+  maxActiveRuns: 1,
+  paused: false
+};
+
+// Upper bound on fire times handled per tick, so a long catch-up is spread out
+const MAX_FIRES_PER_TICK = 50;
+
+export const createSchedule = (dagId, fields = {}, now = Date.now()) => ({
+  ...DEFAULT_SCHEDULE,
+  ...fields,
+  id: dagId,
+  dagId,
+  createdAt: fields.createdAt ?? now,
+  lastFireTime: fields.lastFireTime ?? null
+});
+
+export const validateSchedule = (schedule) => {
+  const errors = [];
+  if (schedule.kind === 'cron') {
+    try {
+      parseCron(schedule.cron);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  } else if (schedule.kind === 'interval') {
+    if (!(schedule.intervalMinutes > 0)) errors.push('Interval must be a positive number of minutes');
+  } else {
+    errors.push(`Unknown schedule kind "${schedule.kind}"`);
+  }
+  if (schedule.startDate && schedule.endDate && schedule.endDate < schedule.startDate) {
+    errors.push('End date is before the start date');
+  }
+  if (!(Number.isInteger(schedule.maxActiveRuns) && schedule.maxActiveRuns >= 1)) {
+    errors.push('Max active runs must be a whole number of at least 1');
+  }
+  return errors;
+};
+
+// Fields getStatus() derives on top of the stored schedule
+const STATUS_FIELDS = ['nextFireTime', 'pendingRuns', 'activeRuns', 'error'];
+
+// The stored schedule behind a getStatus() entry; saving a status entry as is
+// would persist the derived fields along with it
+export const toScheduleRecord = (status) =>
+  Object.fromEntries(Object.entries(status).filter(([key]) => !STATUS_FIELDS.includes(key)));
+
+export const describeSchedule = (schedule) => (schedule.kind === 'cron'
+  ? schedule.cron
+  : `every ${schedule.intervalMinutes} min`);
+
+const parsedCrons = new Map();
+const parseCached = (expression) => {
+  if (!parsedCrons.has(expression)) parsedCrons.set(expression, parseCron(expression));
+  return parsedCrons.get(expression);
+};
+
+// First fire time strictly after `after`, or null once the schedule has ended
+export const getNextFireTime = (schedule, after) => {
+  let next;
+  if (schedule.kind === 'interval') {
+    const anchor = schedule.startDate ?? schedule.createdAt;
+    const interval = schedule.intervalMinutes * 60 * 1000;
+    const k = Math.max(0, Math.floor((after - anchor) / interval) + 1);
+    next = anchor + k * interval;
+  } else {
+    const from = schedule.startDate ? Math.max(after, schedule.startDate - 1) : after;
+    next = nextCronTime(parseCached(schedule.cron), from)?.getTime() ?? null;
+  }
+  if (next === null || (schedule.endDate && next > schedule.endDate)) return null;
+  return next;
+};
+
+// Fire times that are due at `now` and haven't fired yet, oldest first
+export const getDueFireTimes = (schedule, now, limit = MAX_FIRES_PER_TICK) => {
+  // A new schedule only catches up from its start date when asked to
+  const from = schedule.lastFireTime
+    ?? (schedule.catchup && schedule.startDate ? schedule.startDate - 1 : schedule.createdAt);
+  const due = [];
+  for (let time = getNextFireTime(schedule, from); time !== null && time <= now; time = getNextFireTime(schedule, time)) {
+    due.push(time);
+    if (schedule.catchup && due.length >= limit) break;
+    // Without catch-up only the latest missed fire time matters
+    if (!schedule.catchup && due.length > 1) due.shift();
+  }
+  return due;
+};
+
+export class Scheduler {
+  // `engine` provides clock, authorize, executeDAG, subscribe and getActiveRuns
+  constructor({ engine }) {
+    this.engine = engine;
+    this.clock = engine.clock;
+    this.subscribers = new Set();
+    this.running = false;
+    this.schedules = new Map();
+    this.pending = new Map(); // dagId -> fire times waiting on maxActiveRuns
+    this.errors = new Map();
+    this.dags = {};
+    this.timer = null;
+
+    engine.subscribe(event => {
+      if (event.type === 'execution_completed') this.launchAll();
+    });
+  }
+
+  // Subscribers get the schedule records that changed (e.g. a new lastFireTime)
+  subscribe(callback) {
+    this.subscribers.add(callback);
+    return () => this.subscribers.delete(callback);
+  }
+
+  notify(changed) {
+    this.subscribers.forEach(callback => callback(changed));
+  }
+
+  setDAGs(dags) {
+    this.dags = dags;
+    this.launchAll();
+  }
+
+  load(schedules) {
+    this.schedules = new Map(schedules.map(schedule => [schedule.dagId, schedule]));
+    this.tick();
+  }
+
+  // Changing schedules needs 'dag:execute', since schedules start runs
+  save(schedule) {
+    this.engine.authorize('dag:execute');
+    const errors = validateSchedule(schedule);
+    if (errors.length > 0) throw new Error(errors.join('; '));
+    this.schedules.set(schedule.dagId, toScheduleRecord(schedule));
+    this.errors.delete(schedule.dagId);
+    this.tick();
+    // tick() may already have fired it, so report the stored copy
+    this.notify([this.schedules.get(schedule.dagId)]);
+  }
+
+  remove(dagId) {
+    this.engine.authorize('dag:execute');
+    this.schedules.delete(dagId);
+    this.pending.delete(dagId);
+    this.errors.delete(dagId);
+    this.tick();
+    this.notify([]);
+  }
+
+  setPaused(dagId, paused) {
+    const schedule = this.schedules.get(dagId);
+    if (!schedule) return;
+    this.save({ ...schedule, paused });
+  }
+
+  start() {
+    this.running = true;
+    this.tick();
+  }
+
+  stop() {
+    this.running = false;
+    this.cancelWake();
+  }
+
+  cancelWake() {
+    if (this.timer !== null) this.clock.cancel(this.timer);
+    this.timer = null;
+  }
+
+  // Collects due fire times, starts what max-active-runs allows and sleeps
+  // on the virtual clock until the next fire time
+  tick() {
+    this.cancelWake();
+    if (!this.running) return;
+    const now = this.clock.now();
+    const changed = [];
+    let behind = false;
+
+    this.schedules.forEach((schedule, dagId) => {
+      if (schedule.paused) return;
+      const due = getDueFireTimes(schedule, now);
+      if (due.length === 0) return;
+
+      const updated = { ...schedule, lastFireTime: due[due.length - 1] };
+      this.schedules.set(dagId, updated);
+      this.pending.set(dagId, [...(this.pending.get(dagId) || []), ...due]);
+      changed.push(updated);
+      if (due.length >= MAX_FIRES_PER_TICK) behind = true;
+    });
+
+    this.launchAll();
+
+    const upcoming = [...this.schedules.values()]
+      .filter(schedule => !schedule.paused)
+      .map(schedule => getNextFireTime(schedule, Math.max(now, schedule.lastFireTime ?? -Infinity)))
+      .filter(time => time !== null);
+    if (behind || upcoming.length > 0) {
+      const wake = behind ? now : Math.min(...upcoming);
+      this.timer = this.clock.schedule(() => this.tick(), wake - now);
+    }
+
+    if (changed.length > 0) this.notify(changed);
+  }
+
+  launchAll() {
+    this.pending.forEach((fireTimes, dagId) => {
+      const schedule = this.schedules.get(dagId);
+      const dag = this.dags[dagId];
+      if (!schedule || !dag || fireTimes.length === 0) return;
+      // Pausing drops the fire times still waiting on max-active-runs
+      if (schedule.paused) {
+        fireTimes.length = 0;
+        return;
+      }
+
+      // Fire times for a DAG that can't run are dropped rather than piling up
+      const problems = validateDAG(dag);
+      if (problems.length > 0) {
+        fireTimes.length = 0;
+        this.errors.set(dagId, `DAG is invalid: ${problems[0].message}`);
+        return;
+      }
+      this.errors.delete(dagId);
+
+      // executeDAG registers the run before its first await, so the count stays current
+      while (fireTimes.length > 0 && this.engine.getActiveRuns(dagId).length < schedule.maxActiveRuns) {
+        this.engine.executeDAG(dag, { trigger: 'schedule', logicalDate: fireTimes.shift(), authorized: true })
+          .catch(error => {
+            this.errors.set(dagId, error.message);
+            this.notify([]);
+          });
+      }
+    });
+  }
+
+  getStatus() {
+    const now = this.clock.now();
+    return [...this.schedules.values()].map(schedule => ({
+      ...schedule,
+      nextFireTime: schedule.paused
+        ? null
+        : getNextFireTime(schedule, Math.max(now, schedule.lastFireTime ?? -Infinity)),
+      pendingRuns: this.pending.get(schedule.dagId)?.length || 0,
+      activeRuns: this.engine.getActiveRuns(schedule.dagId).length,
+      error: this.errors.get(schedule.dagId)
+    }));
+  }
+}
@@ -0,0 +1,184 @@
+// How the engine simulates a task: a duration distribution and per-attempt
+// failure probabilities. Tasks may carry a `simulation` profile; anything it
+// leaves out comes from the defaults for the task's type.
+//
+//   simulation: {
+//     duration: { distribution: 'lognormal', median: 6, sigma: 0.5 }, // seconds
+//     failure: { transient: 0.2, permanent: 0.05 }
+//   }
+//
+// Transient failures are retried; a permanent failure ends the task at once.
+
+export const DURATION_DISTRIBUTIONS = {
+  fixed: { label: 'Fixed', params: ['value'] },
+  uniform: { label: 'Uniform', params: ['min', 'max'] },
+  normal: { label: 'Normal', params: ['mean', 'stddev'] },
+  lognormal: { label: 'Log-normal', params: ['median', 'sigma'] }
+};
+
+export const DEFAULT_PROFILE = {
+  duration: { distribution: 'uniform', min: 1, max: 3 },
+  failure: { transient: 0.15, permanent: 0 }
+};
+
+export const TASK_TYPE_PROFILES = {
+  extract: {
+    duration: { distribution: 'uniform', min: 1, max: 3 },
+    failure: { transient: 0.1, permanent: 0.01 }
+  },
+  validation: {
+    duration: { distribution: 'normal', mean: 0.8, stddev: 0.2 },
+    failure: { transient: 0.02, permanent: 0.01 }
+  },
+  transformation: {
+    duration: { distribution: 'lognormal', median: 2, sigma: 0.4 },
+    failure: { transient: 0.06, permanent: 0.01 }
+  },
+  load: {
+    duration: { distribution: 'uniform', min: 1, max: 2.5 },
+    failure: { transient: 0.08, permanent: 0.01 }
+  },
+  preprocessing: {
+    duration: { distribution: 'normal', mean: 2.5, stddev: 0.6 },
+    failure: { transient: 0.05, permanent: 0.01 }
+  },
+  training: {
+    duration: { distribution: 'lognormal', median: 6, sigma: 0.5 },
+    failure: { transient: 0.2, permanent: 0.05 }
+  },
+  deployment: {
+    duration: { distribution: 'normal', mean: 2, stddev: 0.5 },
+    failure: { transient: 0.1, permanent: 0.02 }
+  }
+};
+
+export const getTypeProfile = (type) => TASK_TYPE_PROFILES[type] || DEFAULT_PROFILE;
+
+// Older definitions used `duration: { min, max }` and a flat `failureRate`;
+// they become a uniform duration and a transient failure probability.
+// Returns the task unchanged when there is nothing to migrate.
+export const migrateTask = (task) => {
+  if (task.duration === undefined && task.failureRate === undefined) return task;
+
+  const { duration, failureRate, ...rest } = task;
+  const simulation = { ...rest.simulation };
+  if (duration && !simulation.duration) {
+    simulation.duration = { distribution: 'uniform', min: duration.min, max: duration.max };
+  }
+  if (failureRate !== undefined && simulation.failure?.transient === undefined) {
+    simulation.failure = { ...simulation.failure, transient: failureRate };
+  }
+  return { ...rest, simulation };
+};
+
+export const migrateDAG = (dag) => {
+  if (!Array.isArray(dag?.tasks)) return dag;
+  const tasks = dag.tasks.map(task => (task && typeof task === 'object' ? migrateTask(task) : task));
+  return tasks.some((task, index) => task !== dag.tasks[index]) ? { ...dag, tasks } : dag;
+};
+
+export const resolveSimulationProfile = (task) => {
+  const { simulation = {} } = migrateTask(task);
+  const defaults = getTypeProfile(task.type);
+  return {
+    duration: simulation.duration || defaults.duration,
+    failure: { ...defaults.failure, ...simulation.failure }
+  };
+};
+
+// Standard normal draw (Box–Muller)
+const gaussian = (random) => {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+// Returns milliseconds
+export const sampleDuration = (duration, random = Math.random) => {
+  let seconds;
+  switch (duration.distribution) {
+    case 'fixed':
+      seconds = duration.value;
+      break;
+    case 'normal':
+      seconds = duration.mean + duration.stddev * gaussian(random);
+      break;
+    case 'lognormal':
+      seconds = duration.median * Math.exp(duration.sigma * gaussian(random));
+      break;
+    default:
+      seconds = duration.min + random() * (duration.max - duration.min);
+  }
+  return Math.max(0, seconds) * 1000;
+};
+
+// Returns null for success, otherwise 'transient' or 'permanent'
+export const sampleFailure = (failure, random = Math.random) => {
+  const draw = random();
+  if (draw < failure.permanent) return 'permanent';
+  if (draw < failure.permanent + failure.transient) return 'transient';
+  return null;
+};
+
+// Mean duration in seconds, for summaries
+export const expectedDuration = (duration) => {
+  switch (duration.distribution) {
+    case 'fixed': return duration.value;
+    case 'normal': return duration.mean;
+    case 'lognormal': return duration.median * Math.exp((duration.sigma ** 2) / 2);
+    default: return (duration.min + duration.max) / 2;
+  }
+};
+
+// A distribution of the given kind centred on `seconds`, used when switching kinds in the editor
+export const createDuration = (distribution, seconds) => {
+  const round = (value) => Math.round(value * 10) / 10;
+  switch (distribution) {
+    case 'fixed': return { distribution, value: round(seconds) };
+    case 'normal': return { distribution, mean: round(seconds), stddev: round(seconds * 0.25) };
+    case 'lognormal': return { distribution, median: round(seconds), sigma: 0.4 };
+    default: return { distribution: 'uniform', min: round(seconds * 0.5), max: round(seconds * 1.5) };
+  }
+};
+
+export const describeDuration = (duration) => {
+  switch (duration.distribution) {
+    case 'fixed': return `${duration.value}s`;
+    case 'normal': return `${duration.mean}s ± ${duration.stddev}s`;
+    case 'lognormal': return `~${duration.median}s (log-normal, σ ${duration.sigma})`;
+    default: return `${duration.min}–${duration.max}s`;
+  }
+};
+
+const isNonNegative = (value) => typeof value === 'number' && value >= 0;
+
+// Problems as { code, message }, in the validator's format
+export const validateSimulationProfile = (simulation = {}) => {
+  const problems = [];
+  const { duration, failure } = simulation;
+
+  if (duration) {
+    const definition = DURATION_DISTRIBUTIONS[duration.distribution];
+    if (!definition) {
+      problems.push({ code: 'invalid_duration', message: `unknown duration distribution "${duration.distribution}"` });
+    } else if (!definition.params.every(param => isNonNegative(duration[param]))) {
+      problems.push({
+        code: 'invalid_duration',
+        message: `${duration.distribution} duration needs non-negative ${definition.params.join(' and ')}`
+      });
+    } else if (duration.distribution === 'uniform' && duration.min > duration.max) {
+      problems.push({ code: 'invalid_duration', message: 'uniform duration needs min <= max' });
+    }
+  }
+
+  if (failure) {
+    const classes = ['transient', 'permanent'].filter(key => failure[key] !== undefined);
+    if (classes.some(key => !(failure[key] >= 0 && failure[key] <= 1))) {
+      problems.push({ code: 'invalid_failure_rate', message: 'failure probabilities must be between 0 and 1' });
+    } else if ((failure.transient || 0) + (failure.permanent || 0) > 1) {
+      problems.push({ code: 'invalid_failure_rate', message: 'transient and permanent failure probabilities add up to more than 1' });
+    }
+  }
+
+  return problems;
+};
@@ -0,0 +1,272 @@
+// Persistence for DAGs and their version history, schedules, execution
+// history, logs, notifications, users, the audit log and preferences.
+// IndexedDB is used when the browser supports it, with localStorage as the
+// fallback and an in-memory store as the last resort (e.g. private mode).
+// The app only talks to the repository returned by openRepository().
+
+const DB_NAME = 'orbital';
+const DB_VERSION = 6;
+const STORES = ['dags', 'dagVersions', 'schedules', 'executions', 'logs', 'notifications', 'users', 'audit', 'preferences'];
+
+export const DEFAULT_RETENTION = {
+  maxExecutions: 200,
+  maxLogs: 5000,
+  maxNotifications: 200
+};
+
+// Log lines are buffered for this long and written together
+const LOG_FLUSH_MS = 250;
+
+// --- Backends: getAll / put / putAll / remove / removeAll / clear, by id --
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openIndexedDB = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    STORES.forEach(store => {
+      if (!request.result.objectStoreNames.contains(store)) {
+        request.result.createObjectStore(store, { keyPath: 'id' });
+      }
+    });
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+  request.onblocked = () => reject(new Error('IndexedDB upgrade blocked'));
+});
+
+const createIndexedDBBackend = async () => {
+  const db = await openIndexedDB();
+  const run = (store, mode, operation) => {
+    const transaction = db.transaction(store, mode);
+    return requestToPromise(operation(transaction.objectStore(store)));
+  };
+  // Several writes in one transaction
+  const batch = (store, operations) => new Promise((resolve, reject) => {
+    const transaction = db.transaction(store, 'readwrite');
+    operations(transaction.objectStore(store));
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+  return {
+    name: 'indexeddb',
+    getAll: (store) => run(store, 'readonly', objectStore => objectStore.getAll()),
+    put: (store, record) => run(store, 'readwrite', objectStore => objectStore.put(record)),
+    putAll: (store, records) => batch(store, objectStore => records.forEach(record => objectStore.put(record))),
+    remove: (store, id) => run(store, 'readwrite', objectStore => objectStore.delete(id)),
+    removeAll: (store, ids) => batch(store, objectStore => ids.forEach(id => objectStore.delete(id))),
+    clear: (store) => run(store, 'readwrite', objectStore => objectStore.clear())
+  };
+};
+
+// Each store is kept as one JSON object { [id]: record } under its own key
+const createKeyValueBackend = (name, storage) => {
+  const keyFor = (store) => `${DB_NAME}:${store}`;
+  const read = (store) => JSON.parse(storage.getItem(keyFor(store)) || '{}');
+  const write = (store, records) => storage.setItem(keyFor(store), JSON.stringify(records));
+
+  return {
+    name,
+    getAll: async (store) => Object.values(read(store)),
+    put: async (store, record) => write(store, { ...read(store), [record.id]: record }),
+    putAll: async (store, records) =>
+      write(store, { ...read(store), ...Object.fromEntries(records.map(record => [record.id, record])) }),
+    remove: async (store, id) => {
+      const records = read(store);
+      delete records[id];
+      write(store, records);
+    },
+    removeAll: async (store, ids) => {
+      const records = read(store);
+      ids.forEach(id => delete records[id]);
+      write(store, records);
+    },
+    clear: async (store) => storage.removeItem(keyFor(store))
+  };
+};
+
+const createMemoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, value),
+    removeItem: (key) => items.delete(key)
+  };
+};
+
+const openBackend = async () => {
+  if (typeof indexedDB !== 'undefined') {
+    try {
+      return await createIndexedDBBackend();
+    } catch (error) {
+      console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+    }
+  }
+  try {
+    localStorage.setItem(`${DB_NAME}:probe`, '1');
+    localStorage.removeItem(`${DB_NAME}:probe`);
+    return createKeyValueBackend('localstorage', localStorage);
+  } catch {
+    return createKeyValueBackend('memory', createMemoryStorage());
+  }
+};
+
+// --- Serialization ---------------------------------------------------------
+
+// localStorage round-trips dates as strings; IndexedDB keeps Date objects
+const toDate = (value) => (value ? new Date(value) : value);
+
+const reviveExecution = (execution) => ({
+  ...execution,
+  startTime: toDate(execution.startTime),
+  endTime: toDate(execution.endTime),
+  // Runs saved before logical dates existed ran for their start time
+  logicalDate: toDate(execution.logicalDate ?? execution.startTime),
+  tasks: Object.fromEntries(Object.entries(execution.tasks || {}).map(([id, task]) => [id, {
+    ...task,
+    queuedAt: toDate(task.queuedAt),
+    startTime: toDate(task.startTime),
+    endTime: toDate(task.endTime),
+    attempts: (task.attempts || []).map(attempt => ({
+      ...attempt,
+      queuedAt: toDate(attempt.queuedAt),
+      startTime: toDate(attempt.startTime),
+      endTime: toDate(attempt.endTime)
+    }))
+  }]))
+});
+
+// Logs from before structured records default to engine info lines
+const reviveLog = (log) => ({ level: 'info', source: 'engine', ...log, timestamp: toDate(log.timestamp) });
+
+const reviveAuditEntry = (entry) => ({ ...entry, timestamp: toDate(entry.timestamp) });
+
+const reviveVersion = (record) => ({ ...record, savedAt: toDate(record.savedAt) });
+
+const reviveNotification = (notification) => ({ ...notification, timestamp: toDate(notification.timestamp) });
+
+const byTimestampDesc = (a, b) => b.timestamp - a.timestamp;
+
+// Records are snapshotted so later mutation by the engine can't leak in
+const snapshot = (value) => JSON.parse(JSON.stringify(value));
+
+const byStartTimeDesc = (a, b) => b.startTime - a.startTime;
+
+// --- Repository --------------------------------------------------------------
+
+export const openRepository = async (retention = DEFAULT_RETENTION) => {
+  const backend = await openBackend();
+
+  // Stores are pruned back to their limit once they overshoot it by 10%,
+  // so appends don't have to read the whole store every time
+  const counts = {};
+  const putWithRetention = async (store, added, limit, revive, newestFirst) => {
+    await backend.putAll(store, added);
+    if (counts[store] === undefined) {
+      counts[store] = (await backend.getAll(store)).length;
+    } else {
+      counts[store] += added.length;
+    }
+    if (counts[store] <= limit * 1.1) return;
+
+    const records = (await backend.getAll(store)).map(revive).sort(newestFirst);
+    await backend.removeAll(store, records.slice(limit).map(stale => stale.id));
+    counts[store] = Math.min(records.length, limit);
+  };
+
+  // Runs log many lines a second at high speeds. Writing them one by one would
+  // have the localStorage fallback re-read and re-serialize the whole store for
+  // every line, so they are snapshotted as they arrive and written in batches.
+  let pendingLogs = [];
+  let logTimer = null;
+  const flushLogs = async () => {
+    clearTimeout(logTimer);
+    logTimer = null;
+    const logs = pendingLogs;
+    pendingLogs = [];
+    if (logs.length > 0) await putWithRetention('logs', logs, retention.maxLogs, reviveLog, byTimestampDesc);
+  };
+
+  const getRecord = async (id) =>
+    (await backend.getAll('preferences')).find(record => record.id === id)?.value;
+
+  const putRecord = (id, value) => backend.put('preferences', { id, value });
+
+  return {
+    backend: backend.name,
+    retention,
+
+    listDAGs: () => backend.getAll('dags'),
+    saveDAG: (dag) => backend.put('dags', snapshot(dag)),
+    deleteDAG: (id) => backend.remove('dags', id),
+
+    // Version records are immutable, so there is no delete
+    listDAGVersions: async () => (await backend.getAll('dagVersions')).map(reviveVersion),
+    saveDAGVersion: (record) => backend.put('dagVersions', snapshot(record)),
+
+    listSchedules: () => backend.getAll('schedules'),
+    saveSchedule: (schedule) => backend.put('schedules', snapshot(schedule)),
+    deleteSchedule: (id) => backend.remove('schedules', id),
+
+    listExecutions: async () => {
+      const executions = (await backend.getAll('executions')).map(reviveExecution);
+      return executions.sort(byStartTimeDesc);
+    },
+    saveExecution: (execution) =>
+      putWithRetention('executions', [snapshot(execution)], retention.maxExecutions, reviveExecution, byStartTimeDesc),
+
+    listLogs: async () => {
+      await flushLogs();
+      const logs = (await backend.getAll('logs')).map(reviveLog);
+      return logs.sort((a, b) => a.timestamp - b.timestamp);
+    },
+    appendLog: (log) => {
+      pendingLogs.push(snapshot(log));
+      if (logTimer === null) logTimer = setTimeout(flushLogs, LOG_FLUSH_MS);
+    },
+    // Writes buffered log lines straight away, e.g. before the page goes away
+    flushLogs,
+
+    listNotifications: async () => {
+      const notifications = (await backend.getAll('notifications')).map(reviveNotification);
+      return notifications.sort(byTimestampDesc);
+    },
+    addNotification: (notification) =>
+      putWithRetention('notifications', [snapshot(notification)], retention.maxNotifications, reviveNotification, byTimestampDesc),
+    // For marking as read; replaces the stored copy without counting towards retention
+    updateNotification: (notification) => backend.put('notifications', snapshot(notification)),
+    clearNotifications: async () => {
+      await backend.clear('notifications');
+      delete counts.notifications;
+    },
+
+    // The audit log is append-only: there is no way to update or delete an entry
+    listAudit: async () => {
+      const entries = (await backend.getAll('audit')).map(reviveAuditEntry);
+      return entries.sort(byTimestampDesc);
+    },
+    appendAudit: (entry) => backend.put('audit', snapshot(entry)),
+
+    listUsers: () => backend.getAll('users'),
+    saveUser: (user) => backend.put('users', snapshot(user)),
+    deleteUser: (id) => backend.remove('users', id),
+
+    getPreferences: async () => (await getRecord('preferences')) || {},
+    savePreferences: (preferences) => putRecord('preferences', preferences),
+
+    getSession: () => getRecord('session'),
+    saveSession: (user) => (user ? putRecord('session', user) : backend.remove('preferences', 'session')),
+
+    // Everything except the audit log, which outlives a reset
+    clearAll: async () => {
+      clearTimeout(logTimer);
+      logTimer = null;
+      pendingLogs = [];
+      await Promise.all(STORES.filter(store => store !== 'audit').map(store => backend.clear(store)));
+      Object.keys(counts).forEach(store => delete counts[store]);
+    }
+  };
+};
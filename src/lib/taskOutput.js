@@ -0,0 +1,128 @@
+// Simulated task stdout. Each attempt prints a few progress lines spread over
+// its duration and then a closing line: a summary, or the error that failed
+// it. Output draws from its own random stream, so it never changes a run.
+//
+//   { offset, level, message, fields }   // offset: ms into the attempt
+
+const pick = (random, items) => items[Math.floor(random() * items.length)];
+const between = (random, min, max) => Math.round(min + random() * (max - min));
+
+// Per task type: progress steps, a success summary and failure messages by class
+const TYPE_OUTPUT = {
+  extract: {
+    steps: (random) => {
+      const rows = between(random, 5000, 250000);
+      return [
+        ['info', 'Connecting to source database', { host: pick(random, ['db-primary', 'db-replica-1', 'db-replica-2']) }],
+        ['debug', 'Running extraction query', { partitions: between(random, 4, 16) }],
+        ['info', `Fetched ${rows} rows`, { rows }]
+      ];
+    },
+    summary: (random) => ['info', 'Wrote extract to staging', { bytes: between(random, 1e6, 5e8) }],
+    failures: {
+      transient: ['Connection reset by peer (ECONNRESET)', 'Source query timed out after 30s', 'Too many connections on source'],
+      permanent: ['Permission denied for relation "orders"', 'Source table "orders" does not exist']
+    }
+  },
+  validation: {
+    steps: (random) => [
+      ['info', 'Loading validation rules', { rules: between(random, 12, 40) }],
+      ['info', 'Checking schema and null constraints', {}]
+    ],
+    summary: (random) => ['info', 'All checks passed', { warnings: between(random, 0, 3) }],
+    failures: {
+      transient: ['Could not read staging snapshot (object store 503)'],
+      permanent: ['Schema check failed: column "customer_id" has 1,204 nulls', 'Row count dropped 62% versus the previous run']
+    }
+  },
+  transformation: {
+    steps: (random) => {
+      const rows = between(random, 5000, 250000);
+      return [
+        ['info', 'Starting transformation job', { executors: between(random, 2, 8) }],
+        ['debug', 'Joining orders with customers', { rows }],
+        ['info', 'Applying aggregation stage 1/2', {}],
+        ['info', 'Applying aggregation stage 2/2', {}]
+      ];
+    },
+    summary: (random) => ['info', 'Transformation finished', { outputRows: between(random, 1000, 50000) }],
+    failures: {
+      transient: ['Executor lost: container killed for exceeding memory limits', 'Shuffle fetch failed from executor 3'],
+      permanent: ['Cannot cast "N/A" to DECIMAL in column "amount"', 'Division by zero in expression "revenue / units"']
+    }
+  },
+  load: {
+    steps: (random) => [
+      ['info', 'Opening warehouse transaction', { table: pick(random, ['fact_orders', 'dim_customers']) }],
+      ['info', 'Upserting batches', { batches: between(random, 5, 40) }]
+    ],
+    summary: (random) => ['info', 'Committed load', { rows: between(random, 1000, 50000) }],
+    failures: {
+      transient: ['Deadlock detected; transaction rolled back', 'Warehouse is resuming, retry later'],
+      permanent: ['Column "region" does not exist in target table', 'Disk quota exceeded for schema "analytics"']
+    }
+  },
+  preprocessing: {
+    steps: (random) => [
+      ['info', 'Loading raw feature set', { features: between(random, 20, 300) }],
+      ['info', 'Imputing missing values and scaling', {}],
+      ['debug', 'Writing train/validation split', { ratio: 0.8 }]
+    ],
+    summary: (random) => ['info', 'Features ready', { rows: between(random, 10000, 1000000) }],
+    failures: {
+      transient: ['Feature store read timed out'],
+      permanent: ['Feature "age" has a non-numeric value "unknown"']
+    }
+  },
+  training: {
+    steps: (random) => {
+      const epochs = between(random, 3, 5);
+      let loss = 1 + random();
+      return Array.from({ length: epochs }, (_, index) => {
+        loss *= 0.6 + random() * 0.3;
+        return ['info', `Epoch ${index + 1}/${epochs}`, { loss: Math.round(loss * 1000) / 1000 }];
+      });
+    },
+    summary: (random) => ['info', 'Saved model checkpoint', { accuracy: Math.round((0.85 + random() * 0.12) * 1000) / 1000 }],
+    failures: {
+      transient: ['CUDA error: out of memory', 'Lost connection to parameter server', 'Spot instance preempted'],
+      permanent: ['Loss is NaN at epoch 2; check the learning rate', 'Label column "churned" not found']
+    }
+  },
+  deployment: {
+    steps: (random) => [
+      ['info', 'Building serving image', { image: `model:${between(random, 100, 999)}` }],
+      ['info', 'Rolling out to canary', { replicas: between(random, 1, 3) }]
+    ],
+    summary: () => ['info', 'Deployment healthy', { canaryErrors: 0 }],
+    failures: {
+      transient: ['Readiness probe timed out', 'Registry returned 502 pushing image'],
+      permanent: ['Canary error rate 14% exceeds the 1% threshold', 'Model signature does not match the serving API']
+    }
+  }
+};
+
+const DEFAULT_OUTPUT = {
+  steps: () => [['info', 'Running task', {}]],
+  summary: () => ['info', 'Task finished', {}],
+  failures: {
+    transient: ['Task exited with a retryable error'],
+    permanent: ['Task exited with a fatal error']
+  }
+};
+
+const toLine = ([level, message, fields], offset) => ({ offset, level, message, fields });
+
+// Lines for one attempt that lasts `duration` ms and ends with `failureClass` (null for success).
+// A failed attempt only gets part of the way through its steps.
+export const simulateTaskOutput = (task, { duration, failureClass, random }) => {
+  const output = TYPE_OUTPUT[task.type] || DEFAULT_OUTPUT;
+  const steps = output.steps(random);
+  const completed = failureClass ? Math.max(1, Math.floor(random() * steps.length)) : steps.length;
+  const progress = steps.slice(0, completed).map((step, index) => toLine(step, (duration * (index + 1)) / (completed + 1)));
+
+  const result = failureClass
+    ? toLine(['error', pick(random, output.failures[failureClass]), { failureClass, exitCode: failureClass === 'permanent' ? 2 : 1 }], duration)
+    : toLine(output.summary(random), duration);
+  return { progress, result };
+};
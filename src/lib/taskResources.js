@@ -0,0 +1,42 @@
+// CPU and memory a task requests from its worker, used to price its attempts.
+// Tasks may carry `resources`; anything it leaves out comes from the defaults
+// for the task's type. Requesting more CPU than the type's default also makes
+// the simulated task faster.
+//
+//   resources: { cpu: 4, memoryGb: 16 }
+
+export const DEFAULT_RESOURCES = { cpu: 1, memoryGb: 2 };
+
+export const TASK_TYPE_RESOURCES = {
+  extract: { cpu: 2, memoryGb: 4 },
+  validation: { cpu: 1, memoryGb: 2 },
+  transformation: { cpu: 4, memoryGb: 16 },
+  load: { cpu: 2, memoryGb: 4 },
+  preprocessing: { cpu: 4, memoryGb: 16 },
+  training: { cpu: 8, memoryGb: 32 },
+  deployment: { cpu: 1, memoryGb: 2 }
+};
+
+export const getTypeResources = (type) => TASK_TYPE_RESOURCES[type] || DEFAULT_RESOURCES;
+
+export const resolveResources = (task) => ({ ...getTypeResources(task.type), ...task.resources });
+
+// Doubling CPU makes a task about 1.6× faster rather than 2×; halving it slows it down the same way
+const CPU_SCALING = 0.7;
+
+export const getCpuSpeedup = (task) => (resolveResources(task).cpu / getTypeResources(task.type).cpu) ** CPU_SCALING;
+
+export const describeResources = ({ cpu, memoryGb }) => `${cpu} vCPU · ${memoryGb} GB`;
+
+const isPositive = (value) => typeof value === 'number' && value > 0;
+
+// Problems as { code, message }, in the validator's format
+export const validateResources = (resources) => {
+  if (resources === undefined) return [];
+  if (!resources || typeof resources !== 'object' || Array.isArray(resources)) {
+    return [{ code: 'invalid_resources', message: 'resources must be an object with cpu and memoryGb' }];
+  }
+  return ['cpu', 'memoryGb']
+    .filter(key => resources[key] !== undefined && !isPositive(resources[key]))
+    .map(key => ({ code: 'invalid_resources', message: `${key} must be a positive number` }));
+};
@@ -0,0 +1,186 @@
+// Simulated pool of workers shared by every running DAG. Tasks ask for a slot
+// type (a worker tag such as 'cpu' or 'gpu'), wait in a queue until a matching
+// worker is idle, and hand the worker back when their attempt finishes.
+
+export const DEFAULT_WORKERS = [
+  { id: 'worker-1', tags: ['cpu'] },
+  { id: 'worker-2', tags: ['cpu'] },
+  { id: 'worker-3', tags: ['cpu', 'memory'] },
+  { id: 'worker-4', tags: ['gpu'] }
+];
+
+export const DEFAULT_SLOT = 'cpu';
+
+export const QUEUE_POLICIES = ['fifo', 'priority'];
+
+export class NoMatchingWorkerError extends Error {
+  constructor(slot) {
+    super(`No worker in the pool provides slot "${slot}"`);
+    this.name = 'NoMatchingWorkerError';
+    this.slot = slot;
+  }
+}
+
+// `workers` may be a count (all cpu workers) or a list of { id, tags }
+const buildWorkers = (workers) => {
+  const definitions = typeof workers === 'number'
+    ? Array.from({ length: workers }, (_, i) => ({ id: `worker-${i + 1}`, tags: [DEFAULT_SLOT] }))
+    : workers;
+  return definitions.map(definition => ({
+    id: definition.id,
+    tags: definition.tags?.length ? definition.tags : [DEFAULT_SLOT],
+    current: null,
+    busySince: null,
+    busyMs: 0
+  }));
+};
+
+export class WorkerPool {
+  constructor({ workers = DEFAULT_WORKERS, queuePolicy = 'fifo', now = () => Date.now(), onChange = () => {} } = {}) {
+    this.workers = buildWorkers(workers);
+    this.queuePolicy = queuePolicy;
+    this.queue = [];
+    this.sequence = 0;
+    this.now = now;
+    this.onChange = onChange;
+    this.startedAt = now();
+  }
+
+  // Resolves with a worker once one with the requested slot is free.
+  // `request` = { slot, priority, executionId, taskId }
+  acquire(request = {}) {
+    const slot = request.slot || DEFAULT_SLOT;
+    if (!this.workers.some(worker => worker.tags.includes(slot))) {
+      return Promise.reject(new NoMatchingWorkerError(slot));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({
+        ...request,
+        slot,
+        priority: request.priority || 0,
+        sequence: this.sequence++,
+        enqueuedAt: this.now(),
+        resolve,
+        reject
+      });
+      this.dispatch();
+    });
+  }
+
+  release(worker) {
+    if (!worker.current) return;
+    worker.busyMs += this.now() - worker.busySince;
+    worker.current = null;
+    worker.busySince = null;
+    this.dispatch();
+  }
+
+  addWorker(tags = [DEFAULT_SLOT]) {
+    let n = this.workers.length + 1;
+    while (this.workers.some(worker => worker.id === `worker-${n}`)) n++;
+    this.workers.push(...buildWorkers([{ id: `worker-${n}`, tags }]));
+    this.dispatch();
+  }
+
+  // Only idle workers can be removed; returns whether the worker was removed
+  removeWorker(id) {
+    const worker = this.workers.find(candidate => candidate.id === id);
+    if (!worker || worker.current) return false;
+    this.workers = this.workers.filter(candidate => candidate !== worker);
+    this.rejectUnservable();
+    this.onChange(this.getStats());
+    return true;
+  }
+
+  setQueuePolicy(queuePolicy) {
+    this.queuePolicy = queuePolicy;
+    this.dispatch();
+  }
+
+  // Replaces the pool definition; only allowed while no worker is busy
+  configure({ workers, queuePolicy }) {
+    if (this.workers.some(worker => worker.current)) return false;
+    if (workers) this.workers = buildWorkers(workers);
+    if (queuePolicy) this.queuePolicy = queuePolicy;
+    this.rejectUnservable();
+    this.dispatch();
+    return true;
+  }
+
+  getConfig() {
+    return {
+      workers: this.workers.map(worker => ({ id: worker.id, tags: worker.tags })),
+      queuePolicy: this.queuePolicy
+    };
+  }
+
+  // Queued requests for a slot no remaining worker provides would wait forever
+  rejectUnservable() {
+    const servable = (entry) => this.workers.some(worker => worker.tags.includes(entry.slot));
+    this.queue.filter(entry => !servable(entry)).forEach(entry => entry.reject(new NoMatchingWorkerError(entry.slot)));
+    this.queue = this.queue.filter(servable);
+  }
+
+  // Drops queued requests matching `predicate`, rejecting their promises
+  cancelQueued(predicate, reason = new Error('Cancelled while queued')) {
+    const [dropped, kept] = this.queue.reduce(([out, keep], entry) => (
+      predicate(entry) ? [[...out, entry], keep] : [out, [...keep, entry]]
+    ), [[], []]);
+    this.queue = kept;
+    dropped.forEach(entry => entry.reject(reason));
+    if (dropped.length > 0) this.onChange(this.getStats());
+  }
+
+  ordered() {
+    if (this.queuePolicy !== 'priority') return this.queue;
+    return [...this.queue].sort((a, b) => b.priority - a.priority || a.sequence - b.sequence);
+  }
+
+  // Hands idle workers to queued requests in queue order. A request that
+  // can't be served yet doesn't block later requests for other slot types.
+  dispatch() {
+    let changed = false;
+    for (const entry of this.ordered()) {
+      const worker = this.workers.find(candidate => !candidate.current && candidate.tags.includes(entry.slot));
+      if (!worker) continue;
+
+      this.queue = this.queue.filter(queued => queued !== entry);
+      worker.current = { executionId: entry.executionId, taskId: entry.taskId, slot: entry.slot };
+      worker.busySince = this.now();
+      entry.resolve(worker);
+      changed = true;
+    }
+    this.onChange(this.getStats());
+    return changed;
+  }
+
+  getStats() {
+    const now = this.now();
+    const busy = this.workers.filter(worker => worker.current).length;
+    const elapsed = Math.max(1, now - this.startedAt);
+    return {
+      total: this.workers.length,
+      busy,
+      queueDepth: this.queue.length,
+      utilization: this.workers.length > 0 ? (busy / this.workers.length) * 100 : 0,
+      workers: this.workers.map(worker => {
+        const busyMs = worker.busyMs + (worker.busySince ? now - worker.busySince : 0);
+        return {
+          id: worker.id,
+          tags: worker.tags,
+          current: worker.current,
+          busyMs,
+          utilization: (busyMs / elapsed) * 100
+        };
+      }),
+      queue: this.ordered().map(entry => ({
+        executionId: entry.executionId,
+        taskId: entry.taskId,
+        slot: entry.slot,
+        priority: entry.priority,
+        waitingMs: now - entry.enqueuedAt
+      }))
+    };
+  }
+}